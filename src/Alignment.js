@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+
+const STORAGE_KEY = 'diamond_poc.alignmentPresets';
+
+const toDegrees = THREE.MathUtils.radToDeg;
+
+export class Alignment {
+    static AXES = {
+        '+X': new THREE.Vector3(1, 0, 0),
+        '-X': new THREE.Vector3(-1, 0, 0),
+        '+Y': new THREE.Vector3(0, 1, 0),
+        '-Y': new THREE.Vector3(0, -1, 0),
+        '+Z': new THREE.Vector3(0, 0, 1),
+        '-Z': new THREE.Vector3(0, 0, -1),
+    };
+
+    // Constraint types. `planes` is how many plane slots the constraint
+    // reads; slots are positions in the plane list, so a preset built on
+    // one stone applies to the next one picked in the same order.
+    static CONSTRAINTS = {
+        normal: { label: 'Facet A normal → axis', planes: 1 },
+        edge: { label: 'Edge A∩B along axis', planes: 2 },
+        symmetric: { label: 'A, B mirrored across plane ⟂ axis', planes: 2 },
+        origin: { label: 'Point on A at origin', planes: 1 },
+    };
+
+    // Built-in presets; the first one is the classic two-plane workflow
+    static PRESETS = {
+        'table-z-edge-x': {
+            label: 'Plane 1 → +Z, edge → +X',
+            constraints: [
+                { type: 'normal', planes: [0], axis: '+Z' },
+                { type: 'edge', planes: [0, 1], axis: '+X' },
+            ],
+        },
+        'table-z-edge-y': {
+            label: 'Plane 1 → +Z, edge → +Y',
+            constraints: [
+                { type: 'normal', planes: [0], axis: '+Z' },
+                { type: 'edge', planes: [0, 1], axis: '+Y' },
+            ],
+        },
+        'table-y-edge-x': {
+            label: 'Plane 1 → +Y, edge → +X',
+            constraints: [
+                { type: 'normal', planes: [0], axis: '+Y' },
+                { type: 'edge', planes: [0, 1], axis: '+X' },
+            ],
+        },
+        'table-z-mirror-yz': {
+            label: 'Plane 1 → +Z at origin, planes 2/3 mirrored in YZ',
+            constraints: [
+                { type: 'normal', planes: [0], axis: '+Z' },
+                { type: 'symmetric', planes: [1, 2], axis: '+X' },
+                { type: 'origin', planes: [0], axis: '+Z' },
+            ],
+        },
+    };
+
+    static DEFAULT_PRESET = 'table-z-edge-x';
+
+    static createConstraint(type = 'normal') {
+        return {
+            type,
+            planes: Alignment.CONSTRAINTS[type].planes === 1 ? [0] : [0, 1],
+            axis: type === 'normal' ? '+Z' : '+X',
+        };
+    }
+
+    static loadPresets() {
+        try {
+            const stored = window.localStorage.getItem(STORAGE_KEY);
+            const parsed = stored ? JSON.parse(stored) : {};
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (error) {
+            console.warn('Could not read alignment presets', error);
+            return {};
+        }
+    }
+
+    static savePresets(presets) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+        } catch (error) {
+            console.warn('Could not store alignment presets', error);
+        }
+    }
+
+    // Normal and point of a picked plane in the model's own frame, so the
+    // alignment does not depend on the pose the model had when picking.
+    static toModelFrame(model, normal, point) {
+        model.updateWorldMatrix(true, false);
+        const inverse = model.matrixWorld.clone().invert();
+        return {
+            normal: normal.clone().transformDirection(inverse),
+            point: point.clone().applyMatrix4(inverse),
+        };
+    }
+
+    // Direction a rotational constraint drives onto its axis, in the model
+    // frame. The edge is oriented along normalA × normalB and the mirror
+    // direction along normalA − normalB, so signs follow the slot order.
+    static getDirection(constraint, planes) {
+        const [a, b] = constraint.planes.map((index) => planes[index]?.local);
+        if (!a) return null;
+        const normalA = a.normal.clone().normalize();
+        if (constraint.type === 'normal') return normalA;
+        if (!b) return null;
+        const normalB = b.normal.clone().normalize();
+        const direction =
+            constraint.type === 'edge'
+                ? new THREE.Vector3().crossVectors(normalA, normalB)
+                : normalA.sub(normalB);
+        return direction.lengthSq() < 1e-12 ? null : direction.normalize();
+    }
+
+    // Rotation about `axis` taking `from` as close to `to` as it can get
+    static getTwist(axis, from, to) {
+        const a = from.clone().projectOnPlane(axis);
+        const b = to.clone().projectOnPlane(axis);
+        if (a.lengthSq() < 1e-12 || b.lengthSq() < 1e-12) return null;
+        a.normalize();
+        b.normalize();
+        const angle = Math.atan2(
+            new THREE.Vector3().crossVectors(a, b).dot(axis),
+            a.dot(b),
+        );
+        return new THREE.Quaternion().setFromAxisAngle(axis, angle);
+    }
+
+    // Solves the stack in order: the first rotational constraint is met
+    // exactly, the second by twisting about the first one's axis; later
+    // ones are only reported, the pose has no freedom left for them. The
+    // first origin constraint pins the translation. Returns the rotation in
+    // the model frame and the model-frame point to bring to the origin.
+    static solve(constraints, planes) {
+        const rotation = new THREE.Quaternion();
+        const results = [];
+        let origin = null;
+        let locked = null;
+
+        constraints.forEach((constraint) => {
+            if (!Alignment.CONSTRAINTS[constraint.type])
+                throw new Error(`Unknown constraint "${constraint.type}"`);
+            if (constraint.type === 'origin') {
+                const point = planes[constraint.planes[0]]?.local?.point;
+                const applied = Boolean(point) && !origin;
+                if (applied) origin = point.clone();
+                results.push({ applied });
+                return;
+            }
+
+            const direction = Alignment.getDirection(constraint, planes);
+            if (!direction || locked?.length === 2) {
+                results.push({ applied: false });
+                return;
+            }
+            const axis = Alignment.AXES[constraint.axis];
+            const current = direction.applyQuaternion(rotation);
+            if (!locked) {
+                rotation.premultiply(
+                    new THREE.Quaternion().setFromUnitVectors(current, axis),
+                );
+                locked = [axis];
+                results.push({ applied: true });
+                return;
+            }
+            const twist = Alignment.getTwist(locked[0], current, axis);
+            if (twist) {
+                rotation.premultiply(twist);
+                locked.push(axis);
+            }
+            results.push({ applied: Boolean(twist) });
+        });
+
+        if (!locked && !origin)
+            throw new Error('No constraint could be solved; pick the planes');
+        return { rotation, origin, results };
+    }
+
+    // Local quaternion and position giving the model the solved world
+    // pose, whatever transform its parents carry.
+    static getModelTarget(model, solution) {
+        model.updateWorldMatrix(true, false);
+        const parentQuaternion = new THREE.Quaternion();
+        model.parent?.getWorldQuaternion(parentQuaternion);
+        const quaternion = parentQuaternion
+            .invert()
+            .multiply(solution.rotation);
+
+        const position = model.position.clone();
+        if (solution.origin) {
+            const parentInverse = model.parent
+                ? model.parent.matrixWorld.clone().invert()
+                : new THREE.Matrix4();
+            position
+                .set(0, 0, 0)
+                .applyMatrix4(parentInverse)
+                .sub(
+                    solution.origin
+                        .clone()
+                        .multiply(model.scale)
+                        .applyQuaternion(quaternion),
+                );
+        }
+        return { quaternion, position };
+    }
+
+    // Final pose and, per constraint, how far the model ended from it:
+    // degrees for rotational constraints, world units for the origin.
+    static report(model, constraints, planes, solution) {
+        model.updateWorldMatrix(true, false);
+        const quaternion = model.getWorldQuaternion(new THREE.Quaternion());
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+
+        const rows = constraints.map((constraint, index) => {
+            let error = null;
+            if (constraint.type === 'origin') {
+                const point = planes[constraint.planes[0]]?.local?.point;
+                if (point)
+                    error = point
+                        .clone()
+                        .applyMatrix4(model.matrixWorld)
+                        .length();
+            } else {
+                const direction = Alignment.getDirection(constraint, planes);
+                if (direction)
+                    error = toDegrees(
+                        direction
+                            .applyQuaternion(quaternion)
+                            .angleTo(Alignment.AXES[constraint.axis]),
+                    );
+            }
+            return {
+                label: Alignment.CONSTRAINTS[constraint.type].label,
+                applied: solution.results[index].applied,
+                error,
+                unit: constraint.type === 'origin' ? '' : '°',
+            };
+        });
+
+        return {
+            quaternion: quaternion.toArray(),
+            euler: [euler.x, euler.y, euler.z].map(toDegrees),
+            position: model.getWorldPosition(new THREE.Vector3()).toArray(),
+            rows,
+        };
+    }
+}
@@ -0,0 +1,146 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { Alignment } from './Alignment';
+
+// A model posed arbitrarily under a scaled, turned parent, like the
+// viewer's model root
+function createModel() {
+    const parent = new THREE.Group();
+    parent.scale.setScalar(2.5);
+    parent.rotation.y = Math.PI;
+    const model = new THREE.Group();
+    model.rotation.set(0.4, -1.2, 2.1);
+    model.position.set(3, -1, 7);
+    parent.add(model);
+    parent.updateMatrixWorld(true);
+    return model;
+}
+
+// Plane entry picked in the current world pose, given in model space
+function pick(model, normal, point) {
+    model.updateWorldMatrix(true, false);
+    const worldNormal = new THREE.Vector3(...normal)
+        .normalize()
+        .transformDirection(model.matrixWorld);
+    const worldPoint = new THREE.Vector3(...point).applyMatrix4(
+        model.matrixWorld,
+    );
+    return { local: Alignment.toModelFrame(model, worldNormal, worldPoint) };
+}
+
+function align(model, constraints, planes) {
+    const solution = Alignment.solve(constraints, planes);
+    const target = Alignment.getModelTarget(model, solution);
+    model.quaternion.copy(target.quaternion);
+    model.position.copy(target.position);
+    model.updateMatrixWorld(true);
+    return Alignment.report(model, constraints, planes, solution);
+}
+
+function worldNormal(model, plane) {
+    return plane.local.normal.clone().transformDirection(model.matrixWorld);
+}
+
+describe('Alignment.solve', () => {
+    it('brings the table to +Z and the edge to +X exactly', () => {
+        const model = createModel();
+        const planes = [
+            pick(model, [0, 1, 0], [0, 16, 0]),
+            pick(model, [0.8, -0.6, 0.1], [40, -30, 5]),
+        ];
+        const { constraints } = Alignment.PRESETS['table-z-edge-x'];
+        const report = align(model, constraints, planes);
+
+        expect(
+            worldNormal(model, planes[0]).angleTo(Alignment.AXES['+Z']),
+        ).toBeLessThan(1e-6);
+        const edge = new THREE.Vector3().crossVectors(
+            worldNormal(model, planes[0]),
+            worldNormal(model, planes[1]),
+        );
+        expect(edge.angleTo(Alignment.AXES['+X'])).toBeLessThan(1e-6);
+        report.rows.forEach((row) => {
+            expect(row.applied).toBe(true);
+            expect(row.error).toBeLessThan(1e-4);
+        });
+    });
+
+    it('lands on the same pose whatever pose it starts from', () => {
+        const poses = [0, 1].map((turn) => {
+            const model = createModel();
+            model.rotateOnAxis(new THREE.Vector3(1, 1, 0).normalize(), turn);
+            model.updateMatrixWorld(true);
+            const planes = [
+                pick(model, [0, 1, 0], [0, 16, 0]),
+                pick(model, [0.8, -0.6, 0.1], [40, -30, 5]),
+            ];
+            align(
+                model,
+                Alignment.PRESETS['table-z-edge-x'].constraints,
+                planes,
+            );
+            return model.getWorldQuaternion(new THREE.Quaternion());
+        });
+        expect(poses[0].angleTo(poses[1])).toBeLessThan(1e-6);
+    });
+
+    it('moves the origin point to the world origin', () => {
+        const model = createModel();
+        const planes = [
+            pick(model, [0, 1, 0], [2, 16, -3]),
+            pick(model, [1, 0, 0], [50, 0, 0]),
+            pick(model, [-1, 0, 0], [-50, 0, 0]),
+        ];
+        const { constraints } = Alignment.PRESETS['table-z-mirror-yz'];
+        const report = align(model, constraints, planes);
+        const origin = planes[0].local.point
+            .clone()
+            .applyMatrix4(model.matrixWorld);
+        expect(origin.length()).toBeLessThan(1e-6);
+        expect(report.rows.map((row) => row.applied)).toEqual([
+            true,
+            true,
+            true,
+        ]);
+    });
+
+    it('only reports constraints the pose has no freedom left for', () => {
+        const model = createModel();
+        const planes = [
+            pick(model, [0, 1, 0], [0, 16, 0]),
+            pick(model, [0.8, -0.6, 0.1], [40, -30, 5]),
+        ];
+        const constraints = [
+            ...Alignment.PRESETS['table-z-edge-x'].constraints,
+            { type: 'normal', planes: [1], axis: '-Z' },
+        ];
+        const report = align(model, constraints, planes);
+        expect(report.rows[2].applied).toBe(false);
+        expect(report.rows[2].error).toBeGreaterThan(1);
+        expect(report.rows[0].error).toBeLessThan(1e-4);
+    });
+
+    it('skips constraints whose planes are missing or parallel', () => {
+        const model = createModel();
+        const planes = [
+            pick(model, [0, 1, 0], [0, 16, 0]),
+            pick(model, [0, 1, 0], [0, 3, 0]),
+        ];
+        const { results } = Alignment.solve(
+            [
+                { type: 'normal', planes: [0], axis: '+Z' },
+                { type: 'edge', planes: [0, 1], axis: '+X' },
+                { type: 'normal', planes: [2], axis: '+Y' },
+            ],
+            planes,
+        );
+        expect(results.map((result) => result.applied)).toEqual([
+            true,
+            false,
+            false,
+        ]);
+        expect(() =>
+            Alignment.solve([{ type: 'normal', planes: [0], axis: '+Z' }], []),
+        ).toThrow(/pick the planes/);
+    });
+});
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { Alignment } from './Alignment';
+
+const formatAngle = (value) => (value === null ? '-' : `${value.toFixed(3)}°`);
+
+const formatError = (row) =>
+    row.error === null ? '-' : `${row.error.toFixed(3)}${row.unit}`;
+
+function ConstraintRow({
+    constraint,
+    index,
+    planes,
+    onChange,
+    onRemove,
+    onUp,
+}) {
+    const slots = Alignment.CONSTRAINTS[constraint.type].planes;
+
+    const setPlane = (slot, value) => {
+        const next = [...constraint.planes];
+        next[slot] = Number(value);
+        onChange({ ...constraint, planes: next });
+    };
+
+    return (
+        <div
+            style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 4,
+                marginTop: 4,
+            }}>
+            <span style={{ width: 14 }}>{index + 1}</span>
+            <select
+                value={constraint.type}
+                onChange={(e) =>
+                    onChange({
+                        ...Alignment.createConstraint(e.target.value),
+                        planes: constraint.planes,
+                    })
+                }>
+                {Object.entries(Alignment.CONSTRAINTS).map(
+                    ([type, { label }]) => (
+                        <option key={type} value={type}>
+                            {label}
+                        </option>
+                    ),
+                )}
+            </select>
+            {Array.from({ length: slots }, (_, slot) => (
+                <select
+                    key={slot}
+                    value={constraint.planes[slot] ?? 0}
+                    title={slot === 0 ? 'A' : 'B'}
+                    onChange={(e) => setPlane(slot, e.target.value)}>
+                    {planes.map((plane, planeIndex) => (
+                        <option key={plane.id} value={planeIndex}>
+                            {slot === 0 ? 'A' : 'B'}: {plane.name}
+                        </option>
+                    ))}
+                </select>
+            ))}
+            {constraint.type !== 'origin' && (
+                <select
+                    value={constraint.axis}
+                    onChange={(e) =>
+                        onChange({ ...constraint, axis: e.target.value })
+                    }>
+                    {Object.keys(Alignment.AXES).map((axis) => (
+                        <option key={axis}>{axis}</option>
+                    ))}
+                </select>
+            )}
+            <button onClick={onUp} disabled={index === 0} title="Move up">
+                ↑
+            </button>
+            <button onClick={onRemove}>×</button>
+        </div>
+    );
+}
+
+export default function AlignmentPanel({
+    constraints,
+    planes,
+    presets,
+    result,
+    error,
+    onChange,
+    onSavePreset,
+    onDeletePreset,
+}) {
+    const [presetName, setPresetName] = useState('');
+
+    const loadPreset = (key) => {
+        const preset = Alignment.PRESETS[key] || presets[key];
+        if (!preset) return;
+        onChange(structuredClone(preset.constraints));
+        if (presets[key]) setPresetName(key);
+    };
+
+    const updateAt = (index, constraint) =>
+        onChange(
+            constraints.map((item, i) => (i === index ? constraint : item)),
+        );
+
+    const moveUp = (index) => {
+        const next = [...constraints];
+        [next[index - 1], next[index]] = [next[index], next[index - 1]];
+        onChange(next);
+    };
+
+    return (
+        <div style={{ marginTop: 10, fontSize: 13 }}>
+            Alignment:
+            <select
+                value=""
+                onChange={(e) => loadPreset(e.target.value)}
+                style={{ marginLeft: 6 }}>
+                <option value="">Load preset…</option>
+                <optgroup label="Built-in">
+                    {Object.entries(Alignment.PRESETS).map(
+                        ([key, { label }]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </optgroup>
+                {Object.keys(presets).length > 0 && (
+                    <optgroup label="Saved">
+                        {Object.entries(presets).map(([key, { label }]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ))}
+                    </optgroup>
+                )}
+            </select>
+            {constraints.map((constraint, index) => (
+                <ConstraintRow
+                    key={index}
+                    constraint={constraint}
+                    index={index}
+                    planes={planes}
+                    onChange={(next) => updateAt(index, next)}
+                    onRemove={() =>
+                        onChange(constraints.filter((_, i) => i !== index))
+                    }
+                    onUp={() => moveUp(index)}
+                />
+            ))}
+            <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                <button
+                    onClick={() =>
+                        onChange([...constraints, Alignment.createConstraint()])
+                    }>
+                    + Constraint
+                </button>
+                <input
+                    value={presetName}
+                    placeholder="Preset name"
+                    onChange={(e) => setPresetName(e.target.value)}
+                    style={{ width: 100 }}
+                />
+                <button
+                    disabled={!presetName.trim() || !constraints.length}
+                    onClick={() => onSavePreset(presetName.trim())}>
+                    Save
+                </button>
+                <button
+                    disabled={!presets[presetName.trim()]}
+                    onClick={() => {
+                        onDeletePreset(presetName.trim());
+                        setPresetName('');
+                    }}>
+                    Delete
+                </button>
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {result && (
+                <div
+                    style={{
+                        marginTop: 4,
+                        fontFamily: 'monospace',
+                        fontSize: 12,
+                        opacity: 0.85,
+                    }}>
+                    <div>
+                        quat [
+                        {result.quaternion
+                            .map((value) => value.toFixed(6))
+                            .join(', ')}
+                        ]
+                    </div>
+                    <div>
+                        euler XYZ{' '}
+                        {result.euler
+                            .map((value) => formatAngle(value))
+                            .join(' ')}
+                    </div>
+                    <div>
+                        position (
+                        {result.position
+                            .map((value) => value.toFixed(3))
+                            .join(', ')}
+                        )
+                    </div>
+                    {result.rows.map((row, index) => (
+                        <div
+                            key={index}
+                            style={{ opacity: row.applied ? 1 : 0.6 }}>
+                            {index + 1}. {row.label}:{' '}
+                            {row.applied ? formatError(row) : 'not applied'}
+                            {!row.applied &&
+                                row.error !== null &&
+                                ` (off by ${formatError(row)})`}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+const DURATION = 1000; // ms
+
+// Same curve as gsap's power2.inOut
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+// Tweened pose changes for the viewer. Kept apart from the geometry
+// helpers since they need the browser's animation frames.
+export class Animation {
+    // Calls `onUpdate` with the eased progress every frame; resolves after
+    // the final call with 1
+    static tween(onUpdate, duration = DURATION) {
+        return new Promise((resolve) => {
+            let start = null;
+            const frame = (now) => {
+                start ??= now;
+                const t = Math.min(1, (now - start) / duration);
+                onUpdate(easeInOut(t));
+                if (t < 1) requestAnimationFrame(frame);
+                else resolve();
+            };
+            requestAnimationFrame(frame);
+        });
+    }
+    // Resolves once the object has reached `target`
+    static animateQuaternion(object, target, callback = null) {
+        return Animation.animateTransform(object, target, object.position).then(
+            () => callback?.(),
+        );
+    }
+    // Slerps the rotation and lerps the position together, so a solved
+    // pose is reached in one transition
+    static animateTransform(object, quaternion, position) {
+        const startQuaternion = object.quaternion.clone();
+        const startPosition = object.position.clone();
+        const targetPosition = position.clone();
+        return Animation.tween((t) => {
+            object.quaternion.slerpQuaternions(startQuaternion, quaternion, t);
+            object.position.lerpVectors(startPosition, targetPosition, t);
+        }).then(() => {
+            object.quaternion.copy(quaternion);
+            object.position.copy(targetPosition);
+        });
+    }
+}
@@ -1,47 +1,127 @@
-import React, { useEffect, useRef, useState } from 'react';
-import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import React, {
+    useCallback,
+    useEffect,
+    useMemo,
+    useRef,
+    useState,
+} from 'react';
+import { Canvas, useThree } from '@react-three/fiber';
 import {
     CameraControls,
+    OrthographicCamera,
+    PerspectiveCamera,
     Sphere,
     TransformControls,
-    useGLTF,
 } from '@react-three/drei';
 import * as THREE from 'three';
+import { Alignment } from './Alignment';
+import AlignmentPanel from './AlignmentPanel';
+import { Animation } from './Animation';
+import { CameraViews } from './CameraViews';
 import { ClipPlane } from './ClipPlane';
+import ComparePanel from './ComparePanel';
+import DeviationOverlay from './DeviationOverlay';
+import ErrorBoundary from './ErrorBoundary';
+import ExportPanel from './ExportPanel';
+import { FacetAnalysis } from './FacetAnalysis';
+import FacetAnalysisPanel from './FacetAnalysisPanel';
+import { FacetFit } from './FacetFit';
+import GemMaterials from './GemMaterials';
+import Highlights from './Highlights';
+import { History } from './History';
+import HistoryPanel from './HistoryPanel';
+import MeasurementAnnotations from './MeasurementAnnotations';
+import MeasurementPanel from './MeasurementPanel';
+import { MeasureTools } from './MeasureTools';
+import MeasureToolbar from './MeasureToolbar';
+import { MeshFilter } from './MeshFilter';
+import { MeshMetrics } from './MeshMetrics';
+import MeshOutliner from './MeshOutliner';
+import { ModelExport } from './ModelExport';
+import { ModelLoader } from './ModelLoader';
+import { ModelMaterials } from './ModelMaterials';
+import { ObjectTransform } from './ObjectTransform';
+import { PlaneList } from './PlaneList';
+import PlanePanel from './PlanePanel';
+import { Project } from './Project';
+import { Proportions } from './Proportions';
+import { ReferenceGeometry } from './ReferenceGeometry';
+import ReferenceOverlays from './ReferenceOverlays';
+import { ScanCompare } from './ScanCompare';
+import { SectionExport } from './SectionExport';
+import SectionPanel from './SectionPanel';
+import { SectionProfile } from './SectionProfile';
+import SectionView from './SectionView';
+import { StockBlock } from './StockBlock';
+import StockBlockView from './StockBlockView';
+import StockPanel from './StockPanel';
+import TransformPanel from './TransformPanel';
+import { Symmetry } from './Symmetry';
+import SymmetryOverlay from './SymmetryOverlay';
+import SymmetryPanel from './SymmetryPanel';
 import { Utils } from './Utils';
+import ViewToolbar from './ViewToolbar';
+import YieldPanel from './YieldPanel';
+
+const DEFAULT_MODEL_URL = '/scene.glb';
+const AUTOSAVE_DELAY = 1000;
+// Display scale of the loaded model; scaling beyond it with the transform
+// gizmo resizes the stone
+const MODEL_SCALE = 2.5;
+const IDENTITY_MATRIX = new THREE.Matrix4();
+const TRANSFORM_LABELS = {
+    rotate: 'Rotate model',
+    translate: 'Move model',
+    scale: 'Scale model',
+};
 
 function GLBModel({
+    object,
     activePlane,
+    planes,
+    facetFit,
+    meshFilter,
+    materialMode,
     onSelect,
     onModelLoaded,
     onSceneLoaded,
+    onMeshesFiltered,
+    onHover,
+    onUnhover,
+    measureTool,
+    onMeasurePick,
     modelRef,
+    children,
 }) {
-    const gltf = useGLTF('/scene.glb');
     const meshRefs = useRef([]);
-    const helperRefs = useRef({ plane1: null, plane2: null });
-    const { scene, camera, mouse, raycaster } = useThree();
+    const allMeshesRef = useRef([]);
+    const helperRefs = useRef({});
+    const { camera, size } = useThree();
 
-    useEffect(() => {
+    // Only meshes that survive the filter rules are hovered and picked
+    const applyMeshFilter = () => {
+        const entries = MeshFilter.apply(allMeshesRef.current, meshFilter);
         meshRefs.current = [];
-        gltf.scene.traverse((child) => {
+        entries.forEach(({ mesh, pickable }) => {
+            if (pickable) meshRefs.current.push(mesh);
+        });
+        onMeshesFiltered?.(entries);
+    };
+
+    useEffect(() => {
+        allMeshesRef.current = [];
+        object.traverse((child) => {
             if (child.isMesh) {
-                if (child.name === 'mesh_2' && child.parent) {
-                    child.parent.remove(child);
-                    return;
-                }
-                if (child.material) {
-                    child.material = child.material.clone();
-                    child.material.metalness = 0.4;
-                    child.material.roughness = 0.6;
-                    child.material.side = THREE.DoubleSide;
-                    child.material.color = new THREE.Color(0xffffff);
-                }
-                meshRefs.current.push(child);
+                // Pointer events raycast through the BVH
+                ClipPlane.ensureBoundsTree(child);
+                ModelMaterials.init(child);
+                allMeshesRef.current.push(child);
             }
         });
+        ModelMaterials.apply(allMeshesRef.current, materialMode);
 
-        gltf.scene.rotation.y = Math.PI;
+        object.rotation.y = Math.PI;
+        applyMeshFilter();
 
         if (onModelLoaded && modelRef.current) {
             const box = new THREE.Box3().setFromObject(modelRef.current);
@@ -49,74 +129,177 @@ function GLBModel({
         }
 
         // 👇 Pass scene to parent
-        if (gltf.scene && typeof onSceneLoaded === 'function') {
-            onSceneLoaded(gltf.scene);
+        if (object && typeof onSceneLoaded === 'function') {
+            onSceneLoaded(object);
         }
-    }, [gltf]);
+    }, [object]);
+
+    useEffect(() => {
+        applyMeshFilter();
+    }, [meshFilter]);
+
+    useEffect(() => {
+        ModelMaterials.apply(allMeshesRef.current, materialMode);
+    }, [materialMode]);
+
+    useEffect(() => {
+        syncRegionHelpers();
+    }, [planes, activePlane, object]);
+
+    // Each plane owns the region it was picked on, never the whole mesh, so
+    // a single-mesh scan can carry any number of planes. Regions are drawn
+    // as a tinted overlay per plane, the active one stronger, parented to
+    // the picked mesh so they follow the model through later rotations.
+    const syncRegionHelpers = () => {
+        const active = new Set();
+        planes.forEach((plane) => {
+            const mesh = allMeshesRef.current.find(
+                (candidate) => candidate.name === plane.meshName,
+            );
+            if (!plane.region || !mesh) return;
+            active.add(plane.id);
+
+            let helper = helperRefs.current[plane.id];
+            if (helper && helper.userData.region !== plane.region) {
+                removeHelper(plane.id);
+                helper = null;
+            }
+            if (!helper) {
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute(
+                    'position',
+                    new THREE.BufferAttribute(plane.region, 3),
+                );
+                helper = new THREE.Mesh(
+                    geometry,
+                    new THREE.MeshBasicMaterial({
+                        transparent: true,
+                        opacity: 0.5,
+                        side: THREE.DoubleSide,
+                        depthWrite: false,
+                        polygonOffset: true,
+                        polygonOffsetFactor: -1,
+                        polygonOffsetUnits: -1,
+                    }),
+                );
+                helper.raycast = () => {};
+                helper.userData.isHelper = true;
+                helper.userData.region = plane.region;
+                mesh.add(helper);
+                helperRefs.current[plane.id] = helper;
+            }
+            helper.material.color.set(plane.color);
+            helper.material.opacity = plane.id === activePlane ? 0.85 : 0.5;
+        });
+        Object.keys(helperRefs.current).forEach((id) => {
+            if (!active.has(id)) removeHelper(id);
+        });
+    };
 
     const removeHelper = (plane) => {
         const helper = helperRefs.current[plane];
         if (helper) {
-            scene.remove(helper);
+            helper.removeFromParent();
             helper.geometry?.dispose();
             helper.material?.dispose();
-            helperRefs.current[plane] = null;
+            delete helperRefs.current[plane];
         }
     };
 
-    useFrame(() => {
-        if (!activePlane) return;
-
-        raycaster.setFromCamera(mouse, camera);
-        const intersects = raycaster.intersectObjects(meshRefs.current, true);
+    // R3F raycasts on pointer move only; locked and hidden meshes let the
+    // event fall through to the next hit like they do for picking
+    const handlePointerMove = (e) => {
+        if (!activePlane && !measureTool) return;
+        if (!meshRefs.current.includes(e.object)) return;
+        e.stopPropagation();
+        onHover?.(e.object);
+    };
 
-        meshRefs.current.forEach((mesh) => {
-            if (mesh.userData.selectedForPlane) return;
-            mesh.material.color.set('white');
-        });
+    const handlePointerOut = (e) => onUnhover?.(e.object);
 
-        if (intersects.length > 0) {
-            const first = intersects[0].object;
-            if (!first.userData.selectedForPlane) {
-                first.material.color.set('yellow');
-            }
+    // World size of one screen pixel, used to make snapping zoom-independent
+    const getPixelSize = (point) => {
+        if (camera.isOrthographicCamera) {
+            return (camera.top - camera.bottom) / camera.zoom / size.height;
         }
-    });
+        const distance = camera.position.distanceTo(point);
+        return (
+            (2 *
+                distance *
+                Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) /
+            size.height
+        );
+    };
 
     const handlePointerDown = (e) => {
-        if (!activePlane) return;
-        e.stopPropagation();
+        if (!activePlane && !measureTool) return;
 
+        // Locked/hidden meshes let the event fall through to the next hit
         const mesh = e.object;
-        if (mesh.userData.selectedForPlane) return;
+        if (!meshRefs.current.includes(mesh)) return;
+        e.stopPropagation();
 
-        mesh.userData.selectedForPlane = activePlane;
-        mesh.material.color.set('red');
+        if (measureTool) {
+            if (!e.face) return;
+            onMeasurePick?.({
+                mesh,
+                face: e.face,
+                faceIndex: e.faceIndex,
+                point: e.point.clone(),
+                snapDistance: getPixelSize(e.point) * 10,
+            });
+            return;
+        }
 
         const face = e.face;
         if (!face) return;
 
         const localNormal = face.normal.clone();
 
-        const worldNormal = localNormal
+        let worldNormal = localNormal
             .applyNormalMatrix(
                 new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld),
             )
             .normalize();
 
-        const posAttr = mesh.geometry.attributes.position;
-        const a = new THREE.Vector3().fromBufferAttribute(posAttr, face.a);
-        const b = new THREE.Vector3().fromBufferAttribute(posAttr, face.b);
-        const c = new THREE.Vector3().fromBufferAttribute(posAttr, face.c);
+        // In facet-fit mode the noisy triangle normal is replaced by a plane
+        // fitted to the surrounding facet, and the thickness probe starts
+        // from the fitted centroid instead of the clicked point.
+        let probeOrigin = e.point.clone();
+        let fit = null;
+        if (facetFit?.enabled) {
+            fit = FacetFit.fitFacet(
+                mesh,
+                face,
+                e.faceIndex,
+                facetFit.angleTolerance,
+            );
+            if (fit) {
+                worldNormal = fit.normal.clone();
+                probeOrigin = fit.centroid.clone();
+            }
+        }
 
         const offsetPoint = new THREE.Vector3()
-            .copy(e.point.clone())
+            .copy(probeOrigin)
             .add(worldNormal.clone().multiplyScalar(5));
         const points = Utils.getMeshIntersectionWithLine(
             mesh,
             offsetPoint.clone(),
             worldNormal.clone().negate(),
         );
+        // Without a fitted facet the plane owns just the clicked triangle
+        const region = fit?.region || FacetFit.getFaceRegion(mesh, e.faceIndex);
+        if (!points || points.length < 2) {
+            onSelect?.(activePlane, {
+                meshName: mesh.name,
+                normal: worldNormal,
+                centroid: probeOrigin,
+                fit,
+                region,
+            });
+            return;
+        }
         const distance = new THREE.Vector3()
             .copy(points[0].point.clone())
             .distanceTo(points[1].point.clone());
@@ -127,266 +310,1195 @@ function GLBModel({
                     .copy(worldNormal.clone().negate())
                     .multiplyScalar(distance / 2),
             );
-        onSelect?.(activePlane, mesh.name, worldNormal, midPoint);
+        onSelect?.(activePlane, {
+            meshName: mesh.name,
+            normal: worldNormal,
+            centroid: midPoint,
+            fit,
+            region,
+        });
     };
 
     return (
         <primitive
             ref={modelRef}
-            object={gltf.scene}
-            scale={2.5}
+            object={object}
+            scale={MODEL_SCALE}
             position={[0, 0, 0]}
             onPointerDown={handlePointerDown}
-        />
+            onPointerMove={handlePointerMove}
+            onPointerOut={handlePointerOut}>
+            {children}
+        </primitive>
     );
 }
 
-// ✅ Plane aligned to given normal
-function PerpendicularPlane({ normal, position }) {
-    const ref = useRef();
-    const size = 5000;
-
-    useEffect(() => {
-        if (ref.current && normal) {
-            const up = new THREE.Vector3(0, 0, 1);
-            const quaternion = new THREE.Quaternion().setFromUnitVectors(
-                up,
-                normal.clone().normalize(),
-            );
-            ref.current.quaternion.copy(quaternion);
-        }
-    }, [normal]);
-
-    return (
-        <mesh ref={ref} position={position}>
-            <planeGeometry args={[size, size]} />
-            <meshBasicMaterial
-                color="green"
-                side={THREE.DoubleSide}
-                transparent
-                opacity={0.4}
-            />
-        </mesh>
-    );
-}
-
-function NormalArrow({ normal, position, length = 3000, color = 0x00ff00 }) {
-    // Create arrow helper only once, memoized
-    const arrowHelper = React.useMemo(() => new THREE.ArrowHelper(), []);
-
-    React.useEffect(() => {
-        if (normal && position && arrowHelper) {
-            arrowHelper.setDirection(normal.clone().normalize());
-            arrowHelper.position.copy(position);
-            arrowHelper.setLength(length);
-            arrowHelper.setColor(new THREE.Color(color));
-        }
-    }, [normal, position, length, color, arrowHelper]);
-
-    return <primitive object={arrowHelper} />;
-}
-
 export default function App() {
     const [activePlane, setActivePlane] = useState(null);
-    const [planeSelections, setPlaneSelections] = useState({
-        plane1: null,
-        plane2: null,
+    const [hoveredMesh, setHoveredMesh] = useState(null);
+    const [materialMode, setMaterialMode] = useState(
+        ModelMaterials.DEFAULT_MODE,
+    );
+    const [projection, setProjection] = useState('orthographic');
+    const [fitTarget, setFitTarget] = useState('model');
+    const [planes, setPlanes] = useState(PlaneList.initial);
+    const [referenceLayers, setReferenceLayers] = useState(
+        ReferenceGeometry.createLayers,
+    );
+    const [history, setHistory] = useState(History.create);
+    const [embedModel, setEmbedModel] = useState(true);
+    const [projectMessage, setProjectMessage] = useState(null);
+    const [recovery, setRecovery] = useState(null);
+    const [autosaveReady, setAutosaveReady] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    const [showExport, setShowExport] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [exportError, setExportError] = useState(null);
+    const [facetFit, setFacetFit] = useState({
+        enabled: false,
+        angleTolerance: FacetFit.DEFAULT_ANGLE_TOLERANCE,
     });
     const [cubePosition, setCubePosition] = useState(
         new THREE.Vector3(0, 0, 0),
     );
-    const [aligned, setAligned] = useState(null);
-    const [points, setPoints] = useState();
+    const [stock, setStock] = useState(StockBlock.createConfig);
+    const [stockPlan, setStockPlan] = useState(null);
+    const [stockError, setStockError] = useState(null);
+    const [showStock, setShowStock] = useState(false);
+    const [yieldSettings, setYieldSettings] = useState({
+        unit: Proportions.DEFAULT_UNIT,
+        material: MeshMetrics.DEFAULT_MATERIAL,
+        rough: 'block',
+    });
+    const [showYield, setShowYield] = useState(false);
+    const [roughScan, setRoughScan] = useState(null);
+    const [loadingRough, setLoadingRough] = useState(false);
+    const [roughError, setRoughError] = useState(null);
+    const [transformMode, setTransformMode] = useState('rotate');
+    const [transformSpace, setTransformSpace] = useState('local');
+    const [transformSnap, setTransformSnap] = useState(
+        ObjectTransform.DEFAULT_SNAP,
+    );
+    const [showTransform, setShowTransform] = useState(true);
+    // Bumped while the gizmo drags, so live metrics recompute
+    const [transformTick, setTransformTick] = useState(0);
+    const [alignConstraints, setAlignConstraints] = useState(() =>
+        structuredClone(
+            Alignment.PRESETS[Alignment.DEFAULT_PRESET].constraints,
+        ),
+    );
+    const [alignPresets, setAlignPresets] = useState(Alignment.loadPresets);
+    const [alignment, setAlignment] = useState(null);
+    const [alignError, setAlignError] = useState(null);
+    const [aligning, setAligning] = useState(false);
+    const [model, setModel] = useState(null);
+    const [loadingModel, setLoadingModel] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [dragActive, setDragActive] = useState(false);
+    const [meshFilter, setMeshFilter] = useState(MeshFilter.createConfig());
+    const [meshEntries, setMeshEntries] = useState([]);
+    const [showOutliner, setShowOutliner] = useState(false);
+    const [showAnalysis, setShowAnalysis] = useState(false);
+    const [analysis, setAnalysis] = useState(null);
+    const [analysisError, setAnalysisError] = useState(null);
+    const [showMeasurements, setShowMeasurements] = useState(false);
+    const [report, setReport] = useState(null);
+    const [reportError, setReportError] = useState(null);
+    const [showSymmetry, setShowSymmetry] = useState(false);
+    const [symmetry, setSymmetry] = useState(null);
+    const [symmetryError, setSymmetryError] = useState(null);
+    const [symmetryTolerances, setSymmetryTolerances] = useState(
+        Symmetry.loadTolerances,
+    );
+    const [showSymmetryOverlay, setShowSymmetryOverlay] = useState(true);
+    const [showCompare, setShowCompare] = useState(false);
+    const [compareReference, setCompareReference] = useState(null);
+    const [loadingReference, setLoadingReference] = useState(false);
+    const [comparison, setComparison] = useState(null);
+    const [compareError, setCompareError] = useState(null);
+    const [compareSettings, setCompareSettings] = useState({
+        unit: Proportions.DEFAULT_UNIT,
+        range: null,
+        showReference: true,
+        showHeatmap: true,
+    });
+    const [measureTool, setMeasureTool] = useState(null);
+    const [pendingMeasure, setPendingMeasure] = useState(null);
+    const [measurements, setMeasurements] = useState([]);
+    const [showSection, setShowSection] = useState(false);
+    const [section, setSection] = useState({
+        enabled: false,
+        axis: 'y',
+        offset: 0.5,
+        flip: false,
+    });
 
     const glbSceneRef = useRef();
-    const boxRef = useRef();
+    const blockRef = useRef();
     const groupRef = useRef();
     const cameraControlsRef = useRef();
+    // Camera pose to carry over to the controls of the next projection
+    const pendingPoseRef = useRef(null);
     const transformControlsRef = useRef();
+    const transformStartRef = useRef(null);
+    const fileInputRef = useRef();
+    const projectInputRef = useRef();
+    const modelObjectRef = useRef(null);
+    // Project being restored; its transforms, camera and stock block are
+    // applied once the model's scene has mounted
+    const pendingProjectRef = useRef(null);
 
-    useEffect(() => {
-        function onResize() {
-            const camera = cameraControlsRef.current?.camera;
-            if (camera?.isOrthographicCamera) {
-                const aspect = window.innerWidth / window.innerHeight;
-                const frustumHeight = 1000; // desired size
-                camera.left = (-frustumHeight * aspect) / 2;
-                camera.right = (frustumHeight * aspect) / 2;
-                camera.top = frustumHeight / 2;
-                camera.bottom = -frustumHeight / 2;
-                camera.updateProjectionMatrix();
+    const loadModel = async (load, project = null) => {
+        setLoadingModel(true);
+        setLoadError(null);
+        try {
+            const next = await load();
+            const pending = pendingProjectRef.current;
+            const restore =
+                project || (pending?.model.name === next.name ? pending : null);
+            pendingProjectRef.current = restore;
+            if (restore) setProjectMessage(null);
+            // The reference cut is mounted inside the scan and outlives it
+            compareReference?.scene.removeFromParent();
+            ModelMaterials.restore(modelObjectRef.current);
+            ModelLoader.dispose(modelObjectRef.current);
+            modelObjectRef.current = next.scene;
+            groupRef.current?.rotation.set(0, 0, 0);
+            setActivePlane(null);
+            setPlanes(restore ? restore.planes : PlaneList.initial());
+            setHistory(History.create());
+            setAlignment(null);
+            setAlignError(null);
+            setAnalysis(null);
+            setAnalysisError(null);
+            setReport(null);
+            setReportError(null);
+            setSymmetry(null);
+            setSymmetryError(null);
+            setComparison(null);
+            setCompareError(null);
+            setMeasureTool(null);
+            setPendingMeasure(null);
+            setMeasurements(restore ? restore.measurements : []);
+            setStockPlan(null);
+            setStockError(null);
+            const meshes = [];
+            next.scene.traverse((child) => child.isMesh && meshes.push(child));
+            setMeshFilter(
+                restore?.meshFilter || MeshFilter.load(next.name, meshes),
+            );
+            if (restore) {
+                setAlignConstraints(restore.alignment.constraints);
+                if (restore.section) setSection(restore.section);
+                if (restore.stock) setStock(restore.stock);
             }
+            setModel(next);
+        } catch (error) {
+            console.error(error);
+            setLoadError(error.message || String(error));
+        } finally {
+            setLoadingModel(false);
         }
-        window.addEventListener('resize', onResize);
-        onResize();
-        return () => window.removeEventListener('resize', onResize);
+    };
+
+    useEffect(() => {
+        loadModel(() => ModelLoader.loadUrl(DEFAULT_MODEL_URL));
     }, []);
 
-    // useEffect(() => {
-    //     setTimeout(() => {
-    //         handleFitToView();
-    //     }, 500);
-    // }, []);
+    // Offer the autosaved session before autosave starts overwriting it
+    useEffect(() => {
+        Project.loadAutosave()
+            .then((project) => {
+                if (project) setRecovery(project);
+                else setAutosaveReady(true);
+            })
+            .catch((error) => {
+                console.warn('Could not read the autosaved project', error);
+                setAutosaveReady(true);
+            });
+    }, []);
+
+    const buildProject = (embed) =>
+        Project.create({
+            model,
+            embedModel: embed,
+            meshFilter,
+            planes,
+            alignConstraints,
+            modelObject: glbSceneRef.current,
+            groupObject: groupRef.current,
+            cubePosition,
+            stock,
+            measurements,
+            section,
+            camera: cameraControlsRef.current?.toJSON(),
+        });
+
+    // The model files are stored once per load; the autosaves below only
+    // reference them
+    useEffect(() => {
+        if (!autosaveReady || !model) return;
+        Project.saveAutosaveModel(model).catch((error) =>
+            console.warn('Could not autosave the model', error),
+        );
+    }, [autosaveReady, model]);
+
+    useEffect(() => {
+        if (!autosaveReady || !model) return;
+        const timer = setTimeout(() => {
+            Project.saveAutosave(buildProject(false), model).catch((error) =>
+                console.warn('Autosave failed', error),
+            );
+        }, AUTOSAVE_DELAY);
+        return () => clearTimeout(timer);
+    }, [
+        autosaveReady,
+        model,
+        planes,
+        measurements,
+        meshFilter,
+        history,
+        cubePosition,
+        stock,
+        alignConstraints,
+        section,
+    ]);
+
+    // A project that only references its model waits for the user to open
+    // that file; loadModel picks it up by name.
+    const openProject = (data) => {
+        const project = Project.revive(data);
+        if (project.model.source.kind === 'reference') {
+            pendingProjectRef.current = project;
+            setProjectMessage(
+                `Open ${project.model.source.files
+                    .map(({ name }) => name)
+                    .join(', ')} to finish restoring the project`,
+            );
+            return;
+        }
+        loadModel(() => ModelLoader.loadSource(project.model.source), project);
+    };
+
+    const openProjectFile = async (file) => {
+        try {
+            openProject(Project.parse(await file.text()));
+        } catch (error) {
+            console.error(error);
+            setProjectMessage(error.message || String(error));
+        }
+    };
 
-    const handleSelectPlane1 = () => {
-        if (!planeSelections.plane1) setActivePlane('plane1');
+    const handleProjectInput = (e) => {
+        const file = e.target.files?.[0];
+        if (file) openProjectFile(file);
+        e.target.value = '';
     };
 
-    const handleSelectPlane2 = () => {
-        if (!planeSelections.plane2) setActivePlane('plane2');
+    const handleSaveProject = () => {
+        if (!model) return;
+        Utils.downloadFile(
+            `${Utils.getBaseName(model.name)}${Project.EXTENSION}`,
+            Project.stringify(buildProject(embedModel)),
+            'application/json',
+        );
     };
 
-    const handleModelLoaded = (box) => {
-        const size = new THREE.Vector3();
-        box.getSize(size);
-        const center = new THREE.Vector3();
-        box.getCenter(center);
+    const handleRecover = () => {
+        openProject(recovery);
+        setRecovery(null);
+        setAutosaveReady(true);
+    };
 
-        // Camera should be placed behind Z based on box size
-        const distance = Math.max(size.x, size.y, size.z) * 2;
+    const handleDiscardRecovery = () => {
+        Project.clearAutosave().catch((error) =>
+            console.warn('Could not clear the autosaved project', error),
+        );
+        setRecovery(null);
+        setAutosaveReady(true);
+    };
 
-        const from = center.clone().add(new THREE.Vector3(0, distance, 0));
-        const to = center;
+    const handleFileInput = (e) => {
+        const files = e.target.files;
+        if (files?.length) loadModel(() => ModelLoader.loadFiles(files));
+        e.target.value = '';
+    };
 
-        requestAnimationFrame(() => {
-            if (cameraControlsRef.current) {
-                cameraControlsRef.current.setLookAt(
-                    from.x,
-                    from.y,
-                    from.z,
-                    to.x,
-                    to.y,
-                    to.z,
-                    true,
-                );
-                cameraControlsRef.current.saveState();
-            }
-        });
+    const handleMeshFilterChange = (config) => {
+        setMeshFilter(config);
+        if (model) MeshFilter.save(model.name, config);
     };
 
-    const handleApply = () => {
-        setActivePlane(null);
+    const runAnalysis = (meshName, options) => {
+        const entry = meshEntries.find((item) => item.name === meshName);
+        if (!entry) return;
+        setAnalysisError(null);
+        try {
+            const result = FacetAnalysis.analyze(entry.mesh, options);
+            if (!result) throw new Error('No planar facets found');
+            setAnalysis({ ...result, options });
+        } catch (error) {
+            console.error(error);
+            setAnalysis(null);
+            setAnalysisError(error.message || String(error));
+        }
+    };
+
+    const toModelFrame = (normal, point) =>
+        glbSceneRef.current
+            ? Alignment.toModelFrame(glbSceneRef.current, normal, point)
+            : null;
+
+    const handleUseFacet = (facet, name) => {
+        commitPlanes(
+            PlaneList.addFacet(
+                planes,
+                facet,
+                name,
+                FacetAnalysis.COLORS[facet.kind],
+                toModelFrame(facet.normal, facet.centroid),
+            ),
+            `Add ${name}`,
+        );
+    };
+
+    // One-click alternative to the two-pick workflow: rotate the model so
+    // the detected table faces +Z, then re-run the analysis in the new pose.
+    const handleAlignTable = async () => {
+        const object = glbSceneRef.current;
+        if (!analysis || !object || aligning) return;
+        const rotation = new THREE.Quaternion().setFromUnitVectors(
+            analysis.table.normal.clone().normalize(),
+            new THREE.Vector3(0, 0, 1),
+        );
+        const before = History.captureTransform(object);
+        setAligning(true);
+        await Animation.animateQuaternion(
+            object,
+            Utils.getWorldRotationTarget(object, rotation),
+        );
+        setAligning(false);
+        recordCommand(
+            History.transformCommand(
+                'Align table to +Z',
+                object,
+                before,
+                History.captureTransform(object),
+            ),
+        );
+        runAnalysis(analysis.meshName, analysis.options);
+    };
 
-        const plane1 = planeSelections.plane1;
-        const plane2 = planeSelections.plane2;
+    const handleComputeProportions = (meshName, unit) => {
+        const entry = meshEntries.find((item) => item.name === meshName);
+        if (!entry) return;
+        setReportError(null);
+        try {
+            const result = Proportions.compute(entry.mesh, {
+                unitScale: Proportions.UNITS[unit],
+                analysisOptions: analysis?.options,
+            });
+            setReport({ ...result, unit });
+        } catch (error) {
+            console.error(error);
+            setReport(null);
+            setReportError(error.message || String(error));
+        }
+    };
+
+    const handleAnalyzeSymmetry = (meshName) => {
+        const entry = meshEntries.find((item) => item.name === meshName);
+        if (!entry) return;
+        setSymmetryError(null);
+        try {
+            setSymmetry({
+                ...Symmetry.compute(entry.mesh, {
+                    analysisOptions: analysis?.options,
+                }),
+                mesh: entry.mesh,
+            });
+        } catch (error) {
+            console.error(error);
+            setSymmetry(null);
+            setSymmetryError(error.message || String(error));
+        }
+    };
+
+    const handleSymmetryTolerancesChange = (tolerances) => {
+        setSymmetryTolerances(tolerances);
+        Symmetry.saveTolerances(tolerances);
+    };
 
-        if (plane1?.normal && plane2?.normal) {
-            const mesh = glbSceneRef.current.getObjectByName(plane1.meshName);
-            const planeInstance1 = new THREE.Plane();
-            planeInstance1.setFromNormalAndCoplanarPoint(
-                plane1.normal,
-                plane1.centroid,
+    const symmetryReport = useMemo(
+        () =>
+            symmetry ? Symmetry.evaluate(symmetry, symmetryTolerances) : null,
+        [symmetry, symmetryTolerances],
+    );
+
+    const handleExportProportions = (format) => {
+        if (!report) return;
+        const baseName = `${Utils.getBaseName(model?.name)}-proportions`;
+        if (format === 'csv') {
+            Utils.downloadFile(
+                `${baseName}.csv`,
+                Proportions.toCSV(report),
+                'text/csv',
             );
-            const planeInstance2 = new THREE.Plane();
-            planeInstance2.setFromNormalAndCoplanarPoint(
-                plane2.normal,
-                plane2.centroid,
+        } else {
+            Utils.downloadFile(
+                `${baseName}.json`,
+                Proportions.toJSON(report, {
+                    model: model?.name,
+                    fileUnit: report.unit,
+                }),
+                'application/json',
             );
-            const planeShape = ClipPlane.getIntersectionContour(
-                mesh,
-                planeInstance1,
+        }
+    };
+
+    const handleMeasureToolChange = (tool) => {
+        setActivePlane(null);
+        setPendingMeasure(null);
+        setMeasureTool(tool);
+    };
+
+    // Measurement points and normals are kept in model-local space so the
+    // annotations (rendered inside the model) stay attached and angles stay
+    // valid through any rotation; values are reported in model units.
+    const handleMeasurePick = ({
+        mesh,
+        face,
+        faceIndex,
+        point,
+        snapDistance,
+    }) => {
+        const object = glbSceneRef.current;
+        if (!object) return;
+        object.updateWorldMatrix(true, false);
+        const scale = object.getWorldScale(new THREE.Vector3()).x;
+        const toLocal = (worldPoint) => object.worldToLocal(worldPoint.clone());
+        // Normals map back with the transpose of the world matrix
+        const normalMatrix = new THREE.Matrix3()
+            .setFromMatrix4(object.matrixWorld)
+            .transpose();
+        const toLocalNormal = (normal) =>
+            normal.clone().applyMatrix3(normalMatrix).normalize();
+        const addMeasurement = (measurement) => {
+            const next =
+                measurements.reduce(
+                    (max, item) => Math.max(max, Number(item.id.slice(1))),
+                    0,
+                ) + 1;
+            commitMeasurements(
+                [
+                    ...measurements,
+                    { id: `m${next}`, name: `M${next}`, ...measurement },
+                ],
+                `Measure M${next}`,
             );
-            const point = ClipPlane.getContourPlaneIntersection(
-                planeShape,
-                planeInstance2,
+            setPendingMeasure(null);
+        };
+
+        if (measureTool === 'thickness') {
+            const probe = MeasureTools.probeThickness(mesh, face, point);
+            if (!probe) return;
+            const value = probe.thickness / scale;
+            addMeasurement({
+                type: 'thickness',
+                meshName: mesh.name,
+                points: [toLocal(probe.entry), toLocal(probe.exit)],
+                value,
+                label: value.toFixed(3),
+                detail: 'entry → exit',
+            });
+        } else if (measureTool === 'distance') {
+            const snapped = MeasureTools.snapPoint(
+                mesh,
+                face,
+                point,
+                snapDistance,
             );
-            if (point.length == 0) {
-                const mesh2 = glbSceneRef.current.getObjectByName(
-                    plane2.meshName,
-                );
-                const planeInstance1 = new THREE.Plane();
-                planeInstance1.setFromNormalAndCoplanarPoint(
-                    plane1.normal,
-                    plane1.centroid,
-                );
-                const planeInstance2 = new THREE.Plane();
-                planeInstance2.setFromNormalAndCoplanarPoint(
-                    plane2.normal,
-                    plane2.centroid,
-                );
-                const planeShape = ClipPlane.getIntersectionContour(
-                    mesh2,
-                    planeInstance2,
-                );
-                const point = ClipPlane.getContourPlaneIntersection(
-                    planeShape,
-                    planeInstance1,
-                );
-                setAligned(true);
-                setPoints(point);
-            } else {
-                setAligned(true);
-                setPoints(point);
+            if (!pendingMeasure) {
+                setPendingMeasure({
+                    type: 'distance',
+                    point: toLocal(snapped.point),
+                    world: snapped.point,
+                    snap: snapped.snap,
+                });
+                return;
             }
+            const value =
+                pendingMeasure.world.distanceTo(snapped.point) / scale;
+            addMeasurement({
+                type: 'distance',
+                points: [pendingMeasure.point, toLocal(snapped.point)],
+                value,
+                label: value.toFixed(3),
+                detail: `${pendingMeasure.snap} → ${snapped.snap}`,
+            });
+        } else if (measureTool === 'angle') {
+            const facet = MeasureTools.getFacetNormal(mesh, face, faceIndex);
+            const anchor = facet.point || point;
+            if (!pendingMeasure) {
+                setPendingMeasure({
+                    type: 'angle',
+                    point: toLocal(anchor),
+                    normal: toLocalNormal(facet.normal),
+                    meshName: mesh.name,
+                });
+                return;
+            }
+            const value = MeasureTools.angleBetween(
+                pendingMeasure.normal,
+                toLocalNormal(facet.normal),
+            );
+            addMeasurement({
+                type: 'angle',
+                points: [pendingMeasure.point, toLocal(anchor)],
+                value,
+                label: `${value.toFixed(2)}°`,
+                detail: `${pendingMeasure.meshName} / ${mesh.name}`,
+            });
         }
     };
 
+    const modelMeshes = useMemo(
+        () => meshEntries.map((entry) => entry.mesh),
+        [meshEntries],
+    );
+
+    // The camera orbits around the axis the table is aligned to
+    const tableAxis = CameraViews.getTableAxis(alignConstraints);
+    const tableAxisRef = useRef(tableAxis);
+    tableAxisRef.current = tableAxis;
+
     useEffect(() => {
-        if (!points || !aligned) return;
-        const angleX = Utils.angleToEqualizeZ(points[0], points[1]);
-        Utils.animateRotation(glbSceneRef.current, angleX, 'x', () => {
-            const updatedPoints = [...points];
-            updatedPoints[0].applyAxisAngle(new THREE.Vector3(1, 0, 0), angleX);
-            updatedPoints[1].applyAxisAngle(new THREE.Vector3(1, 0, 0), angleX);
-            setPoints(updatedPoints);
-            setTimeout(() => {
-                const angleZ = Utils.angleZToEqualizeX(points[0], points[1]);
-                Utils.animateRotation(groupRef.current, angleZ, 'z');
-            }, 1000);
-        });
-    }, [aligned]);
+        if (cameraControlsRef.current)
+            CameraViews.setUp(cameraControlsRef.current, tableAxis);
+    }, [tableAxis]);
 
-    const handleFitToView = () => {
-        const glbScene = glbSceneRef.current; // We'll set this up below
-        const boxMesh = boxRef.current?.parent;
+    const sectionMeshes = useMemo(
+        () =>
+            meshEntries
+                .filter((entry) => entry.visible && !entry.excluded)
+                .map((entry) => entry.mesh),
+        [meshEntries],
+    );
 
-        if (!glbScene && !boxMesh) {
-            console.warn('❌ No model found to fit.');
-            return;
+    // The section plane is parameterised by a normal (world axis or a
+    // reference plane) and a 0..1 offset across the visible model bounds.
+    const sectionPlane = useMemo(() => {
+        if (!section.enabled || !sectionMeshes.length) return null;
+        const reference = PlaneList.find(planes, section.axis);
+        const normal = (
+            reference?.normal ||
+            SectionProfile.AXES[section.axis] ||
+            SectionProfile.AXES.y
+        )
+            .clone()
+            .normalize();
+        if (section.flip) normal.negate();
+
+        const box = new THREE.Box3();
+        sectionMeshes.forEach((mesh) => box.expandByObject(mesh));
+        if (box.isEmpty()) return null;
+        const range = SectionProfile.getOffsetRange(box, normal);
+        const constant = range.min + (range.max - range.min) * section.offset;
+        return {
+            plane: new THREE.Plane(normal, -constant),
+            size: box.getSize(new THREE.Vector3()).length() * 1.2,
+        };
+    }, [section, planes, sectionMeshes]);
+
+    const sectionContours = useMemo(() => {
+        if (!sectionPlane) return [];
+        return sectionMeshes
+            .flatMap((mesh) =>
+                ClipPlane.getIntersectionContours(mesh, sectionPlane.plane),
+            )
+            .filter((contour) => contour.length > 1);
+    }, [sectionPlane, sectionMeshes]);
+
+    const sectionProfile = useMemo(() => {
+        if (!sectionPlane) return null;
+        const scale =
+            glbSceneRef.current?.getWorldScale(new THREE.Vector3()).x || 1;
+        return SectionProfile.compute(
+            sectionContours,
+            sectionPlane.plane,
+            scale,
+        );
+    }, [sectionPlane, sectionContours]);
+
+    const handleExportSection = (formatName, unit) => {
+        if (!sectionProfile) return;
+        const { extension, type } = SectionExport.FORMATS[formatName];
+        Utils.downloadFile(
+            `${Utils.getBaseName(model?.name)}-section.${extension}`,
+            SectionExport.export(sectionProfile, formatName, {
+                unitScale: Proportions.UNITS[unit],
+                sourceUnit: unit,
+            }),
+            type,
+        );
+    };
+
+    // Clearances are re-checked whenever the block changes, so a plan that
+    // no longer fits shows which faces it crosses
+    const stockReport = useMemo(
+        () =>
+            stockPlan
+                ? StockBlock.report(
+                      stockPlan.root,
+                      stockPlan.meshes,
+                      stockPlan,
+                      stock,
+                  )
+                : null,
+        [stockPlan, stock],
+    );
+
+    // Stone in model units, including any scale applied with the gizmo
+    // on top of the display scale
+    const yieldMetrics = useMemo(() => {
+        const root = glbSceneRef.current;
+        if (!showYield || !root) return null;
+        const relativeScale = new THREE.Matrix4().makeScale(
+            ...root.scale.toArray().map((value) => value / MODEL_SCALE),
+        );
+        const stone = MeshMetrics.measure(sectionMeshes, (mesh) =>
+            relativeScale
+                .clone()
+                .multiply(StockBlock.getPartMatrix(root, mesh)),
+        );
+        let rough = null;
+        let roughMeshes = [];
+        if (yieldSettings.rough === 'scan' && roughScan) {
+            roughMeshes = roughScan.meshes;
+            rough = MeshMetrics.measure(roughMeshes, (mesh) =>
+                StockBlock.getPartMatrix(roughScan.scene, mesh),
+            );
+        } else if (yieldSettings.rough === 'block') {
+            const [x, y, z] = stock.size;
+            rough = { volume: x * y * z, area: 2 * (x * y + y * z + z * x) };
         }
+        return {
+            ...MeshMetrics.report({
+                stone,
+                rough,
+                unitScale: Proportions.UNITS[yieldSettings.unit],
+                material: yieldSettings.material,
+            }),
+            warnings: MeshMetrics.getWarnings([
+                ...sectionMeshes,
+                ...roughMeshes,
+            ]),
+        };
+    }, [
+        showYield,
+        sectionMeshes,
+        yieldSettings,
+        roughScan,
+        stock,
+        transformTick,
+        history,
+    ]);
 
-        const combinedBox = new THREE.Box3();
+    // A rough scan is drawn translucent inside the stock block
+    const handleLoadRough = async (files) => {
+        setLoadingRough(true);
+        setRoughError(null);
+        try {
+            const { name, scene } = await ModelLoader.loadFiles(files);
+            const meshes = [];
+            scene.traverse((child) => {
+                if (!child.isMesh) return;
+                child.material = new THREE.MeshStandardMaterial({
+                    color: '#ffb74d',
+                    transparent: true,
+                    opacity: 0.35,
+                    depthWrite: false,
+                    side: THREE.DoubleSide,
+                });
+                meshes.push(child);
+            });
+            ModelLoader.dispose(roughScan?.scene);
+            setRoughScan({ name, scene, meshes });
+            setYieldSettings((settings) => ({ ...settings, rough: 'scan' }));
+        } catch (error) {
+            console.error(error);
+            setRoughError(error.message || String(error));
+        } finally {
+            setLoadingRough(false);
+        }
+    };
 
-        if (glbScene) {
-            combinedBox.expandByObject(glbScene);
+    // The reference cut is drawn translucent inside the scan's root, placed
+    // by the registration once there is one
+    const handleLoadReference = async (files) => {
+        setLoadingReference(true);
+        setCompareError(null);
+        try {
+            const { name, scene } = await ModelLoader.loadFiles(files);
+            const meshes = [];
+            scene.traverse((child) => {
+                if (!child.isMesh) return;
+                child.material = new THREE.MeshStandardMaterial({
+                    color: '#4fc3f7',
+                    transparent: true,
+                    opacity: 0.35,
+                    depthWrite: false,
+                    side: THREE.DoubleSide,
+                });
+                child.raycast = () => {};
+                child.userData.isHelper = true;
+                meshes.push(child);
+            });
+            ModelLoader.dispose(compareReference?.scene);
+            setCompareReference({ name, scene, meshes });
+            setComparison(null);
+        } catch (error) {
+            console.error(error);
+            setCompareError(error.message || String(error));
+        } finally {
+            setLoadingReference(false);
         }
+    };
 
-        if (boxMesh) combinedBox.expandByObject(boxMesh);
+    const handleRegisterReference = () => {
+        const root = glbSceneRef.current;
+        if (!root || !compareReference || !sectionMeshes.length) return;
+        setCompareError(null);
+        try {
+            const scan = { root, meshes: sectionMeshes };
+            const reference = {
+                root: compareReference.scene,
+                meshes: compareReference.meshes,
+            };
+            const result = ScanCompare.register(scan, reference);
+            setComparison({
+                ...result,
+                deviations: ScanCompare.measure(scan, reference, result.matrix),
+            });
+        } catch (error) {
+            console.error(error);
+            setComparison(null);
+            setCompareError(error.message || String(error));
+        }
+    };
 
-        const size = new THREE.Vector3();
-        combinedBox.getSize(size);
-        const center = new THREE.Vector3();
-        combinedBox.getCenter(center);
+    // Deviations are in model units; the report is in microns
+    const compareReport = useMemo(() => {
+        const stats = comparison && ScanCompare.getStats(comparison.deviations);
+        if (!stats) return null;
+        const scale = Proportions.UNITS[compareSettings.unit] * 1000;
+        const range =
+            compareSettings.range > 0
+                ? compareSettings.range / scale
+                : stats.maxAbs || 1;
+        return {
+            stats: {
+                min: stats.min * scale,
+                max: stats.max * scale,
+                maxAbs: stats.maxAbs * scale,
+                mean: stats.mean * scale,
+                rms: stats.rms * scale,
+            },
+            histogram: ScanCompare.getHistogram(
+                comparison.deviations,
+                range,
+            ).map((bin) => ({
+                ...bin,
+                from: bin.from * scale,
+                to: bin.to * scale,
+            })),
+            range: range * scale,
+            modelRange: range,
+            fitRms: comparison.rms * scale,
+            iterations: comparison.iterations,
+        };
+    }, [comparison, compareSettings]);
 
-        const distance = Math.max(size.x, size.y, size.z) * 1.5;
+    const handleSolveStock = () => {
+        const root = glbSceneRef.current;
+        if (!root) return;
+        setStockError(null);
+        try {
+            // The block sits unrotated in the same group as the model, so
+            // the model's own quaternion is its orientation in the block
+            const plan = StockBlock.solve(
+                StockBlock.getModelPoints(root, sectionMeshes),
+                stock,
+                root.quaternion,
+            );
+            setStockPlan({ ...plan, root, meshes: sectionMeshes });
+        } catch (error) {
+            console.error(error);
+            setStockError(error.message || String(error));
+        }
+    };
 
-        const from = center.clone().add(new THREE.Vector3(0, distance, 0));
-        const to = center;
+    const handleExportModel = async ({
+        format,
+        mode,
+        meshNames,
+        includePlanes,
+        includeMeasurements,
+    }) => {
+        if (!glbSceneRef.current) return;
+        setExporting(true);
+        setExportError(null);
+        try {
+            const files = await ModelExport.export(
+                glbSceneRef.current,
+                sectionMeshes.filter((mesh) => meshNames.includes(mesh.name)),
+                {
+                    format,
+                    mode,
+                    modelName: model?.name,
+                    planes: includePlanes
+                        ? PlaneList.getSelected(planes)
+                        : null,
+                    measurements: includeMeasurements ? measurements : null,
+                },
+            );
+            files.forEach(({ fileName, content, type }) =>
+                Utils.downloadFile(fileName, content, type),
+            );
+        } catch (error) {
+            console.error(error);
+            setExportError(error.message);
+        } finally {
+            setExporting(false);
+        }
+    };
 
-        if (cameraControlsRef.current) {
-            cameraControlsRef.current.setLookAt(
-                from.x - 7500, // Adjusted to match the offset used in the model
-                from.y,
-                from.z,
-                to.x - 7500,
-                to.y,
-                to.z,
-                true,
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        if (!dragActive) setDragActive(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (e.currentTarget.contains(e.relatedTarget)) return;
+        setDragActive(false);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        const files = e.dataTransfer.files;
+        const project = Array.from(files || []).find((file) =>
+            file.name.endsWith('.json'),
+        );
+        if (project) openProjectFile(project);
+        else if (files?.length) loadModel(() => ModelLoader.loadFiles(files));
+    };
+
+    const recordCommand = (command) =>
+        setHistory((current) => History.record(current, command));
+
+    const restorePlanes = (value) => {
+        setPlanes(value);
+        setActivePlane(null);
+    };
+
+    // Every plane edit goes through here so undo never restores a list
+    // that misses a later change
+    const commitPlanes = (next, label, mergeKey) => {
+        recordCommand({
+            ...History.stateCommand(label, restorePlanes, planes, next),
+            mergeKey,
+        });
+        setPlanes(next);
+    };
+
+    const commitMeasurements = (next, label) => {
+        recordCommand(
+            History.stateCommand(label, setMeasurements, measurements, next),
+        );
+        setMeasurements(next);
+    };
+
+    const handleUndo = () => {
+        if (!aligning) setHistory(History.undo(history));
+    };
+
+    const handleRedo = () => {
+        if (!aligning) setHistory(History.redo(history));
+    };
+
+    const handleHistoryJump = (count) => {
+        if (!aligning) setHistory(History.goTo(history, count));
+    };
+
+    // The listener is registered once and always calls the latest handlers
+    const historyActionsRef = useRef();
+    historyActionsRef.current = { undo: handleUndo, redo: handleRedo };
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const tag = e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT')
+                return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) historyActionsRef.current.undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y')
+                historyActionsRef.current.redo();
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    const handleAddPlane = () => {
+        setMeasureTool(null);
+        setPendingMeasure(null);
+        const next = PlaneList.add(planes);
+        commitPlanes(next, `Add ${next[next.length - 1].name}`);
+        setActivePlane(next[next.length - 1].id);
+    };
+
+    const handlePickPlane = (id) => {
+        setMeasureTool(null);
+        setPendingMeasure(null);
+        setActivePlane((current) => (current === id ? null : id));
+    };
+
+    const handleClearPlane = (id) => {
+        commitPlanes(
+            PlaneList.clearSelection(planes, id),
+            `Clear ${PlaneList.find(planes, id)?.name}`,
+        );
+        if (activePlane === id) setActivePlane(null);
+    };
+
+    const handleRemovePlane = (id) => {
+        commitPlanes(
+            PlaneList.remove(planes, id),
+            `Remove ${PlaneList.find(planes, id)?.name}`,
+        );
+        if (activePlane === id) setActivePlane(null);
+    };
+
+    // A run of edits to the same field of one plane is a single step
+    const handleUpdatePlane = (id, patch) => {
+        const name = PlaneList.find(planes, id)?.name;
+        commitPlanes(
+            PlaneList.update(planes, id, patch),
+            'name' in patch ? `Rename ${name}` : `Recolour ${name}`,
+            `${id}.${Object.keys(patch).join()}`,
+        );
+    };
+
+    const handleModelLoaded = () => {
+        const project = pendingProjectRef.current;
+        if (project) {
+            Project.applyTransform(
+                glbSceneRef.current,
+                project.alignment.model,
+            );
+            Project.applyTransform(groupRef.current, project.alignment.group);
+            if (project.camera) {
+                requestAnimationFrame(() =>
+                    cameraControlsRef.current?.fromJSON(project.camera),
+                );
+                return;
+            }
+        }
+
+        requestAnimationFrame(() => {
+            const controls = cameraControlsRef.current;
+            if (!controls) return;
+            CameraViews.setUp(controls, tableAxis);
+            CameraViews.show(
+                controls,
+                'top',
+                CameraViews.getBounds([glbSceneRef.current]),
+                false,
             );
-            cameraControlsRef.current.saveState();
+            controls.saveState();
+        });
+    };
+
+    const handleSceneLoaded = (scene) => {
+        const project = pendingProjectRef.current;
+        pendingProjectRef.current = null;
+        if (project?.cubePosition) {
+            setCubePosition(project.cubePosition);
+            return;
         }
+        const pos = scene.position.clone();
+        pos.x -= 15000; // same offset as before
+        setCubePosition(pos);
+    };
+
+    // Solves the constraint stack against the plane list and animates to
+    // the result. The solve works in the model's own frame, so applying
+    // twice lands on the same pose.
+    const handleApply = async () => {
+        setActivePlane(null);
+        const object = glbSceneRef.current;
+        if (!object || aligning) return;
+
+        setAlignError(null);
+        let solution;
+        try {
+            solution = Alignment.solve(alignConstraints, planes);
+        } catch (error) {
+            console.error(error);
+            setAlignError(error.message || String(error));
+            return;
+        }
+        const target = Alignment.getModelTarget(object, solution);
+        const before = History.captureTransform(object);
+        const previousReport = alignment;
+
+        setAligning(true);
+        await Animation.animateTransform(
+            object,
+            target.quaternion,
+            target.position,
+        );
+        setAligning(false);
+        const result = Alignment.report(
+            object,
+            alignConstraints,
+            planes,
+            solution,
+        );
+        setAlignment(result);
+        recordCommand(
+            History.transformCommand(
+                'Align',
+                object,
+                before,
+                History.captureTransform(object),
+                (direction) =>
+                    setAlignment(
+                        direction === 'undo' ? previousReport : result,
+                    ),
+            ),
+        );
+    };
+
+    // Typed values from the transform panel; undone like a gizmo drag
+    const handleTransformEdit = (field, index, value) => {
+        const object = glbSceneRef.current;
+        if (!object || aligning) return;
+        const before = History.captureTransform(object);
+        const changed = ObjectTransform.update(
+            object,
+            transformSpace,
+            field,
+            index,
+            value,
+            MODEL_SCALE,
+        );
+        const after = History.captureTransform(object);
+        if (!changed || History.isSameTransform(before, after)) return;
+        recordCommand(
+            History.transformCommand(
+                `Set ${field} ${index === 3 ? 'W' : 'XYZ'[index]}`,
+                object,
+                before,
+                after,
+            ),
+        );
+        setTransformTick((tick) => tick + 1);
+    };
+
+    const handleSavePreset = (name) => {
+        const next = {
+            ...alignPresets,
+            [name]: { label: name, constraints: alignConstraints },
+        };
+        setAlignPresets(next);
+        Alignment.savePresets(next);
+    };
+
+    const handleDeletePreset = (name) => {
+        const next = { ...alignPresets };
+        delete next[name];
+        setAlignPresets(next);
+        Alignment.savePresets(next);
+    };
+
+    const getFitObjects = () =>
+        ({
+            model: [glbSceneRef.current],
+            block: [blockRef.current],
+            all: [groupRef.current],
+        })[fitTarget];
+
+    const handleView = (key) => {
+        const controls = cameraControlsRef.current;
+        if (!controls) return;
+        CameraViews.setUp(controls, tableAxis);
+        CameraViews.show(controls, key, CameraViews.getBounds(getFitObjects()));
+    };
+
+    const handleFitToView = () => {
+        const controls = cameraControlsRef.current;
+        const box = CameraViews.getBounds(getFitObjects());
+        if (!controls || box.isEmpty()) return;
+        CameraViews.fit(controls, box);
     };
 
-    const handleMeshSelect = (plane, meshName, normal, centroid) => {
-        setPlaneSelections((prev) => ({
-            ...prev,
-            [plane]: { meshName, normal, centroid },
-        }));
+    // A projection switch mounts a new camera, and with it new controls;
+    // they take over the pose of the old ones
+    const handleProjectionChange = (next) => {
+        const controls = cameraControlsRef.current;
+        if (controls)
+            pendingPoseRef.current = CameraViews.capturePose(controls);
+        setProjection(next);
+    };
+
+    const handleControlsRef = useCallback((controls) => {
+        cameraControlsRef.current = controls;
+        if (!controls) return;
+        CameraViews.setUp(controls, tableAxisRef.current);
+        const pose = pendingPoseRef.current;
+        if (pose && pose.cameraType !== controls.camera.type) {
+            CameraViews.transferPose(controls, pose);
+            pendingPoseRef.current = null;
+        }
+    }, []);
+
+    const handleMeshSelect = (planeId, selection) => {
+        commitPlanes(
+            PlaneList.select(planes, planeId, {
+                ...selection,
+                local: toModelFrame(selection.normal, selection.centroid),
+            }),
+            `Pick ${PlaneList.find(planes, planeId)?.name}`,
+        );
         setActivePlane(null);
     };
 
     return (
-        <div style={{ position: 'relative', width: '100%', height: '100vh' }}>
+        <div
+            style={{ position: 'relative', width: '100%', height: '100vh' }}
+            onDragOver={handleDragOver}
+            onDragLeave={handleDragLeave}
+            onDrop={handleDrop}>
+            {dragActive && (
+                <div
+                    style={{
+                        position: 'absolute',
+                        inset: 10,
+                        zIndex: 20,
+                        border: '2px dashed white',
+                        color: 'white',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        pointerEvents: 'none',
+                    }}>
+                    Drop a GLB, GLTF, STL or OBJ file
+                </div>
+            )}
             <div
                 style={{
                     position: 'absolute',
@@ -401,20 +1513,153 @@ export default function App() {
                 }}>
                 {/* Left side buttons */}
                 <div>
-                    <button onClick={handleSelectPlane1}>Select Plane 1</button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".glb,.gltf,.stl,.obj,.bin,image/*"
+                        multiple
+                        style={{ display: 'none' }}
+                        onChange={handleFileInput}
+                    />
                     <button
-                        onClick={handleSelectPlane2}
-                        style={{ marginLeft: 10 }}>
-                        Select Plane 2
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={loadingModel}
+                        style={{ marginRight: 10 }}>
+                        {loadingModel ? 'Loading…' : 'Open Model'}
                     </button>
-                    <button onClick={handleApply} style={{ marginLeft: 10 }}>
+                    <input
+                        ref={projectInputRef}
+                        type="file"
+                        accept=".json"
+                        style={{ display: 'none' }}
+                        onChange={handleProjectInput}
+                    />
+                    <button
+                        onClick={() => projectInputRef.current?.click()}
+                        disabled={loadingModel}
+                        style={{ marginRight: 4 }}>
+                        Open Project
+                    </button>
+                    <button
+                        onClick={handleSaveProject}
+                        disabled={!model}
+                        style={{ marginRight: 4 }}>
+                        Save Project
+                    </button>
+                    <label
+                        title="Store the model file inside the project"
+                        style={{ marginRight: 10 }}>
+                        <input
+                            type="checkbox"
+                            checked={embedModel}
+                            onChange={(e) => setEmbedModel(e.target.checked)}
+                        />
+                        Embed model
+                    </label>
+                    <button onClick={handleApply} disabled={aligning}>
                         Apply
                     </button>
+                    <button
+                        onClick={() => setShowTransform((show) => !show)}
+                        style={{ marginLeft: 4 }}>
+                        Transform
+                    </button>
+                    <label style={{ marginLeft: 10 }}>
+                        <input
+                            type="checkbox"
+                            checked={facetFit.enabled}
+                            onChange={(e) =>
+                                setFacetFit({
+                                    ...facetFit,
+                                    enabled: e.target.checked,
+                                })
+                            }
+                        />
+                        Facet fit
+                    </label>
+                    <input
+                        type="number"
+                        min={0.1}
+                        max={45}
+                        step={0.5}
+                        value={facetFit.angleTolerance}
+                        disabled={!facetFit.enabled}
+                        title="Angle tolerance (°)"
+                        onChange={(e) =>
+                            setFacetFit({
+                                ...facetFit,
+                                angleTolerance: Number(e.target.value),
+                            })
+                        }
+                        style={{ width: 50, marginLeft: 4 }}
+                    />
+                    °
                 </div>
 
                 {/* Right side button */}
                 <div>
-                    <button onClick={handleFitToView}>Fit to View</button>
+                    <button
+                        onClick={() => setShowSection((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Section
+                    </button>
+                    <button
+                        onClick={() => setShowMeasurements((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Proportions
+                    </button>
+                    <button
+                        onClick={() => setShowAnalysis((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Facets
+                    </button>
+                    <button
+                        onClick={() => setShowSymmetry((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Symmetry
+                    </button>
+                    <button
+                        onClick={() => setShowCompare((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Compare
+                    </button>
+                    <button
+                        onClick={() => setShowOutliner((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Meshes
+                    </button>
+                    <select
+                        value={materialMode}
+                        title="Model materials"
+                        onChange={(e) => setMaterialMode(e.target.value)}
+                        style={{ marginRight: 10 }}>
+                        {Object.entries(ModelMaterials.MODES).map(
+                            ([key, label]) => (
+                                <option key={key} value={key}>
+                                    {label}
+                                </option>
+                            ),
+                        )}
+                    </select>
+                    <button
+                        onClick={() => setShowYield((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Yield
+                    </button>
+                    <button
+                        onClick={() => setShowStock((show) => !show)}
+                        style={{ marginRight: 10 }}>
+                        Stock
+                    </button>
+                    <button
+                        onClick={() => setShowExport((show) => !show)}
+                        disabled={!model}
+                        style={{ marginRight: 10 }}>
+                        Export
+                    </button>
+                    <button onClick={() => setShowHistory((show) => !show)}>
+                        History
+                    </button>
                 </div>
             </div>
 
@@ -427,80 +1672,394 @@ export default function App() {
                     zIndex: 10,
                     color: 'white',
                 }}>
-                Selected:
-                <div>Plane 1: {planeSelections.plane1?.meshName || '-'}</div>
-                <div>Plane 2: {planeSelections.plane2?.meshName || '-'}</div>
+                <div>Model: {model?.name || '-'}</div>
+                {loadError && (
+                    <div style={{ color: '#ff6b6b' }}>
+                        Failed to load model: {loadError}
+                    </div>
+                )}
+                {projectMessage && (
+                    <div style={{ color: '#ffd54f' }}>{projectMessage}</div>
+                )}
+                {recovery && (
+                    <div style={{ color: '#ffd54f' }}>
+                        Autosaved session of {recovery.model.name} from{' '}
+                        {new Date(recovery.savedAt).toLocaleString()}
+                        <button
+                            onClick={handleRecover}
+                            style={{ marginLeft: 6 }}>
+                            Restore
+                        </button>
+                        <button
+                            onClick={handleDiscardRecovery}
+                            style={{ marginLeft: 4 }}>
+                            Discard
+                        </button>
+                    </div>
+                )}
+                Planes:
+                <PlanePanel
+                    planes={planes}
+                    activePlane={activePlane}
+                    onAdd={handleAddPlane}
+                    onPick={handlePickPlane}
+                    onClear={handleClearPlane}
+                    onRemove={handleRemovePlane}
+                    onUpdate={handleUpdatePlane}
+                    layers={referenceLayers}
+                    onLayersChange={setReferenceLayers}
+                />
+                <AlignmentPanel
+                    constraints={alignConstraints}
+                    planes={planes}
+                    presets={alignPresets}
+                    result={alignment}
+                    error={alignError}
+                    onChange={setAlignConstraints}
+                    onSavePreset={handleSavePreset}
+                    onDeletePreset={handleDeletePreset}
+                />
             </div>
 
-            <Canvas
-                orthographic
-                camera={{
-                    zoom: 0.05,
-                    near: 1,
-                    far: 2000000,
-                    position: [0, 0, 0], // will be overridden by setLookAt
-                    left: -window.innerWidth / 2,
-                    right: window.innerWidth / 2,
-                    top: window.innerHeight / 2,
-                    bottom: -window.innerHeight / 2,
-                }}
-                onPointerMissed={() => setActivePlane(null)}>
+            <div
+                style={{
+                    position: 'absolute',
+                    top: 70,
+                    right: 20,
+                    zIndex: 10,
+                    color: 'white',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    gap: 10,
+                }}>
+                {showTransform && (
+                    <TransformPanel
+                        object={glbSceneRef.current}
+                        scaleUnit={MODEL_SCALE}
+                        mode={transformMode}
+                        space={transformSpace}
+                        snap={transformSnap}
+                        onModeChange={setTransformMode}
+                        onSpaceChange={setTransformSpace}
+                        onSnapChange={setTransformSnap}
+                        onEdit={handleTransformEdit}
+                    />
+                )}
+                {showAnalysis && (
+                    <FacetAnalysisPanel
+                        meshNames={meshEntries
+                            .filter((entry) => entry.pickable)
+                            .map((entry) => entry.name)}
+                        analysis={analysis}
+                        error={analysisError}
+                        onAnalyze={runAnalysis}
+                        onUseFacet={handleUseFacet}
+                        onAlignTable={handleAlignTable}
+                    />
+                )}
+                {showSection && (
+                    <SectionPanel
+                        section={section}
+                        planes={PlaneList.getSelected(planes)}
+                        profile={sectionProfile}
+                        onChange={setSection}
+                        onExport={handleExportSection}
+                    />
+                )}
+                <MeasureToolbar
+                    tool={measureTool}
+                    pending={pendingMeasure}
+                    measurements={measurements}
+                    onToolChange={handleMeasureToolChange}
+                    onRemove={(id) =>
+                        commitMeasurements(
+                            measurements.filter((item) => item.id !== id),
+                            `Remove ${
+                                measurements.find((item) => item.id === id)
+                                    ?.name
+                            }`,
+                        )
+                    }
+                    onClear={() => commitMeasurements([], 'Clear measurements')}
+                />
+                {showMeasurements && (
+                    <MeasurementPanel
+                        meshNames={meshEntries
+                            .filter((entry) => entry.pickable)
+                            .map((entry) => entry.name)}
+                        report={report}
+                        error={reportError}
+                        onCompute={handleComputeProportions}
+                        onExport={handleExportProportions}
+                    />
+                )}
+                {showSymmetry && (
+                    <SymmetryPanel
+                        meshNames={meshEntries
+                            .filter((entry) => entry.pickable)
+                            .map((entry) => entry.name)}
+                        report={symmetryReport}
+                        error={symmetryError}
+                        tolerances={symmetryTolerances}
+                        showOverlay={showSymmetryOverlay}
+                        onAnalyze={handleAnalyzeSymmetry}
+                        onTolerancesChange={handleSymmetryTolerancesChange}
+                        onShowOverlayChange={setShowSymmetryOverlay}
+                    />
+                )}
+                {showCompare && (
+                    <ComparePanel
+                        settings={compareSettings}
+                        referenceName={compareReference?.name}
+                        loadingReference={loadingReference}
+                        report={compareReport}
+                        error={compareError}
+                        onChange={setCompareSettings}
+                        onLoadReference={handleLoadReference}
+                        onRegister={handleRegisterReference}
+                    />
+                )}
+                {showOutliner && (
+                    <MeshOutliner
+                        modelName={model?.name}
+                        entries={meshEntries}
+                        config={meshFilter}
+                        onChange={handleMeshFilterChange}
+                    />
+                )}
+                {showStock && (
+                    <StockPanel
+                        config={stock}
+                        report={stockReport}
+                        error={stockError}
+                        onChange={setStock}
+                        onSolve={handleSolveStock}
+                        onClear={() => setStockPlan(null)}
+                    />
+                )}
+                {showYield && (
+                    <YieldPanel
+                        settings={yieldSettings}
+                        metrics={yieldMetrics}
+                        roughName={roughScan?.name}
+                        loadingRough={loadingRough}
+                        error={roughError}
+                        onChange={setYieldSettings}
+                        onLoadRough={handleLoadRough}
+                    />
+                )}
+                {showExport && model && (
+                    <ExportPanel
+                        meshNames={sectionMeshes.map((mesh) => mesh.name)}
+                        hasPlanes={PlaneList.getSelected(planes).length > 0}
+                        hasMeasurements={measurements.length > 0}
+                        exporting={exporting}
+                        error={exportError}
+                        onExport={handleExportModel}
+                    />
+                )}
+                {showHistory && (
+                    <HistoryPanel
+                        history={history}
+                        disabled={aligning}
+                        onUndo={handleUndo}
+                        onRedo={handleRedo}
+                        onJump={handleHistoryJump}
+                    />
+                )}
+            </div>
+
+            <ViewToolbar
+                controlsRef={cameraControlsRef}
+                tableAxis={tableAxis}
+                projection={projection}
+                fitTarget={fitTarget}
+                onView={handleView}
+                onProjectionChange={handleProjectionChange}
+                onFitTargetChange={setFitTarget}
+                onFit={handleFitToView}
+            />
+
+            <Canvas onPointerMissed={() => setActivePlane(null)}>
+                {projection === 'perspective' ? (
+                    <PerspectiveCamera
+                        makeDefault
+                        fov={35}
+                        near={10}
+                        far={2000000}
+                    />
+                ) : (
+                    <OrthographicCamera
+                        makeDefault
+                        zoom={0.05}
+                        near={1}
+                        far={2000000}
+                    />
+                )}
                 <ambientLight intensity={0.4} />
                 <directionalLight position={[10, 10, 10]} intensity={0.8} />
                 <directionalLight position={[-10, 10, -10]} intensity={0.6} />
-                <CameraControls ref={cameraControlsRef} />
+                <CameraControls ref={handleControlsRef} />
 
                 {glbSceneRef.current && (
                     <TransformControls
                         ref={transformControlsRef}
                         object={glbSceneRef.current}
-                        mode="rotate" // "translate", "scale", or "rotate"
+                        mode={transformMode}
+                        space={transformSpace}
+                        translationSnap={
+                            transformSnap.enabled
+                                ? transformSnap.translate
+                                : null
+                        }
+                        rotationSnap={
+                            transformSnap.enabled
+                                ? THREE.MathUtils.degToRad(transformSnap.rotate)
+                                : null
+                        }
+                        scaleSnap={
+                            transformSnap.enabled ? transformSnap.scale : null
+                        }
                         enabled={true} // or use transformEnabled state
                         showX={true}
                         showY={true}
                         showZ={true}
-                        onMouseDown={() =>
-                            (cameraControlsRef.current.enabled = false)
-                        }
-                        onMouseUp={() =>
-                            (cameraControlsRef.current.enabled = true)
+                        onMouseDown={() => {
+                            cameraControlsRef.current.enabled = false;
+                            transformStartRef.current =
+                                History.captureTransform(glbSceneRef.current);
+                        }}
+                        onObjectChange={() =>
+                            setTransformTick((tick) => tick + 1)
                         }
+                        onMouseUp={() => {
+                            cameraControlsRef.current.enabled = true;
+                            const before = transformStartRef.current;
+                            const after = History.captureTransform(
+                                glbSceneRef.current,
+                            );
+                            transformStartRef.current = null;
+                            if (
+                                before &&
+                                !History.isSameTransform(before, after)
+                            )
+                                recordCommand(
+                                    History.transformCommand(
+                                        TRANSFORM_LABELS[transformMode],
+                                        glbSceneRef.current,
+                                        before,
+                                        after,
+                                    ),
+                                );
+                        }}
                     />
                 )}
                 <group ref={groupRef}>
-                    <GLBModel
-                        modelRef={glbSceneRef}
-                        activePlane={activePlane}
-                        onSelect={handleMeshSelect}
-                        onModelLoaded={handleModelLoaded} // <-- this is key
-                        onSceneLoaded={(scene) => {
-                            const pos = scene.position.clone();
-                            pos.x -= 15000; // same offset as before
-                            setCubePosition(pos);
-                        }}
-                    />
-                    <mesh
-                        scale={2.5}
-                        position={[
-                            cubePosition.x,
-                            cubePosition.y,
-                            cubePosition.z,
-                        ]}>
-                        <boxGeometry
-                            attach="geometry"
-                            args={[3000, 3000, 3000]}
-                            ref={boxRef}
+                    {model && (
+                        <ErrorBoundary
+                            resetKey={model.scene.uuid}
+                            onError={(error) =>
+                                setLoadError(error.message || String(error))
+                            }>
+                            <GLBModel
+                                object={model.scene}
+                                modelRef={glbSceneRef}
+                                activePlane={activePlane}
+                                planes={planes}
+                                facetFit={facetFit}
+                                meshFilter={meshFilter}
+                                materialMode={materialMode}
+                                onMeshesFiltered={setMeshEntries}
+                                onHover={setHoveredMesh}
+                                onUnhover={(mesh) =>
+                                    setHoveredMesh((current) =>
+                                        current === mesh ? null : current,
+                                    )
+                                }
+                                onSelect={handleMeshSelect}
+                                measureTool={measureTool}
+                                onMeasurePick={handleMeasurePick}
+                                onModelLoaded={handleModelLoaded} // <-- this is key
+                                onSceneLoaded={handleSceneLoaded}>
+                                <MeasurementAnnotations
+                                    measurements={measurements}
+                                    pending={pendingMeasure}
+                                />
+                                <ReferenceOverlays
+                                    root={glbSceneRef.current}
+                                    planes={planes}
+                                    meshes={sectionMeshes}
+                                    layers={referenceLayers}
+                                    onSelectPlane={
+                                        activePlane || measureTool
+                                            ? null
+                                            : handlePickPlane
+                                    }
+                                />
+                                {compareReference && (
+                                    <primitive
+                                        object={compareReference.scene}
+                                        matrix={
+                                            comparison?.matrix ||
+                                            IDENTITY_MATRIX
+                                        }
+                                        matrixAutoUpdate={false}
+                                        visible={
+                                            showCompare &&
+                                            compareSettings.showReference
+                                        }
+                                    />
+                                )}
+                            </GLBModel>
+                        </ErrorBoundary>
+                    )}
+                    {materialMode === 'gem' && (
+                        <GemMaterials
+                            meshes={modelMeshes}
+                            material={
+                                MeshMetrics.MATERIALS[yieldSettings.material]
+                            }
                         />
-                        <meshPhysicalMaterial attach="material" color="white" />
-                    </mesh>
+                    )}
+                    <StockBlockView
+                        position={cubePosition}
+                        scale={MODEL_SCALE}
+                        config={stock}
+                        plan={stockPlan}
+                        report={stockReport}
+                        rough={
+                            yieldSettings.rough === 'scan'
+                                ? roughScan?.scene
+                                : null
+                        }
+                        blockRef={blockRef}
+                    />
                 </group>
 
-                {planeSelections.plane1 && (
-                    <NormalArrow
-                        normal={planeSelections.plane1.normal}
-                        position={planeSelections.plane1.position}
+                {sectionPlane && (
+                    <SectionView
+                        meshes={sectionMeshes}
+                        plane={sectionPlane.plane}
+                        contours={sectionContours}
+                        size={sectionPlane.size}
+                        materialMode={materialMode}
+                    />
+                )}
+                {showSymmetry && showSymmetryOverlay && (
+                    <SymmetryOverlay
+                        mesh={symmetryReport?.mesh}
+                        report={symmetryReport}
+                    />
+                )}
+                {showCompare && compareSettings.showHeatmap && (
+                    <DeviationOverlay
+                        deviations={comparison?.deviations}
+                        range={compareReport?.modelRange}
                     />
                 )}
+                <Highlights
+                    hovered={activePlane || measureTool ? hoveredMesh : null}
+                />
                 <axesHelper args={[5000]} />
             </Canvas>
         </div>
@@ -0,0 +1,170 @@
+import { Alignment } from './Alignment';
+import { FacetAnalysis } from './FacetAnalysis';
+import { GlbWriter } from './GlbWriter';
+import { MeshFilter } from './MeshFilter';
+import { MeshMetrics } from './MeshMetrics';
+import { ModelExport } from './ModelExport';
+import { ModelLoader } from './ModelLoader';
+import { Proportions } from './Proportions';
+import { Utils } from './Utils';
+
+// Unattended alignment and measurement of one stone, with no React, DOM or
+// browser APIs, so it runs from the command line as well as in the viewer.
+// The reference planes come from the facet analysis instead of picks.
+export class Batch {
+    // Self-contained formats; a .gltf needs its sibling files resolved
+    static EXTENSIONS = ['glb', 'stl', 'obj'];
+
+    // Slots: 0 is the table, 1 the largest pavilion facet
+    static CONSTRAINTS = [
+        { type: 'normal', planes: [0], axis: '+Z' },
+        { type: 'edge', planes: [0, 1], axis: '+X' },
+        { type: 'origin', planes: [0], axis: '+Z' },
+    ];
+
+    static isSupported(name) {
+        return Batch.EXTENSIONS.includes(ModelLoader.getExtension(name));
+    }
+
+    static getMeshes(scene) {
+        const meshes = [];
+        scene.traverse((child) => {
+            if (child.isMesh) meshes.push(child);
+        });
+        return meshes;
+    }
+
+    // Mesh states the viewer starts this model with: the shipped filter
+    // presets apply, so e.g. the rough scan bundled in scene.glb is left out
+    static filterMeshes(meshes) {
+        return MeshFilter.apply(meshes, MeshFilter.getDefaultConfig(meshes));
+    }
+
+    // The named mesh, or the pickable one with the most triangles
+    static getStone(entries, meshName) {
+        if (meshName) {
+            const entry = entries.find(
+                (candidate) => candidate.name === meshName,
+            );
+            if (!entry) throw new Error(`No mesh named "${meshName}"`);
+            if (entry.excluded)
+                throw new Error(
+                    `Mesh "${meshName}" is excluded by the mesh filter`,
+                );
+            return entry.mesh;
+        }
+        const meshes = entries
+            .filter((entry) => entry.pickable)
+            .map((entry) => entry.mesh);
+        if (!meshes.length)
+            throw new Error('The model contains no pickable meshes');
+        return meshes.reduce((best, mesh) =>
+            MeshMetrics.getTriangleCount(mesh.geometry) >
+            MeshMetrics.getTriangleCount(best.geometry)
+                ? mesh
+                : best,
+        );
+    }
+
+    // Plane entries shaped like the viewer's picks, so the alignment
+    // solver takes them unchanged
+    static getPlanes(root, analysis) {
+        const facets = [
+            ['Table', analysis.table],
+            [
+                'Pavilion main',
+                analysis.pavilion.reduce(
+                    (best, facet) =>
+                        !best || facet.area > best.area ? facet : best,
+                    null,
+                ) || analysis.culet,
+            ],
+        ];
+        return facets.map(([name, facet]) => ({
+            name,
+            meshName: analysis.meshName,
+            local: Alignment.toModelFrame(root, facet.normal, facet.centroid),
+        }));
+    }
+
+    // World normal and centroid in the current pose, for the metadata
+    static placePlanes(root, planes) {
+        root.updateWorldMatrix(true, false);
+        return planes.map((plane) => ({
+            ...plane,
+            normal: plane.local.normal
+                .clone()
+                .transformDirection(root.matrixWorld),
+            centroid: plane.local.point.clone().applyMatrix4(root.matrixWorld),
+        }));
+    }
+
+    // Loads, aligns and measures one model file. Resolves to the files to
+    // write, named like the viewer's downloads, and the results.
+    static async process(name, data, { unit, meshName } = {}) {
+        const unitScale = Proportions.UNITS[unit || Proportions.DEFAULT_UNIT];
+        if (!unitScale) throw new Error(`Unknown unit "${unit}"`);
+
+        const scene = await ModelLoader.parse(
+            data,
+            ModelLoader.getExtension(name),
+        );
+        const entries = Batch.filterMeshes(Batch.getMeshes(scene));
+        const stone = Batch.getStone(entries, meshName);
+        const analysis = FacetAnalysis.analyze(stone);
+        if (!analysis) throw new Error('No planar facets found');
+
+        const planes = Batch.getPlanes(scene, analysis);
+        const solution = Alignment.solve(Batch.CONSTRAINTS, planes);
+        const target = Alignment.getModelTarget(scene, solution);
+        scene.quaternion.copy(target.quaternion);
+        scene.position.copy(target.position);
+        scene.updateMatrixWorld(true);
+
+        const alignment = Alignment.report(
+            scene,
+            Batch.CONSTRAINTS,
+            planes,
+            solution,
+        );
+        const report = Proportions.compute(stone, { unitScale });
+        // Exported like the viewer's download: the meshes left on screen
+        const meshes = entries
+            .filter((entry) => entry.visible && !entry.excluded)
+            .map((entry) => entry.mesh);
+        const exported = ModelExport.buildScene(scene, meshes, 'bake');
+        exported.userData.diamond_poc = ModelExport.getMetadata(scene, {
+            modelName: name,
+            mode: 'bake',
+            planes: Batch.placePlanes(scene, planes),
+        });
+
+        const baseName = Utils.getBaseName(name);
+        return {
+            name,
+            alignment,
+            report,
+            files: [
+                {
+                    fileName: `${baseName}-aligned.glb`,
+                    content: GlbWriter.write(exported),
+                },
+                {
+                    fileName: `${baseName}-proportions.csv`,
+                    content: Proportions.toCSV(report),
+                },
+            ],
+        };
+    }
+
+    // Worst alignment residual in degrees, for the run summary
+    static getAlignmentError(alignment) {
+        return alignment.rows.reduce(
+            (max, row) =>
+                row.unit === '°' && row.error !== null
+                    ? Math.max(max, row.error)
+                    : max,
+            0,
+        );
+    }
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { readFileSync } from 'fs';
+import * as THREE from 'three';
+import { Batch } from './Batch';
+import { GlbWriter } from './GlbWriter';
+import { ModelLoader } from './ModelLoader';
+import { createBrilliant } from './testShapes';
+
+// A small stone and a larger, finer one named like the rough scan that
+// the scene.glb preset excludes, tilted off the table-up pose
+function createFile() {
+    const root = new THREE.Group();
+    const stone = createBrilliant(16);
+    stone.name = 'mesh_0';
+    const rough = createBrilliant(32);
+    rough.name = 'mesh_2';
+    rough.scale.setScalar(1.5);
+    rough.position.x = 400;
+    root.add(stone, rough);
+    root.rotation.set(0.4, 0.2, -0.7);
+    return GlbWriter.write(root);
+}
+
+// The bundled scene, which the shipped mesh filter preset recognises
+function readScene() {
+    const { buffer, byteOffset, byteLength } = readFileSync('public/scene.glb');
+    return buffer.slice(byteOffset, byteOffset + byteLength);
+}
+
+const getMeshNames = (scene) => {
+    const names = [];
+    scene.traverse((child) => child.isMesh && names.push(child.name));
+    return names;
+};
+
+describe('Batch.process', () => {
+    it('leaves out the meshes the shipped preset excludes', async () => {
+        const result = await Batch.process('copy.glb', readScene(), {
+            unit: 'mm',
+        });
+        expect(result.report.meshName).toBe('mesh_1');
+        expect(Batch.getAlignmentError(result.alignment)).toBeLessThan(1e-4);
+
+        const [glb, csv] = result.files;
+        expect(glb.fileName).toBe('copy-aligned.glb');
+        expect(csv.fileName).toBe('copy-proportions.csv');
+        const aligned = await ModelLoader.parse(glb.content, 'glb');
+        expect(getMeshNames(aligned)).not.toContain('mesh_2');
+    });
+
+    it('aligns and measures a synthetic stone', async () => {
+        const result = await Batch.process('stone.glb', createFile(), {
+            unit: 'mm',
+            meshName: 'mesh_0',
+        });
+        expect(Batch.getAlignmentError(result.alignment)).toBeLessThan(1e-4);
+        expect(result.report.values.totalDepth).toBeCloseTo(102, 3);
+    });
+
+    it('takes the largest mesh when no preset matches', async () => {
+        // Only the name matches the bundled scene
+        const result = await Batch.process('scene.glb', createFile());
+        expect(result.report.meshName).toBe('mesh_2');
+    });
+
+    it('takes a named mesh unless the rules exclude it', async () => {
+        const named = await Batch.process('stone.glb', createFile(), {
+            meshName: 'mesh_0',
+        });
+        expect(named.report.meshName).toBe('mesh_0');
+        await expect(
+            Batch.process('copy.glb', readScene(), { meshName: 'mesh_2' }),
+        ).rejects.toThrow(/excluded/);
+        await expect(
+            Batch.process('stone.glb', createFile(), { meshName: 'nope' }),
+        ).rejects.toThrow(/No mesh named/);
+    });
+});
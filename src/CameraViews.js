@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { Alignment } from './Alignment';
+
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const ISO_POLAR = Math.atan(Math.SQRT2);
+
+// Named camera views. Angles are CameraControls' azimuth/polar in its
+// up-space, where the camera's up is the table axis: polar 0 looks down on
+// the table, azimuth 0 is the front.
+export class CameraViews {
+    static VIEWS = {
+        top: { label: 'Top (table)', azimuth: 0, polar: 0 },
+        bottom: { label: 'Bottom (culet)', azimuth: 0, polar: Math.PI },
+        front: { label: 'Front', azimuth: 0, polar: Math.PI / 2 },
+        back: { label: 'Back', azimuth: Math.PI, polar: Math.PI / 2 },
+        side: { label: 'Side', azimuth: Math.PI / 2, polar: Math.PI / 2 },
+        left: { label: 'Left', azimuth: -Math.PI / 2, polar: Math.PI / 2 },
+        iso: { label: 'Iso', azimuth: Math.PI / 4, polar: ISO_POLAR },
+    };
+
+    static PROJECTIONS = {
+        orthographic: 'Ortho',
+        perspective: 'Persp',
+    };
+
+    static DEFAULT_TABLE_AXIS = '+Z';
+
+    // The axis the table is aligned to by the first normal constraint
+    static getTableAxis(constraints) {
+        const constraint = constraints.find(({ type }) => type === 'normal');
+        return constraint?.axis || CameraViews.DEFAULT_TABLE_AXIS;
+    }
+
+    // World directions of the table, front and side for a table axis
+    static getFrame(tableAxis) {
+        const up = Alignment.AXES[tableAxis].clone();
+        const fromUpSpace = new THREE.Quaternion().setFromUnitVectors(
+            Y_AXIS,
+            up,
+        );
+        return {
+            up,
+            front: new THREE.Vector3(0, 0, 1).applyQuaternion(fromUpSpace),
+            side: new THREE.Vector3(1, 0, 0).applyQuaternion(fromUpSpace),
+        };
+    }
+
+    // Orbits around the table axis from now on, keeping the current pose
+    static setUp(controls, tableAxis) {
+        const { camera } = controls;
+        const up = Alignment.AXES[tableAxis];
+        if (camera.up.equals(up)) return;
+        const position = controls.getPosition(new THREE.Vector3());
+        camera.up.copy(up);
+        controls.updateCameraUp();
+        controls.setPosition(position.x, position.y, position.z);
+    }
+
+    // World bounds from the vertices of visible meshes, not their
+    // bounding boxes, so rotated models are framed tightly
+    static getBounds(objects) {
+        const box = new THREE.Box3();
+        objects.forEach((object) => {
+            if (!object) return;
+            object.updateWorldMatrix(true, true);
+            object.traverseVisible((child) => {
+                if (child.isMesh && !child.userData.isHelper)
+                    box.expandByObject(child, true);
+            });
+        });
+        return box;
+    }
+
+    // Fits a bounding sphere so the framing does not depend on the view
+    // direction. Orthographic cameras also back off far enough not to clip
+    // the objects with the near plane.
+    static fit(controls, box, transition = true) {
+        if (box.isEmpty()) return Promise.resolve();
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const promises = [controls.fitToSphere(sphere, transition)];
+        if (controls.camera.isOrthographicCamera)
+            promises.push(
+                controls.dollyTo(
+                    Math.max(controls.distance, sphere.radius * 4),
+                    transition,
+                ),
+            );
+        return Promise.all(promises);
+    }
+
+    static show(controls, key, box, transition = true) {
+        const { azimuth, polar } = CameraViews.VIEWS[key];
+        return Promise.all([
+            controls.rotateTo(azimuth, polar, transition),
+            CameraViews.fit(controls, box, transition),
+        ]);
+    }
+
+    // Height of the world visible at the target
+    static getVisibleHeight(controls) {
+        const { camera } = controls;
+        if (camera.isOrthographicCamera)
+            return (camera.top - camera.bottom) / camera.zoom;
+        return (
+            2 *
+            controls.distance *
+            Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)
+        );
+    }
+
+    // Moves a freshly created camera to the pose of the previous one,
+    // converting between zoom and distance so the framing stays the same
+    static transferPose(controls, pose) {
+        const { camera } = controls;
+        const direction = pose.position.clone().sub(pose.target).normalize();
+        let distance = pose.distance;
+        if (camera.isPerspectiveCamera) {
+            distance =
+                pose.visibleHeight /
+                (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        }
+        const position = pose.target
+            .clone()
+            .add(direction.multiplyScalar(distance));
+        controls.setLookAt(
+            position.x,
+            position.y,
+            position.z,
+            pose.target.x,
+            pose.target.y,
+            pose.target.z,
+            false,
+        );
+        if (camera.isOrthographicCamera)
+            controls.zoomTo(
+                (camera.top - camera.bottom) / pose.visibleHeight,
+                false,
+            );
+    }
+
+    static capturePose(controls) {
+        return {
+            cameraType: controls.camera.type,
+            position: controls.getPosition(new THREE.Vector3()),
+            target: controls.getTarget(new THREE.Vector3()),
+            distance: controls.distance,
+            visibleHeight: CameraViews.getVisibleHeight(controls),
+        };
+    }
+}
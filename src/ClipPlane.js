@@ -2,13 +2,41 @@ import * as THREE from 'three';
 import { MeshBVH } from 'three-mesh-bvh';
 
 export class ClipPlane {
-    static getIntersectionContour(mesh, plane) {
+    // Fraction of the model's bounding-box diagonal under which two
+    // intersection points are considered the same vertex.
+    static RELATIVE_TOLERANCE = 1e-6;
+
+    static ensureBoundsTree(mesh) {
         if (!mesh.geometry.boundsTree) {
             // Build BVH if not already built
             mesh.geometry.boundsTree = new MeshBVH(mesh.geometry, {
-                maxLeafTris: 3,
+                targetLeafSize: 3,
             });
         }
+        return mesh.geometry.boundsTree;
+    }
+    static getTolerance(mesh) {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        const box = mesh.geometry.boundingBox
+            .clone()
+            .applyMatrix4(mesh.matrixWorld);
+        return (
+            box.getSize(new THREE.Vector3()).length() *
+                ClipPlane.RELATIVE_TOLERANCE || ClipPlane.RELATIVE_TOLERANCE
+        );
+    }
+    // Largest outer loop of the section, falling back to the longest open
+    // polyline when nothing closes.
+    static getIntersectionContour(mesh, plane) {
+        return ClipPlane.getIntersectionContours(mesh, plane)[0];
+    }
+    // All polylines of the section in world space, each flagged with
+    // `closed`; closed loops also carry `area`, `depth` and `hole` and are
+    // wound counter-clockwise around the plane normal when outer, clockwise
+    // when holes. Outer loops come first, largest first, then holes, then
+    // open polylines.
+    static getIntersectionContours(mesh, plane) {
+        ClipPlane.ensureBoundsTree(mesh);
 
         const inverseMatrix = new THREE.Matrix4();
         const localPlane = new THREE.Plane();
@@ -55,7 +83,8 @@ export class ClipPlane {
                     else points.splice(0, 1);
                 }
 
-                // Store as segment in world space
+                // Store as segment in world space; the stitcher drops the
+                // degenerate ones left by triangles touching the plane
                 if (points.length === 2) {
                     contourSegments.push({
                         start: points[0].clone().applyMatrix4(mesh.matrixWorld),
@@ -64,17 +93,26 @@ export class ClipPlane {
                 }
             },
         });
-        const stichedContour = ClipPlane.stitchSegments(contourSegments);
-        return stichedContour[0];
+        return ClipPlane.classifyContours(
+            ClipPlane.stitchSegments(
+                contourSegments,
+                ClipPlane.getTolerance(mesh),
+            ),
+            plane.normal,
+        );
     }
     static getContourPlaneIntersection(contourPoints, secondPlane) {
         const intersections = [];
+        if (!contourPoints) return intersections;
         const line = new THREE.Line3();
         const tempPoint = new THREE.Vector3();
+        const count = contourPoints.closed
+            ? contourPoints.length
+            : contourPoints.length - 1;
 
-        for (let i = 0; i < contourPoints.length - 1; i++) {
+        for (let i = 0; i < count; i++) {
             const start = contourPoints[i];
-            const end = contourPoints[i + 1];
+            const end = contourPoints[(i + 1) % contourPoints.length];
 
             const distStart = secondPlane.distanceToPoint(start);
             const distEnd = secondPlane.distanceToPoint(end);
@@ -85,68 +123,192 @@ export class ClipPlane {
             ) {
                 line.set(start, end);
                 if (secondPlane.intersectLine(line, tempPoint)) {
-                    intersections.push(tempPoint.clone());
+                    // A vertex on the plane is reported by both its edges
+                    const last = intersections[intersections.length - 1];
+                    if (!last || !last.equals(tempPoint))
+                        intersections.push(tempPoint.clone());
                 }
             }
         }
+        if (
+            contourPoints.closed &&
+            intersections.length > 1 &&
+            intersections[0].equals(intersections[intersections.length - 1])
+        )
+            intersections.pop();
         return intersections;
     }
-    static stitchSegments(segments, tolerance = 1e-6) {
-        const stitched = [];
-        const used = new Array(segments.length).fill(false);
+    // Joins loose segments into polylines. Endpoints closer than `tolerance`
+    // are merged into one vertex through a spatial hash, so the walk is
+    // linear in the number of segments. Zero-length and repeated segments
+    // are dropped. Returned polylines are arrays of points with a `closed`
+    // flag; closed loops do not repeat their first point.
+    static stitchSegments(
+        segments,
+        tolerance = ClipPlane.getSegmentsTolerance(segments),
+    ) {
+        const vertices = [];
+        const grid = new Map();
+        const cellKey = (x, y, z) => `${x},${y},${z}`;
 
-        // Helper: check if two points are the same (within tolerance)
-        function samePoint(a, b) {
-            return a.distanceTo(b) < tolerance;
-        }
+        const getVertex = (point) => {
+            const cx = Math.floor(point.x / tolerance);
+            const cy = Math.floor(point.y / tolerance);
+            const cz = Math.floor(point.z / tolerance);
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = grid.get(
+                            cellKey(cx + dx, cy + dy, cz + dz),
+                        );
+                        const found = cell?.find(
+                            (index) =>
+                                vertices[index].distanceTo(point) <= tolerance,
+                        );
+                        if (found !== undefined) return found;
+                    }
+                }
+            }
+            const index = vertices.push(point.clone()) - 1;
+            const key = cellKey(cx, cy, cz);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(index);
+            return index;
+        };
 
-        // Start from first unused segment
-        for (let i = 0; i < segments.length; i++) {
-            if (used[i]) continue;
+        const edges = [];
+        const seen = new Set();
+        const incident = new Map();
+        segments.forEach(({ start, end }) => {
+            const a = getVertex(start);
+            const b = getVertex(end);
+            if (a === b) return;
+            const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            const edge = edges.push([a, b]) - 1;
+            if (!incident.has(a)) incident.set(a, []);
+            if (!incident.has(b)) incident.set(b, []);
+            incident.get(a).push(edge);
+            incident.get(b).push(edge);
+        });
+
+        const used = new Array(edges.length).fill(false);
+        const walk = (from, chain) => {
+            let current = from;
+            for (;;) {
+                const next = incident.get(current).find((edge) => !used[edge]);
+                if (next === undefined) return;
+                used[next] = true;
+                const [a, b] = edges[next];
+                current = a === current ? b : a;
+                chain.push(current);
+            }
+        };
 
-            let polyline = [segments[i].start.clone(), segments[i].end.clone()];
+        const stitched = [];
+        for (let i = 0; i < edges.length; i++) {
+            if (used[i]) continue;
             used[i] = true;
+            const [a, b] = edges[i];
+            const forward = [a, b];
+            walk(b, forward);
 
-            let extended = true;
-            while (extended) {
-                extended = false;
-                for (let j = 0; j < segments.length; j++) {
-                    if (used[j]) continue;
-
-                    // Try to connect at the end
-                    if (
-                        samePoint(
-                            polyline[polyline.length - 1],
-                            segments[j].start,
-                        )
-                    ) {
-                        polyline.push(segments[j].end.clone());
-                        used[j] = true;
-                        extended = true;
-                    } else if (
-                        samePoint(
-                            polyline[polyline.length - 1],
-                            segments[j].end,
-                        )
-                    ) {
-                        polyline.push(segments[j].start.clone());
-                        used[j] = true;
-                        extended = true;
-                    }
-                    // Try to connect at the start
-                    else if (samePoint(polyline[0], segments[j].end)) {
-                        polyline.unshift(segments[j].start.clone());
-                        used[j] = true;
-                        extended = true;
-                    } else if (samePoint(polyline[0], segments[j].start)) {
-                        polyline.unshift(segments[j].end.clone());
-                        used[j] = true;
-                        extended = true;
-                    }
-                }
+            let chain = forward;
+            let closed = forward[forward.length - 1] === a;
+            if (closed) {
+                chain.pop();
+            } else {
+                const backward = [];
+                walk(a, backward);
+                chain = backward.reverse().concat(forward);
             }
+            // A loop needs at least three distinct vertices
+            if (closed && chain.length < 3) closed = false;
+
+            const polyline = chain.map((index) => vertices[index].clone());
+            polyline.closed = closed;
             stitched.push(polyline);
         }
         return stitched;
     }
+    static getSegmentsTolerance(segments) {
+        const box = new THREE.Box3();
+        segments.forEach(({ start, end }) => {
+            box.expandByPoint(start);
+            box.expandByPoint(end);
+        });
+        if (box.isEmpty()) return ClipPlane.RELATIVE_TOLERANCE;
+        return (
+            box.getSize(new THREE.Vector3()).length() *
+                ClipPlane.RELATIVE_TOLERANCE || ClipPlane.RELATIVE_TOLERANCE
+        );
+    }
+    // Vector area of a closed polyline (Newell), its length is the area
+    // and its direction the side the loop winds counter-clockwise around.
+    static getVectorArea(points) {
+        const area = new THREE.Vector3();
+        const cross = new THREE.Vector3();
+        for (let i = 0; i < points.length; i++) {
+            cross.crossVectors(points[i], points[(i + 1) % points.length]);
+            area.add(cross);
+        }
+        return area.multiplyScalar(0.5);
+    }
+    static containsPoint(loop2D, [x, y]) {
+        let inside = false;
+        for (let i = 0, j = loop2D.length - 1; i < loop2D.length; j = i++) {
+            const [xi, yi] = loop2D[i];
+            const [xj, yj] = loop2D[j];
+            if (
+                yi > y !== yj > y &&
+                x < ((xj - xi) * (y - yi)) / (yj - yi) + xi
+            )
+                inside = !inside;
+        }
+        return inside;
+    }
+    // Nesting depth decides outer (even) vs hole (odd); loops are then
+    // rewound so outers run counter-clockwise around `normal`, holes
+    // clockwise.
+    static classifyContours(polylines, normal) {
+        const n = normal.clone().normalize();
+        const u = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        u.crossVectors(
+            n,
+            Math.abs(n.x) < 0.9
+                ? new THREE.Vector3(1, 0, 0)
+                : new THREE.Vector3(0, 1, 0),
+        ).normalize();
+        v.crossVectors(n, u);
+
+        const loops = polylines.filter((polyline) => polyline.closed);
+        const projected = loops.map((loop) =>
+            loop.map((point) => [point.dot(u), point.dot(v)]),
+        );
+        const signed = loops.map((loop) =>
+            ClipPlane.getVectorArea(loop).dot(n),
+        );
+        loops.forEach((loop, i) => {
+            loop.area = Math.abs(signed[i]);
+            // Test with an edge midpoint; a vertex may lie on another loop
+            const [x1, y1] = projected[i][0];
+            const [x2, y2] = projected[i][1];
+            const probe = [(x1 + x2) / 2, (y1 + y2) / 2];
+            loop.depth = projected.filter(
+                (other, j) =>
+                    j !== i &&
+                    signed[j] !== 0 &&
+                    ClipPlane.containsPoint(other, probe),
+            ).length;
+            loop.hole = loop.depth % 2 === 1;
+            if (signed[i] > 0 === loop.hole) loop.reverse();
+        });
+
+        const open = polylines.filter((polyline) => !polyline.closed);
+        loops.sort((a, b) => a.hole - b.hole || b.area - a.area);
+        open.sort((a, b) => b.length - a.length);
+        return loops.concat(open);
+    }
 }
@@ -0,0 +1,262 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+
+const material = new THREE.MeshBasicMaterial();
+
+function createMesh(geometry) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+// Regular polygon with `sides` corners on a circle of radius `radius`
+function polygonArea(sides, radius) {
+    return (sides / 2) * radius * radius * Math.sin((2 * Math.PI) / sides);
+}
+
+// Round brilliant approximation revolved around +Y: pointed culet, girdle
+// band from y = 0 to 3, crown up to a table of radius 57 at y = 16.
+const BRILLIANT_SIDES = 16;
+const BRILLIANT_PROFILE = [
+    [0, -86],
+    [100, 0],
+    [100, 3],
+    [57, 16],
+    [0, 16],
+];
+
+function createBrilliant() {
+    return createMesh(
+        new THREE.LatheGeometry(
+            BRILLIANT_PROFILE.map(([x, y]) => new THREE.Vector2(x, y)),
+            BRILLIANT_SIDES,
+        ),
+    );
+}
+
+function plane(normal, constant) {
+    return new THREE.Plane(new THREE.Vector3(...normal).normalize(), constant);
+}
+
+function windingSign(loop, normal) {
+    return Math.sign(ClipPlane.getVectorArea(loop).dot(normal));
+}
+
+describe('ClipPlane.stitchSegments', () => {
+    const square = [
+        [0, 0, 0],
+        [1, 0, 0],
+        [1, 1, 0],
+        [0, 1, 0],
+    ].map((point) => new THREE.Vector3(...point));
+
+    it('joins shuffled and reversed segments into one closed loop', () => {
+        const segments = [
+            { start: square[2], end: square[1] },
+            { start: square[3], end: square[0] },
+            { start: square[0], end: square[1] },
+            { start: square[3], end: square[2] },
+        ];
+        const [loop, ...rest] = ClipPlane.stitchSegments(segments);
+        expect(rest).toHaveLength(0);
+        expect(loop.closed).toBe(true);
+        expect(loop).toHaveLength(4);
+    });
+
+    it('merges endpoints within tolerance and drops degenerate and repeated segments', () => {
+        const jitter = (point) => point.clone().addScalar(1e-9);
+        const segments = [
+            { start: square[0], end: square[1] },
+            { start: jitter(square[1]), end: square[2] },
+            { start: square[2], end: square[2] },
+            { start: square[2], end: jitter(square[3]) },
+            { start: square[3], end: square[2] },
+            { start: square[3], end: jitter(square[0]) },
+        ];
+        const contours = ClipPlane.stitchSegments(segments, 1e-6);
+        expect(contours).toHaveLength(1);
+        expect(contours[0].closed).toBe(true);
+        expect(contours[0]).toHaveLength(4);
+    });
+
+    it('reports chains that do not return to their start as open', () => {
+        const segments = [
+            { start: square[1], end: square[2] },
+            { start: square[0], end: square[1] },
+        ];
+        const [polyline] = ClipPlane.stitchSegments(segments);
+        expect(polyline.closed).toBe(false);
+        expect(polyline).toHaveLength(3);
+    });
+});
+
+describe('ClipPlane.getContourPlaneIntersection', () => {
+    it('includes the closing edge of closed contours', () => {
+        const contour = [
+            [0, 0, 0],
+            [1, 0, 0],
+            [1, 1, 0],
+            [0, 1, 0],
+        ].map((point) => new THREE.Vector3(...point));
+        contour.closed = true;
+
+        const points = ClipPlane.getContourPlaneIntersection(
+            contour,
+            plane([0, 1, 0], -0.5),
+        );
+        expect(points).toHaveLength(2);
+        expect(points.map((point) => point.x).sort()).toEqual([0, 1]);
+    });
+
+    it('reports a vertex on the plane once', () => {
+        const contour = [
+            [0, -1, 0],
+            [1, 0, 0],
+            [0, 1, 0],
+            [-1, 0, 0],
+        ].map((point) => new THREE.Vector3(...point));
+        contour.closed = true;
+
+        const points = ClipPlane.getContourPlaneIntersection(
+            contour,
+            plane([0, 1, 0], 0),
+        );
+        expect(points).toHaveLength(2);
+    });
+});
+
+describe('ClipPlane.getIntersectionContours', () => {
+    it('slices a cube into a square', () => {
+        const mesh = createMesh(new THREE.BoxGeometry(2, 2, 2));
+        const contours = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([0, 0, 1], -0.3),
+        );
+        expect(contours).toHaveLength(1);
+        expect(contours[0].closed).toBe(true);
+        expect(contours[0].hole).toBe(false);
+        expect(contours[0].area).toBeCloseTo(4, 6);
+    });
+
+    it('slices a cube diagonally into a hexagon', () => {
+        const mesh = createMesh(new THREE.BoxGeometry(2, 2, 2));
+        const [hexagon, ...rest] = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([1, 1, 1], 0),
+        );
+        expect(rest).toHaveLength(0);
+        expect(hexagon.closed).toBe(true);
+        expect(hexagon.area).toBeCloseTo(3 * Math.sqrt(3), 6);
+    });
+
+    it('slices an octahedron through its equatorial vertices', () => {
+        const mesh = createMesh(new THREE.OctahedronGeometry(1));
+        const contours = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([0, 0, 1], 0),
+        );
+        expect(contours).toHaveLength(1);
+        expect(contours[0].closed).toBe(true);
+        expect(contours[0]).toHaveLength(4);
+        expect(contours[0].area).toBeCloseTo(2, 6);
+    });
+
+    it('slices an octahedron above the equator', () => {
+        const mesh = createMesh(new THREE.OctahedronGeometry(1));
+        const [loop] = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([0, 0, 1], -0.5),
+        );
+        expect(loop.closed).toBe(true);
+        expect(loop.area).toBeCloseTo(0.5, 6);
+    });
+
+    it('slices a brilliant through the girdle, crown and pavilion', () => {
+        const mesh = createBrilliant();
+        const cases = [
+            [1.5, 100],
+            [10, 100 + ((57 - 100) * (10 - 3)) / 13],
+            [-43, 50],
+        ];
+        cases.forEach(([height, radius]) => {
+            const contours = ClipPlane.getIntersectionContours(
+                mesh,
+                plane([0, 1, 0], -height),
+            );
+            expect(contours).toHaveLength(1);
+            expect(contours[0].closed).toBe(true);
+            // Float32 vertex positions, so compare relatively
+            expect(
+                contours[0].area / polygonArea(BRILLIANT_SIDES, radius),
+            ).toBeCloseTo(1, 6);
+        });
+    });
+
+    it('keeps the brilliant closed at model scale', () => {
+        const mesh = createBrilliant();
+        mesh.scale.setScalar(40);
+        mesh.position.set(5000, -2000, 750);
+        mesh.updateMatrixWorld(true);
+
+        const [loop, ...rest] = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([0, 1, 0], 2000 - 1.5 * 40),
+        );
+        expect(rest).toHaveLength(0);
+        expect(loop.closed).toBe(true);
+        expect(loop.area / polygonArea(BRILLIANT_SIDES, 4000)).toBeCloseTo(
+            1,
+            6,
+        );
+    });
+
+    it('classifies the inner loop of a torus as a hole', () => {
+        const mesh = createMesh(new THREE.TorusGeometry(10, 3, 24, 48));
+        const normal = new THREE.Vector3(0, 0, 1);
+        const [outer, hole, ...rest] = ClipPlane.getIntersectionContours(
+            mesh,
+            new THREE.Plane(normal, 0),
+        );
+        expect(rest).toHaveLength(0);
+        expect(outer.hole).toBe(false);
+        expect(hole.hole).toBe(true);
+        expect(hole.depth).toBe(1);
+        expect(outer.area).toBeGreaterThan(hole.area);
+        expect(windingSign(outer, normal)).toBe(1);
+        expect(windingSign(hole, normal)).toBe(-1);
+    });
+
+    it('keeps disjoint loops of a torus as outers', () => {
+        const mesh = createMesh(new THREE.TorusGeometry(10, 3, 24, 48));
+        const contours = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([0, 1, 0], 0),
+        );
+        expect(contours).toHaveLength(2);
+        contours.forEach((loop) => {
+            expect(loop.closed).toBe(true);
+            expect(loop.hole).toBe(false);
+        });
+    });
+
+    it('returns an open polyline for an open surface', () => {
+        const mesh = createMesh(new THREE.PlaneGeometry(4, 4, 4, 4));
+        const contours = ClipPlane.getIntersectionContours(
+            mesh,
+            plane([1, 0, 0], -0.3),
+        );
+        expect(contours).toHaveLength(1);
+        expect(contours[0].closed).toBe(false);
+    });
+
+    it('returns the largest outer loop as the contour', () => {
+        const mesh = createMesh(new THREE.TorusGeometry(10, 3, 24, 48));
+        const contour = ClipPlane.getIntersectionContour(
+            mesh,
+            plane([0, 0, 1], 0),
+        );
+        expect(contour.hole).toBe(false);
+        expect(contour.area).toBeGreaterThan(Math.PI * 12 * 12);
+    });
+});
@@ -0,0 +1,187 @@
+import React, { useRef } from 'react';
+import { ModelLoader } from './ModelLoader';
+import { Proportions } from './Proportions';
+import { ScanCompare } from './ScanCompare';
+
+const formatMicrons = (value) => `${value.toFixed(1)} µm`;
+
+// Scan against a reference cut: the loaded model is the scan, the
+// reference is loaded here and registered onto it. Deviations are shown in
+// microns; the unit says what both model files are in.
+export default function ComparePanel({
+    settings,
+    referenceName,
+    loadingReference,
+    report,
+    error,
+    onChange,
+    onLoadReference,
+    onRegister,
+}) {
+    const inputRef = useRef();
+    const maxCount = report
+        ? Math.max(1, ...report.histogram.map((bin) => bin.count))
+        : 1;
+
+    const rows = report
+        ? [
+              ['Max', report.stats.maxAbs],
+              ['Above plan', Math.max(0, report.stats.max)],
+              ['Below plan', Math.max(0, -report.stats.min)],
+              ['Mean', report.stats.mean],
+              ['RMS', report.stats.rms],
+          ]
+        : [];
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Compare</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={settings.unit}
+                    title="Model file units"
+                    onChange={(e) =>
+                        onChange({ ...settings, unit: e.target.value })
+                    }>
+                    {Object.keys(Proportions.UNITS).map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <input
+                    ref={inputRef}
+                    type="file"
+                    multiple
+                    accept={ModelLoader.EXTENSIONS.map(
+                        (extension) => `.${extension}`,
+                    ).join(',')}
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                        if (e.target.files?.length)
+                            onLoadReference(e.target.files);
+                        e.target.value = '';
+                    }}
+                />
+                <button
+                    onClick={() => inputRef.current?.click()}
+                    disabled={loadingReference}
+                    style={{ marginLeft: 4 }}>
+                    {loadingReference ? 'Loading…' : 'Load reference'}
+                </button>
+                <button
+                    onClick={onRegister}
+                    disabled={!referenceName}
+                    style={{ marginLeft: 4 }}>
+                    Register
+                </button>
+            </div>
+            <div>Reference: {referenceName || '-'}</div>
+            <label>
+                <input
+                    type="checkbox"
+                    checked={settings.showReference}
+                    onChange={(e) =>
+                        onChange({
+                            ...settings,
+                            showReference: e.target.checked,
+                        })
+                    }
+                />
+                Show reference
+            </label>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {report && (
+                <>
+                    <div style={{ marginTop: 6 }}>
+                        Fit RMS {formatMicrons(report.fitRms)} after{' '}
+                        {report.iterations} ICP iterations
+                    </div>
+                    <table style={{ marginTop: 6, width: '100%' }}>
+                        <tbody>
+                            {rows.map(([label, value]) => (
+                                <tr key={label}>
+                                    <td>{label}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {formatMicrons(value)}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div
+                        style={{
+                            display: 'flex',
+                            alignItems: 'flex-end',
+                            height: 60,
+                            marginTop: 6,
+                            gap: 1,
+                        }}>
+                        {report.histogram.map((bin) => (
+                            <div
+                                key={bin.from}
+                                title={`${bin.from.toFixed(1)} to ${bin.to.toFixed(
+                                    1,
+                                )} µm: ${bin.count}`}
+                                style={{
+                                    flex: 1,
+                                    height: `${(bin.count / maxCount) * 100}%`,
+                                    background: `#${ScanCompare.getDeviationColor(
+                                        bin.from + bin.to,
+                                        2 * report.range,
+                                    ).getHexString()}`,
+                                }}
+                            />
+                        ))}
+                    </div>
+                    <div
+                        style={{
+                            display: 'flex',
+                            justifyContent: 'space-between',
+                        }}>
+                        <span>−{report.range.toFixed(1)}</span>
+                        <span>0</span>
+                        <span>+{report.range.toFixed(1)} µm</span>
+                    </div>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={settings.showHeatmap}
+                            onChange={(e) =>
+                                onChange({
+                                    ...settings,
+                                    showHeatmap: e.target.checked,
+                                })
+                            }
+                        />
+                        Heatmap
+                    </label>
+                    <label style={{ marginLeft: 8 }}>
+                        Range (µm)
+                        <input
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={settings.range ?? ''}
+                            placeholder="auto"
+                            onChange={(e) =>
+                                onChange({
+                                    ...settings,
+                                    range:
+                                        e.target.value === ''
+                                            ? null
+                                            : Number(e.target.value),
+                                })
+                            }
+                            style={{ width: 60, marginLeft: 4 }}
+                        />
+                    </label>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import { useEffect } from 'react';
+import * as THREE from 'three';
+import { ScanCompare } from './ScanCompare';
+
+// Colours every scan vertex by its signed distance to the registered
+// reference. Each overlay is a copy of its mesh's positions and index with
+// a colour attribute, parented to the mesh and drawn just in front of it;
+// sharing the attributes would free the mesh's own buffers on dispose.
+export default function DeviationOverlay({ deviations, range }) {
+    useEffect(() => {
+        if (!deviations?.length || !(range > 0)) return;
+        const color = new THREE.Color();
+        const overlays = deviations.map(({ mesh, values }) => {
+            const colors = new Float32Array(values.length * 3);
+            values.forEach((value, index) =>
+                ScanCompare.getDeviationColor(value, range, color).toArray(
+                    colors,
+                    index * 3,
+                ),
+            );
+            const geometry = new THREE.BufferGeometry();
+            geometry.setIndex(mesh.geometry.index?.clone() || null);
+            geometry.setAttribute(
+                'position',
+                mesh.geometry.attributes.position.clone(),
+            );
+            geometry.setAttribute(
+                'color',
+                new THREE.BufferAttribute(colors, 3),
+            );
+            const overlay = new THREE.Mesh(
+                geometry,
+                new THREE.MeshBasicMaterial({
+                    vertexColors: true,
+                    side: THREE.DoubleSide,
+                    polygonOffset: true,
+                    polygonOffsetFactor: -1,
+                    polygonOffsetUnits: -1,
+                }),
+            );
+            overlay.raycast = () => {};
+            overlay.userData.isHelper = true;
+            mesh.add(overlay);
+            return overlay;
+        });
+        return () => {
+            overlays.forEach((overlay) => {
+                overlay.removeFromParent();
+                overlay.geometry.dispose();
+                overlay.material.dispose();
+            });
+        };
+    }, [deviations, range]);
+
+    return null;
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Keeps a failing subtree (e.g. a malformed model inside the Canvas) from
+// unmounting the whole app; the error is handed to the parent to display.
+export default class ErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null };
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error) {
+        this.props.onError?.(error);
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+            this.setState({ error: null });
+        }
+    }
+
+    render() {
+        if (this.state.error) return this.props.fallback ?? null;
+        return this.props.children;
+    }
+}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ModelExport } from './ModelExport';
+
+export default function ExportPanel({
+    meshNames,
+    hasPlanes,
+    hasMeasurements,
+    exporting,
+    error,
+    onExport,
+}) {
+    const [format, setFormat] = useState('glb');
+    const [mode, setMode] = useState('bake');
+    const [excluded, setExcluded] = useState([]);
+    const [includePlanes, setIncludePlanes] = useState(true);
+    const [includeMeasurements, setIncludeMeasurements] = useState(true);
+
+    const selected = meshNames.filter((name) => !excluded.includes(name));
+
+    const toggleMesh = (name, checked) =>
+        setExcluded(
+            checked
+                ? excluded.filter((item) => item !== name)
+                : [...excluded, name],
+        );
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Export model</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={format}
+                    onChange={(e) => setFormat(e.target.value)}>
+                    {Object.entries(ModelExport.FORMATS).map(
+                        ([key, { label }]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+                <select
+                    value={format === 'stl' ? 'bake' : mode}
+                    disabled={format === 'stl'}
+                    title={
+                        format === 'stl'
+                            ? 'STL has no node transforms'
+                            : undefined
+                    }
+                    onChange={(e) => setMode(e.target.value)}
+                    style={{ marginLeft: 4 }}>
+                    {Object.entries(ModelExport.TRANSFORM_MODES).map(
+                        ([key, label]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+            </div>
+            <div
+                style={{
+                    marginTop: 6,
+                    maxHeight: 150,
+                    overflowY: 'auto',
+                }}>
+                {meshNames.map((name) => (
+                    <label key={name} style={{ display: 'block' }}>
+                        <input
+                            type="checkbox"
+                            checked={!excluded.includes(name)}
+                            onChange={(e) => toggleMesh(name, e.target.checked)}
+                        />
+                        {name}
+                    </label>
+                ))}
+            </div>
+            <div style={{ marginTop: 6 }}>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={includePlanes}
+                        disabled={!hasPlanes}
+                        onChange={(e) => setIncludePlanes(e.target.checked)}
+                    />
+                    Reference planes
+                </label>
+                <label style={{ marginLeft: 10 }}>
+                    <input
+                        type="checkbox"
+                        checked={includeMeasurements}
+                        disabled={!hasMeasurements}
+                        onChange={(e) =>
+                            setIncludeMeasurements(e.target.checked)
+                        }
+                    />
+                    Measurements
+                </label>
+            </div>
+            <button
+                disabled={exporting || !selected.length}
+                onClick={() =>
+                    onExport({
+                        format,
+                        mode: format === 'stl' ? 'bake' : mode,
+                        meshNames: selected,
+                        includePlanes: includePlanes && hasPlanes,
+                        includeMeasurements:
+                            includeMeasurements && hasMeasurements,
+                    })
+                }
+                style={{ marginTop: 6 }}>
+                {exporting ? 'Exporting…' : 'Export'}
+            </button>
+            <div style={{ opacity: 0.7, marginTop: 4 }}>
+                {format === 'glb'
+                    ? 'Planes and measurements are stored in the scene extras.'
+                    : 'Planes and measurements are written to a JSON sidecar.'}
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+        </div>
+    );
+}
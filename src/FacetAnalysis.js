@@ -0,0 +1,241 @@
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+import { FacetFit } from './FacetFit';
+
+export class FacetAnalysis {
+    static DEFAULTS = {
+        angleTolerance: 2, // degrees between triangles of one facet
+        minAreaRatio: 0.001, // facets smaller than this share are dropped
+        girdleAngle: 12, // facets within this of the axis wall are girdle
+        culetAngle: 10, // pavilion facets within this of -axis are culet
+        girdleSlices: 48,
+    };
+
+    static KINDS = ['table', 'crown', 'girdle', 'pavilion', 'culet'];
+
+    static COLORS = {
+        table: '#4d9bff',
+        crown: '#4dd97a',
+        girdle: '#ffb84d',
+        pavilion: '#c44dff',
+        culet: '#ff4d4d',
+    };
+
+    // Partitions the mesh into planar facets, seeding from the largest
+    // triangles first so each facet is grown from a representative normal.
+    static segment(mesh, options = {}) {
+        const { angleTolerance, minAreaRatio } = {
+            ...FacetAnalysis.DEFAULTS,
+            ...options,
+        };
+        const adjacency = FacetFit.getAdjacency(mesh.geometry);
+        const triangle = new THREE.Triangle();
+        const areas = new Float64Array(adjacency.faceCount);
+        for (let f = 0; f < adjacency.faceCount; f++) {
+            areas[f] = FacetFit.getTriangle(
+                mesh,
+                adjacency,
+                f,
+                triangle,
+            ).getArea();
+        }
+        const order = Array.from(areas.keys()).sort(
+            (a, b) => areas[b] - areas[a],
+        );
+
+        const visited = new Uint8Array(adjacency.faceCount);
+        const facets = [];
+        order.forEach((seed) => {
+            if (visited[seed] || areas[seed] === 0) return;
+            const { faces } = FacetFit.growFrom(
+                mesh,
+                adjacency,
+                seed,
+                angleTolerance,
+                visited,
+            );
+            const fit = FacetFit.fitPlane(mesh, faces, adjacency);
+            if (!fit) return;
+            facets.push({
+                ...fit,
+                faces,
+                meshName: mesh.name,
+                triangleCount: faces.length,
+            });
+        });
+
+        const totalArea = facets.reduce((sum, facet) => sum + facet.area, 0);
+        return facets
+            .filter((facet) => facet.area >= totalArea * minAreaRatio)
+            .map((facet, index) => {
+                // Orient outward using the winding of the seed triangle
+                FacetFit.getTriangle(mesh, adjacency, facet.faces[0], triangle);
+                const seedNormal = triangle
+                    .getNormal(new THREE.Vector3())
+                    .applyNormalMatrix(
+                        new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld),
+                    );
+                if (facet.normal.dot(seedNormal) < 0) facet.normal.negate();
+                return {
+                    ...facet,
+                    id: `facet${index + 1}`,
+                    region: FacetFit.getRegionPositions(
+                        mesh,
+                        facet.faces,
+                        adjacency,
+                    ),
+                };
+            });
+    }
+
+    static getAxisRange(mesh, axis) {
+        const position = mesh.geometry.attributes.position;
+        const vertex = new THREE.Vector3();
+        let min = Infinity;
+        let max = -Infinity;
+        let lowest = null;
+        for (let i = 0; i < position.count; i++) {
+            vertex
+                .fromBufferAttribute(position, i)
+                .applyMatrix4(mesh.matrixWorld);
+            const height = vertex.dot(axis);
+            if (height < min) {
+                min = height;
+                lowest = vertex.clone();
+            }
+            max = Math.max(max, height);
+        }
+        return { min, max, lowest };
+    }
+
+    // Girdle height = the slice with the largest cross-section, found by
+    // cutting the mesh perpendicular to the axis through its BVH.
+    static findGirdleHeight(mesh, axis, range, slices) {
+        const u = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        FacetAnalysis.getPlaneBasis(axis, u, v);
+        let best = { height: (range.min + range.max) / 2, area: -1 };
+        for (let i = 1; i < slices; i++) {
+            const height = range.min + ((range.max - range.min) * i) / slices;
+            const plane = new THREE.Plane(axis.clone(), -height);
+            const area = ClipPlane.getIntersectionContours(mesh, plane).reduce(
+                (sum, contour) =>
+                    sum + Math.abs(FacetAnalysis.polygonArea(contour, u, v)),
+                0,
+            );
+            if (area > best.area) best = { height, area };
+        }
+        return best.height;
+    }
+
+    static getPlaneBasis(normal, u, v) {
+        const helper =
+            Math.abs(normal.x) < 0.9
+                ? new THREE.Vector3(1, 0, 0)
+                : new THREE.Vector3(0, 1, 0);
+        u.crossVectors(normal, helper).normalize();
+        v.crossVectors(normal, u).normalize();
+    }
+
+    static polygonArea(points, u, v) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.dot(u) * b.dot(v) - b.dot(u) * a.dot(v);
+        }
+        return area / 2;
+    }
+
+    // The largest facet is taken as the table; its normal is the stone axis.
+    // Remaining facets are split by slope into crown (facing up), pavilion
+    // (facing down) and girdle (near vertical). A pointed culet yields a
+    // virtual facet through the lowest vertex.
+    static classify(mesh, facets, options = {}) {
+        const { girdleAngle, culetAngle, girdleSlices } = {
+            ...FacetAnalysis.DEFAULTS,
+            ...options,
+        };
+        if (!facets.length) return null;
+
+        const table = facets.reduce((a, b) => (b.area > a.area ? b : a));
+        const axis = table.normal.clone().normalize();
+        const range = FacetAnalysis.getAxisRange(mesh, axis);
+        const girdleHeight = FacetAnalysis.findGirdleHeight(
+            mesh,
+            axis,
+            range,
+            girdleSlices,
+        );
+
+        const girdleLimit = Math.sin(THREE.MathUtils.degToRad(girdleAngle));
+        const culetLimit = Math.cos(THREE.MathUtils.degToRad(culetAngle));
+        const result = {
+            meshName: mesh.name,
+            axis,
+            girdleHeight,
+            range,
+            table: { ...table, kind: 'table' },
+            culet: null,
+            crown: [],
+            pavilion: [],
+            girdle: [],
+        };
+        const culets = [];
+
+        facets.forEach((facet) => {
+            if (facet === table) return;
+            const slope = facet.normal.dot(axis);
+            if (Math.abs(slope) < girdleLimit) {
+                result.girdle.push({ ...facet, kind: 'girdle' });
+            } else if (slope > 0) {
+                result.crown.push({ ...facet, kind: 'crown' });
+            } else if (slope <= -culetLimit) {
+                culets.push(facet);
+            } else if (slope < 0) {
+                result.pavilion.push({ ...facet, kind: 'pavilion' });
+            }
+        });
+
+        // Only the largest near-flat bottom facet is the culet; any others
+        // are shallow pavilion facets
+        const culet = culets.length
+            ? culets.reduce((a, b) => (b.area > a.area ? b : a))
+            : null;
+        culets.forEach((facet) => {
+            if (facet === culet) result.culet = { ...facet, kind: 'culet' };
+            else result.pavilion.push({ ...facet, kind: 'pavilion' });
+        });
+
+        if (!result.culet) {
+            result.culet = {
+                id: 'culet-point',
+                kind: 'culet',
+                pointed: true,
+                meshName: mesh.name,
+                normal: axis.clone().negate(),
+                centroid: range.lowest,
+                area: 0,
+                residual: 0,
+                maxDeviation: 0,
+                triangleCount: 0,
+                region: null,
+            };
+        }
+        return result;
+    }
+
+    static analyze(mesh, options = {}) {
+        mesh.updateWorldMatrix(true, false);
+        const facets = FacetAnalysis.segment(mesh, options);
+        const classes = FacetAnalysis.classify(mesh, facets, options);
+        return classes ? { ...classes, facetCount: facets.length } : null;
+    }
+
+    static getFacets(analysis, kind) {
+        if (!analysis) return [];
+        const value = analysis[kind];
+        if (!value) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+}
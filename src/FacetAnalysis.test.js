@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { FacetAnalysis } from './FacetAnalysis';
+import { PlaneList } from './PlaneList';
+import { createBrilliant } from './testShapes';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+describe('FacetAnalysis.analyze', () => {
+    const mesh = createBrilliant();
+    const analysis = FacetAnalysis.analyze(mesh);
+
+    it('takes the table as the axis and finds every facet ring', () => {
+        expect(analysis.axis.angleTo(UP)).toBeLessThan(1e-6);
+        expect(analysis.table.centroid.y).toBeCloseTo(16, 6);
+        expect(analysis.crown).toHaveLength(16);
+        expect(analysis.girdle).toHaveLength(16);
+        expect(analysis.pavilion).toHaveLength(16);
+    });
+
+    it('falls back to a pointed culet at the lowest vertex', () => {
+        expect(analysis.culet.pointed).toBe(true);
+        expect(analysis.culet.centroid.y).toBeCloseTo(-86, 6);
+    });
+
+    it('lets facet planes share the mesh with manual picks', () => {
+        const [manual] = PlaneList.initial();
+        let planes = PlaneList.addFacet(
+            [manual],
+            analysis.table,
+            'Table',
+            FacetAnalysis.COLORS.table,
+            null,
+        );
+        planes = PlaneList.addFacet(
+            planes,
+            analysis.crown[0],
+            'Crown 1',
+            FacetAnalysis.COLORS.crown,
+            null,
+        );
+        planes = PlaneList.select(planes, manual.id, {
+            meshName: mesh.name,
+            normal: analysis.pavilion[0].normal,
+            centroid: analysis.pavilion[0].centroid,
+            fit: analysis.pavilion[0],
+            region: analysis.pavilion[0].region,
+        });
+
+        const selected = PlaneList.getSelected(planes);
+        expect(selected.map((plane) => plane.name)).toEqual([
+            manual.name,
+            'Table',
+            'Crown 1',
+        ]);
+        expect(new Set(selected.map((plane) => plane.meshName))).toEqual(
+            new Set([mesh.name]),
+        );
+        expect(new Set(selected.map((plane) => plane.region)).size).toBe(3);
+    });
+});
+
+describe('FacetAnalysis.classify', () => {
+    const facet = (id, x, y, area) => ({
+        id,
+        normal: new THREE.Vector3(x, y, 0).normalize(),
+        centroid: new THREE.Vector3(),
+        area,
+    });
+
+    it('keeps the other flat bottom facets as pavilion', () => {
+        const mesh = createBrilliant();
+        const facets = [
+            facet('table', 0, 1, 100),
+            facet('culet', 0, -1, 5),
+            facet('flat', 0.05, -1, 2),
+            facet('side', 0.7, -0.7, 20),
+        ];
+        const result = FacetAnalysis.classify(mesh, facets);
+        expect(result.culet.id).toBe('culet');
+        expect(result.pavilion.map((f) => f.id).sort()).toEqual([
+            'flat',
+            'side',
+        ]);
+        expect(result.pavilion.every((f) => f.kind === 'pavilion')).toBe(true);
+    });
+});
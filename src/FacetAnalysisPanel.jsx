@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { FacetAnalysis } from './FacetAnalysis';
+
+const LABELS = {
+    table: 'Table',
+    crown: 'Crown',
+    girdle: 'Girdle',
+    pavilion: 'Pavilion',
+    culet: 'Culet',
+};
+
+export default function FacetAnalysisPanel({
+    meshNames,
+    analysis,
+    error,
+    onAnalyze,
+    onUseFacet,
+    onAlignTable,
+}) {
+    const [meshName, setMeshName] = useState('');
+    const [angleTolerance, setAngleTolerance] = useState(
+        FacetAnalysis.DEFAULTS.angleTolerance,
+    );
+    const target = meshNames.includes(meshName) ? meshName : meshNames[0];
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Facet analysis</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={target || ''}
+                    onChange={(e) => setMeshName(e.target.value)}>
+                    {meshNames.map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <input
+                    type="number"
+                    min={0.1}
+                    max={20}
+                    step={0.5}
+                    value={angleTolerance}
+                    title="Angle tolerance (°)"
+                    onChange={(e) => setAngleTolerance(Number(e.target.value))}
+                    style={{ width: 50, marginLeft: 4 }}
+                />
+                °
+                <button
+                    onClick={() => onAnalyze(target, { angleTolerance })}
+                    disabled={!target}
+                    style={{ marginLeft: 4 }}>
+                    Analyze
+                </button>
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {analysis && (
+                <div style={{ marginTop: 6 }}>
+                    <div style={{ opacity: 0.8 }}>
+                        {analysis.facetCount} facets on {analysis.meshName}
+                    </div>
+                    {FacetAnalysis.KINDS.map((kind) => {
+                        const facets = FacetAnalysis.getFacets(analysis, kind);
+                        return (
+                            <div key={kind} style={{ marginTop: 4 }}>
+                                <span
+                                    style={{
+                                        color: FacetAnalysis.COLORS[kind],
+                                    }}>
+                                    ■
+                                </span>{' '}
+                                {LABELS[kind]} ({facets.length})
+                                {facets.map((facet, index) => (
+                                    <button
+                                        key={facet.id}
+                                        title={
+                                            facet.pointed
+                                                ? 'Pointed culet'
+                                                : `area ${facet.area.toFixed(2)}`
+                                        }
+                                        onClick={() =>
+                                            onUseFacet(
+                                                facet,
+                                                facets.length > 1
+                                                    ? `${LABELS[kind]} ${index + 1}`
+                                                    : LABELS[kind],
+                                            )
+                                        }
+                                        style={{ marginLeft: 4 }}>
+                                        {facets.length > 1 ? index + 1 : 'Use'}
+                                    </button>
+                                ))}
+                            </div>
+                        );
+                    })}
+                    <button onClick={onAlignTable} style={{ marginTop: 8 }}>
+                        Align table to XY
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+
+const adjacencyCache = new WeakMap();
+
+export class FacetFit {
+    static DEFAULT_ANGLE_TOLERANCE = 3; // degrees
+
+    // Triangle adjacency over welded vertex positions. Exporters split
+    // vertices along hard edges, so sharing an index is not enough.
+    static getAdjacency(geometry) {
+        const cached = adjacencyCache.get(geometry);
+        if (cached && FacetFit.isCurrent(cached, geometry)) return cached;
+
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const faceCount = index ? index.count / 3 : position.count / 3;
+        const vertexOf = (face, corner) =>
+            index ? index.getX(face * 3 + corner) : face * 3 + corner;
+
+        geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        const weld = Math.max(size.length() * 1e-6, Number.EPSILON);
+        const welded = new Map();
+        const weldedIds = new Int32Array(position.count);
+        for (let i = 0; i < position.count; i++) {
+            const key = `${Math.round(position.getX(i) / weld)},${Math.round(
+                position.getY(i) / weld,
+            )},${Math.round(position.getZ(i) / weld)}`;
+            if (!welded.has(key)) welded.set(key, welded.size);
+            weldedIds[i] = welded.get(key);
+        }
+
+        const edges = new Map();
+        const faceVertices = new Int32Array(faceCount * 3);
+        for (let f = 0; f < faceCount; f++) {
+            for (let c = 0; c < 3; c++) {
+                faceVertices[f * 3 + c] = vertexOf(f, c);
+            }
+            for (let c = 0; c < 3; c++) {
+                const a = weldedIds[faceVertices[f * 3 + c]];
+                const b = weldedIds[faceVertices[f * 3 + ((c + 1) % 3)]];
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                if (!edges.has(key)) edges.set(key, []);
+                edges.get(key).push(f);
+            }
+        }
+
+        const neighbors = Array.from({ length: faceCount }, () => []);
+        edges.forEach((faces) => {
+            for (let i = 0; i < faces.length; i++) {
+                for (let j = 0; j < faces.length; j++) {
+                    if (i !== j) neighbors[faces[i]].push(faces[j]);
+                }
+            }
+        });
+
+        const adjacency = {
+            faceVertices,
+            weldedIds,
+            neighbors,
+            faceCount,
+            indexArray: index?.array,
+            indexVersion: index?.version,
+        };
+        adjacencyCache.set(geometry, adjacency);
+        return adjacency;
+    }
+
+    // MeshBVH (built by ClipPlane) reorders the index in place, so the
+    // cache is dropped whenever the index buffer changed underneath it.
+    static isCurrent(adjacency, geometry) {
+        const index = geometry.index;
+        if (!index) return true;
+        if (
+            adjacency.indexArray !== index.array ||
+            adjacency.indexVersion !== index.version
+        )
+            return false;
+        for (let i = 0; i < Math.min(index.count, 300); i++) {
+            if (adjacency.faceVertices[i] !== index.getX(i)) return false;
+        }
+        return true;
+    }
+
+    static findFace(adjacency, face, faceIndex) {
+        const { faceVertices } = adjacency;
+        const matches = (f) =>
+            faceVertices[f * 3] === face.a &&
+            faceVertices[f * 3 + 1] === face.b &&
+            faceVertices[f * 3 + 2] === face.c;
+        if (faceIndex != null && matches(faceIndex)) return faceIndex;
+        for (let f = 0; f < adjacency.faceCount; f++) {
+            if (matches(f)) return f;
+        }
+        return -1;
+    }
+
+    static getTriangle(mesh, adjacency, f, target = new THREE.Triangle()) {
+        const position = mesh.geometry.attributes.position;
+        const { faceVertices } = adjacency;
+        target.a.fromBufferAttribute(position, faceVertices[f * 3]);
+        target.b.fromBufferAttribute(position, faceVertices[f * 3 + 1]);
+        target.c.fromBufferAttribute(position, faceVertices[f * 3 + 2]);
+        return target;
+    }
+
+    static growRegion(mesh, face, faceIndex, angleTolerance) {
+        const adjacency = FacetFit.getAdjacency(mesh.geometry);
+        const seed = FacetFit.findFace(adjacency, face, faceIndex);
+        if (seed < 0) return null;
+        return FacetFit.growFrom(mesh, adjacency, seed, angleTolerance);
+    }
+
+    // Breadth-first growth from the seed triangle over neighbours whose
+    // normal stays within `angleTolerance` degrees of the seed normal.
+    // A shared `visited` array lets callers partition a whole mesh.
+    static growFrom(
+        mesh,
+        adjacency,
+        seed,
+        angleTolerance,
+        visited = new Uint8Array(adjacency.faceCount),
+    ) {
+        const triangle = new THREE.Triangle();
+        const seedNormal = FacetFit.getTriangle(
+            mesh,
+            adjacency,
+            seed,
+        ).getNormal(new THREE.Vector3());
+        const minDot = Math.cos(THREE.MathUtils.degToRad(angleTolerance));
+        const normal = new THREE.Vector3();
+
+        const region = [seed];
+        visited[seed] = 1;
+        for (let i = 0; i < region.length; i++) {
+            adjacency.neighbors[region[i]].forEach((f) => {
+                if (visited[f]) return;
+                FacetFit.getTriangle(mesh, adjacency, f, triangle);
+                if (triangle.getArea() === 0) return;
+                triangle.getNormal(normal);
+                if (normal.dot(seedNormal) < minDot) return;
+                visited[f] = 1;
+                region.push(f);
+            });
+        }
+        return { faces: region, seedNormal, adjacency };
+    }
+
+    // Area-weighted least-squares plane through the region, evaluated in
+    // world space so residual and area are reported in scene units.
+    static fitPlane(mesh, faces, adjacency) {
+        mesh.updateWorldMatrix(true, false);
+        const triangle = new THREE.Triangle();
+        const centroid = new THREE.Vector3();
+        const points = [];
+        let totalArea = 0;
+
+        faces.forEach((f) => {
+            FacetFit.getTriangle(mesh, adjacency, f, triangle);
+            triangle.a.applyMatrix4(mesh.matrixWorld);
+            triangle.b.applyMatrix4(mesh.matrixWorld);
+            triangle.c.applyMatrix4(mesh.matrixWorld);
+            const weight = triangle.getArea() / 3;
+            totalArea += weight * 3;
+            [triangle.a, triangle.b, triangle.c].forEach((point) => {
+                points.push({ point: point.clone(), weight });
+                centroid.addScaledVector(point, weight);
+            });
+        });
+        if (totalArea === 0) return null;
+        centroid.divideScalar(totalArea);
+
+        const cov = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+        const d = new THREE.Vector3();
+        points.forEach(({ point, weight }) => {
+            d.subVectors(point, centroid);
+            const v = [d.x, d.y, d.z];
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    cov[r * 3 + c] += weight * v[r] * v[c];
+                }
+            }
+        });
+
+        const { values, vectors } = FacetFit.symmetricEigen3(cov);
+        let smallest = 0;
+        for (let i = 1; i < 3; i++) {
+            if (values[i] < values[smallest]) smallest = i;
+        }
+        const normal = new THREE.Vector3(
+            vectors[smallest],
+            vectors[3 + smallest],
+            vectors[6 + smallest],
+        ).normalize();
+
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+            normal,
+            centroid,
+        );
+        const seen = new Set();
+        let sumSq = 0;
+        let maxDeviation = 0;
+        let count = 0;
+        const vertex = new THREE.Vector3();
+        const position = mesh.geometry.attributes.position;
+        faces.forEach((f) => {
+            for (let c = 0; c < 3; c++) {
+                const id = adjacency.faceVertices[f * 3 + c];
+                const welded = adjacency.weldedIds[id];
+                if (seen.has(welded)) continue;
+                seen.add(welded);
+                vertex
+                    .fromBufferAttribute(position, id)
+                    .applyMatrix4(mesh.matrixWorld);
+                const distance = plane.distanceToPoint(vertex);
+                sumSq += distance * distance;
+                maxDeviation = Math.max(maxDeviation, Math.abs(distance));
+                count++;
+            }
+        });
+
+        return {
+            normal,
+            centroid,
+            area: totalArea,
+            residual: Math.sqrt(sumSq / count),
+            maxDeviation,
+        };
+    }
+
+    // Grows the facet around the clicked triangle and fits a plane to it.
+    // The normal is oriented like the clicked triangle (outward).
+    static fitFacet(mesh, face, faceIndex, angleTolerance) {
+        const grown = FacetFit.growRegion(
+            mesh,
+            face,
+            faceIndex,
+            angleTolerance,
+        );
+        if (!grown) return null;
+        const fit = FacetFit.fitPlane(mesh, grown.faces, grown.adjacency);
+        if (!fit) return null;
+
+        const seedWorld = grown.seedNormal
+            .clone()
+            .applyNormalMatrix(
+                new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld),
+            );
+        if (fit.normal.dot(seedWorld) < 0) fit.normal.negate();
+
+        return {
+            ...fit,
+            triangleCount: grown.faces.length,
+            region: FacetFit.getRegionPositions(
+                mesh,
+                grown.faces,
+                grown.adjacency,
+            ),
+        };
+    }
+
+    // Local-space triangle soup of the region, used to draw the highlight
+    static getRegionPositions(mesh, faces, adjacency) {
+        const position = mesh.geometry.attributes.position;
+        const out = new Float32Array(faces.length * 9);
+        faces.forEach((f, i) => {
+            for (let c = 0; c < 3; c++) {
+                const id = adjacency.faceVertices[f * 3 + c];
+                out[i * 9 + c * 3] = position.getX(id);
+                out[i * 9 + c * 3 + 1] = position.getY(id);
+                out[i * 9 + c * 3 + 2] = position.getZ(id);
+            }
+        });
+        return out;
+    }
+
+    // Mesh-space corners of one triangle, in the same layout as a region
+    static getFaceRegion(mesh, faceIndex) {
+        const { index, attributes } = mesh.geometry;
+        const out = new Float32Array(9);
+        for (let c = 0; c < 3; c++) {
+            const id = index
+                ? index.getX(faceIndex * 3 + c)
+                : faceIndex * 3 + c;
+            out[c * 3] = attributes.position.getX(id);
+            out[c * 3 + 1] = attributes.position.getY(id);
+            out[c * 3 + 2] = attributes.position.getZ(id);
+        }
+        return out;
+    }
+
+    // Jacobi eigen decomposition of a symmetric 3x3 matrix (row-major).
+    // Eigenvectors are returned as the columns of `vectors`.
+    static symmetricEigen3(matrix) {
+        const a = matrix.slice();
+        const v = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        for (let sweep = 0; sweep < 50; sweep++) {
+            const off = a[1] * a[1] + a[2] * a[2] + a[5] * a[5];
+            if (off < 1e-20) break;
+            for (const [p, q] of [
+                [0, 1],
+                [0, 2],
+                [1, 2],
+            ]) {
+                const apq = a[p * 3 + q];
+                if (Math.abs(apq) < 1e-30) continue;
+                const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+                const t =
+                    Math.sign(theta || 1) /
+                    (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < 3; k++) {
+                    const akp = a[k * 3 + p];
+                    const akq = a[k * 3 + q];
+                    a[k * 3 + p] = c * akp - s * akq;
+                    a[k * 3 + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const apk = a[p * 3 + k];
+                    const aqk = a[q * 3 + k];
+                    a[p * 3 + k] = c * apk - s * aqk;
+                    a[q * 3 + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k * 3 + p];
+                    const vkq = v[k * 3 + q];
+                    v[k * 3 + p] = c * vkp - s * vkq;
+                    v[k * 3 + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+        return { values: [a[0], a[4], a[8]], vectors: v };
+    }
+}
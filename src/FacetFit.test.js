@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { FacetFit } from './FacetFit';
+import { createBrilliant, createMesh } from './testShapes';
+
+// The clicked face as a raycast hit reports it
+function getFace(mesh, faceIndex) {
+    const { index } = mesh.geometry;
+    return {
+        a: index.getX(faceIndex * 3),
+        b: index.getX(faceIndex * 3 + 1),
+        c: index.getX(faceIndex * 3 + 2),
+    };
+}
+
+function fit(mesh, faceIndex, tolerance = FacetFit.DEFAULT_ANGLE_TOLERANCE) {
+    return FacetFit.fitFacet(
+        mesh,
+        getFace(mesh, faceIndex),
+        faceIndex,
+        tolerance,
+    );
+}
+
+describe('FacetFit.getAdjacency', () => {
+    it('welds the split corners of a box', () => {
+        const { geometry } = createMesh(new THREE.BoxGeometry(2, 2, 2));
+        const adjacency = FacetFit.getAdjacency(geometry);
+        expect(new Set(adjacency.weldedIds).size).toBe(8);
+        // Every triangle borders one on its own side and two across edges
+        adjacency.neighbors.forEach((faces) => expect(faces).toHaveLength(3));
+    });
+});
+
+describe('FacetFit.fitFacet', () => {
+    it('grows over a flat side and stops at the edges', () => {
+        const result = fit(createMesh(new THREE.BoxGeometry(2, 2, 2)), 0);
+        expect(result.triangleCount).toBe(2);
+        expect(result.normal.x).toBeCloseTo(1, 9);
+        expect(result.centroid.x).toBeCloseTo(1, 9);
+        expect(result.area).toBeCloseTo(4, 9);
+        expect(result.residual).toBeCloseTo(0, 9);
+        expect(result.region).toHaveLength(2 * 9);
+    });
+
+    it('reports area and centroid in world units', () => {
+        const mesh = createMesh(new THREE.BoxGeometry(2, 2, 2));
+        mesh.scale.setScalar(3);
+        mesh.position.set(10, 0, 0);
+        mesh.updateMatrixWorld(true);
+        const result = fit(mesh, 0);
+        expect(result.area).toBeCloseTo(36, 9);
+        expect(result.centroid.x).toBeCloseTo(13, 9);
+        // The highlight stays in mesh space
+        expect(Math.max(...result.region.filter((_, i) => i % 3 === 0))).toBe(
+            1,
+        );
+    });
+
+    it('fits the table of a brilliant with an outward normal', () => {
+        const mesh = createBrilliant();
+        const { index } = mesh.geometry;
+        const triangle = new THREE.Triangle();
+        const normal = new THREE.Vector3();
+        let table = -1;
+        for (let f = 0; f < index.count / 3 && table < 0; f++) {
+            FacetFit.getTriangle(
+                mesh,
+                FacetFit.getAdjacency(mesh.geometry),
+                f,
+                triangle,
+            );
+            if (triangle.getArea() > 0 && triangle.getNormal(normal).y > 0.99)
+                table = f;
+        }
+        const result = fit(mesh, table);
+        expect(result.normal.y).toBeCloseTo(1, 6);
+        expect(result.centroid.y).toBeCloseTo(16, 4);
+        expect(result.residual).toBeLessThan(1e-4);
+    });
+
+    it('measures how far a bent region is from flat', () => {
+        const geometry = new THREE.PlaneGeometry(10, 10, 10, 10);
+        const position = geometry.attributes.position;
+        for (let i = 0; i < position.count; i++)
+            position.setZ(i, 0.001 * position.getX(i) ** 2);
+        const result = fit(createMesh(geometry), 0, 5);
+        expect(result.triangleCount).toBe(200);
+        expect(result.normal.z).toBeCloseTo(1, 6);
+        expect(result.residual).toBeGreaterThan(0);
+        expect(result.maxDeviation).toBeGreaterThan(result.residual);
+    });
+});
@@ -0,0 +1,109 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { MeshRefractionMaterial } from '@react-three/drei/materials/MeshRefractionMaterial';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { MeshBVH, MeshBVHUniformStruct, SAH } from 'three-mesh-bvh';
+
+const ENVIRONMENT_SIZE = 256;
+const BOUNCES = 3;
+// Chromatic aberration per unit of the material's dispersion
+const ABERRATION_PER_DISPERSION = 0.25;
+
+const bvhCache = new WeakMap();
+
+// The refraction shader traces rays through its own BVH of the mesh
+const getBvhStruct = (geometry) => {
+    let struct = bvhCache.get(geometry);
+    if (!struct) {
+        struct = new MeshBVHUniformStruct();
+        struct.updateFrom(
+            new MeshBVH(geometry.clone().toNonIndexed(), { strategy: SAH }),
+        );
+        bvhCache.set(geometry, struct);
+    }
+    return struct;
+};
+
+// A studio-like cube map rendered once from three's RoomEnvironment
+const createEnvironment = (gl) => {
+    const target = new THREE.WebGLCubeRenderTarget(ENVIRONMENT_SIZE, {
+        generateMipmaps: true,
+        minFilter: THREE.LinearMipmapLinearFilter,
+    });
+    const room = new RoomEnvironment();
+    new THREE.CubeCamera(0.1, 100, target).update(gl, room);
+    room.dispose();
+    return target;
+};
+
+// Same defines drei's MeshRefractionMaterial component derives for a cube
+// map envMap
+const getDefines = (envMap, aberrationStrength) => {
+    const lodMax = Math.floor(Math.log2(envMap.image[0].width / 4));
+    const cubeSize = 2 ** lodMax;
+    const defines = {
+        ENVMAP_TYPE_CUBEM: '',
+        CUBEUV_TEXEL_WIDTH: `${1 / (3 * Math.max(cubeSize, 16 * 7))}`,
+        CUBEUV_TEXEL_HEIGHT: `${1 / (4 * cubeSize)}`,
+        CUBEUV_MAX_MIP: `${lodMax}.0`,
+        FAST_CHROMA: '',
+    };
+    if (aberrationStrength > 0) defines.CHROMATIC_ABERRATIONS = '';
+    return defines;
+};
+
+// Swaps the model's meshes to drei's refraction material while mounted and
+// puts back whatever they showed before on unmount. `material` carries the
+// stone's refractive index and dispersion.
+export default function GemMaterials({ meshes, material }) {
+    const gl = useThree((state) => state.gl);
+    const size = useThree((state) => state.size);
+    const materialsRef = useRef([]);
+
+    const environment = useMemo(() => createEnvironment(gl), [gl]);
+    useEffect(() => () => environment.dispose(), [environment]);
+
+    useEffect(() => {
+        const envMap = environment.texture;
+        const aberrationStrength =
+            material.dispersion * ABERRATION_PER_DISPERSION;
+        const swapped = meshes.map((mesh) => {
+            const gem = new MeshRefractionMaterial();
+            gem.defines = getDefines(envMap, aberrationStrength);
+            gem.envMap = envMap;
+            gem.bvh = getBvhStruct(mesh.geometry);
+            gem.ior = material.ior;
+            gem.bounces = BOUNCES;
+            gem.fresnel = 1;
+            gem.aberrationStrength = aberrationStrength;
+            gem.toneMapped = false;
+            const previous = mesh.material;
+            mesh.material = gem;
+            return { mesh, gem, previous };
+        });
+        materialsRef.current = swapped.map(({ gem }) => gem);
+        return () => {
+            swapped.forEach(({ mesh, gem, previous }) => {
+                mesh.material = previous;
+                gem.dispose();
+            });
+            materialsRef.current = [];
+        };
+    }, [meshes, material, environment]);
+
+    useEffect(() => {
+        materialsRef.current.forEach((gem) =>
+            gem.resolution.set(size.width, size.height),
+        );
+    }, [size, meshes, material, environment]);
+
+    useFrame(({ camera }) => {
+        materialsRef.current.forEach((gem) => {
+            gem.viewMatrixInverse = camera.matrixWorld;
+            gem.projectionMatrixInverse = camera.projectionMatrixInverse;
+        });
+    });
+
+    return null;
+}
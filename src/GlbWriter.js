@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+const GLB_MAGIC = 0x46546c67;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+const FLOAT = 5126;
+const UNSIGNED_SHORT = 5123;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+const TRIANGLES = 4;
+
+const align4 = (length) => Math.ceil(length / 4) * 4;
+
+// Minimal binary glTF writer for mesh geometry: positions, normals,
+// indices, node transforms, plain PBR colours and userData as extras.
+// GLTFExporter needs FileReader and canvases, so headless runs use this.
+export class GlbWriter {
+    static write(object) {
+        const context = {
+            json: {
+                asset: { version: '2.0', generator: 'diamond_poc' },
+                scene: 0,
+                scenes: [{ nodes: [] }],
+                nodes: [],
+                meshes: [],
+                materials: [],
+                accessors: [],
+                bufferViews: [],
+                buffers: [],
+            },
+            chunks: [],
+            byteLength: 0,
+            materials: new Map(),
+        };
+        object.updateMatrixWorld(true);
+        context.json.scenes[0].nodes.push(GlbWriter.addNode(context, object));
+        return GlbWriter.toArrayBuffer(context);
+    }
+
+    static addBufferView(context, array, target) {
+        const view = {
+            buffer: 0,
+            byteOffset: context.byteLength,
+            byteLength: array.byteLength,
+            target,
+        };
+        context.chunks.push({ offset: context.byteLength, array });
+        context.byteLength = align4(context.byteLength + array.byteLength);
+        context.json.bufferViews.push(view);
+        return context.json.bufferViews.length - 1;
+    }
+
+    // Attributes are copied out as plain floats, which also unpacks
+    // interleaved and normalised integer data
+    static addAttribute(context, attribute, withBounds) {
+        const array = new Float32Array(attribute.count * 3);
+        const vector = new THREE.Vector3();
+        const box = new THREE.Box3();
+        for (let i = 0; i < attribute.count; i++) {
+            vector.fromBufferAttribute(attribute, i).toArray(array, i * 3);
+            if (withBounds) box.expandByPoint(vector);
+        }
+        const accessor = {
+            bufferView: GlbWriter.addBufferView(context, array, ARRAY_BUFFER),
+            componentType: FLOAT,
+            count: attribute.count,
+            type: 'VEC3',
+        };
+        if (withBounds && attribute.count) {
+            accessor.min = box.min.toArray();
+            accessor.max = box.max.toArray();
+        }
+        context.json.accessors.push(accessor);
+        return context.json.accessors.length - 1;
+    }
+
+    static addIndices(context, indices, vertexCount) {
+        const array =
+            vertexCount > 65535
+                ? new Uint32Array(indices)
+                : new Uint16Array(indices);
+        context.json.accessors.push({
+            bufferView: GlbWriter.addBufferView(
+                context,
+                array,
+                ELEMENT_ARRAY_BUFFER,
+            ),
+            componentType:
+                array instanceof Uint32Array ? UNSIGNED_INT : UNSIGNED_SHORT,
+            count: array.length,
+            type: 'SCALAR',
+        });
+        return context.json.accessors.length - 1;
+    }
+
+    static addMaterial(context, material) {
+        if (!material) return undefined;
+        if (context.materials.has(material))
+            return context.materials.get(material);
+        const color = material.color || new THREE.Color(1, 1, 1);
+        const entry = {
+            name: material.name || undefined,
+            pbrMetallicRoughness: {
+                baseColorFactor: [color.r, color.g, color.b, material.opacity],
+                metallicFactor: material.metalness ?? 0,
+                roughnessFactor: material.roughness ?? 1,
+            },
+        };
+        if (material.side === THREE.DoubleSide) entry.doubleSided = true;
+        if (material.transparent) entry.alphaMode = 'BLEND';
+        context.json.materials.push(entry);
+        context.materials.set(material, context.json.materials.length - 1);
+        return context.json.materials.length - 1;
+    }
+
+    // One primitive per geometry group when the mesh has several materials
+    static addMesh(context, mesh) {
+        const { geometry } = mesh;
+        const position = geometry.attributes.position;
+        const attributes = {
+            POSITION: GlbWriter.addAttribute(context, position, true),
+        };
+        if (geometry.attributes.normal)
+            attributes.NORMAL = GlbWriter.addAttribute(
+                context,
+                geometry.attributes.normal,
+                false,
+            );
+        const materials = [].concat(mesh.material);
+        const count = geometry.index ? geometry.index.count : position.count;
+        const groups =
+            Array.isArray(mesh.material) && geometry.groups.length
+                ? geometry.groups
+                : [{ start: 0, count, materialIndex: 0 }];
+        const primitives = groups.map((group) => {
+            const indices = [];
+            const end = Math.min(group.start + group.count, count);
+            for (let i = group.start; i < end; i++)
+                indices.push(geometry.index ? geometry.index.getX(i) : i);
+            return {
+                attributes,
+                indices: GlbWriter.addIndices(context, indices, position.count),
+                material: GlbWriter.addMaterial(
+                    context,
+                    materials[group.materialIndex],
+                ),
+                mode: TRIANGLES,
+            };
+        });
+        context.json.meshes.push({ name: mesh.name || undefined, primitives });
+        return context.json.meshes.length - 1;
+    }
+
+    static addNode(context, object) {
+        const node = { name: object.name || undefined };
+        if (!object.matrix.equals(new THREE.Matrix4()))
+            node.matrix = object.matrix.toArray();
+        if (object.isMesh) node.mesh = GlbWriter.addMesh(context, object);
+        if (Object.keys(object.userData).length)
+            node.extras = JSON.parse(JSON.stringify(object.userData));
+        const index = context.json.nodes.push(node) - 1;
+        const children = object.children
+            .filter((child) => !child.userData.isHelper)
+            .map((child) => GlbWriter.addNode(context, child));
+        if (children.length) node.children = children;
+        return index;
+    }
+
+    static toArrayBuffer(context) {
+        const bin = new Uint8Array(context.byteLength);
+        context.chunks.forEach(({ offset, array }) =>
+            bin.set(
+                new Uint8Array(
+                    array.buffer,
+                    array.byteOffset,
+                    array.byteLength,
+                ),
+                offset,
+            ),
+        );
+        context.json.buffers.push({ byteLength: bin.byteLength });
+        Object.keys(context.json).forEach((key) => {
+            if (Array.isArray(context.json[key]) && !context.json[key].length)
+                delete context.json[key];
+        });
+        const text = new TextEncoder().encode(JSON.stringify(context.json));
+        const json = new Uint8Array(align4(text.length)).fill(0x20);
+        json.set(text);
+
+        const total = 12 + 8 + json.length + 8 + bin.length;
+        const output = new ArrayBuffer(total);
+        const header = new DataView(output);
+        header.setUint32(0, GLB_MAGIC, true);
+        header.setUint32(4, 2, true);
+        header.setUint32(8, total, true);
+        header.setUint32(12, json.length, true);
+        header.setUint32(16, CHUNK_JSON, true);
+        new Uint8Array(output, 20).set(json);
+        header.setUint32(20 + json.length, bin.length, true);
+        header.setUint32(24 + json.length, CHUNK_BIN, true);
+        new Uint8Array(output, 28 + json.length).set(bin);
+        return output;
+    }
+}
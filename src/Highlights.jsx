@@ -0,0 +1,21 @@
+import React from 'react';
+import { EffectComposer, Outline } from '@react-three/postprocessing';
+
+const HOVER_COLOR = 0xffeb3b;
+
+// Thin yellow edge around the mesh under the pointer. Planes mark their
+// picked regions with overlays instead (see GLBModel), so this stays one
+// outline pass however many planes there are. The composer stays mounted;
+// without a hovered mesh the pass just has an empty selection.
+export default function Highlights({ hovered }) {
+    return (
+        <EffectComposer stencilBuffer multisampling={4}>
+            <Outline
+                selection={hovered?.visible ? [hovered] : []}
+                visibleEdgeColor={HOVER_COLOR}
+                hiddenEdgeColor={0x000000}
+                edgeStrength={2.5}
+            />
+        </EffectComposer>
+    );
+}
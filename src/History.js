@@ -0,0 +1,95 @@
+// Undo stack of commands. A command is `{ label, undo, redo }`; commands
+// are recorded after the change has already happened (a pick, a drag, an
+// animated alignment), so recording never runs `redo`. Consecutive commands
+// with the same `mergeKey` (keystrokes of one rename) become one step.
+export class History {
+    static LIMIT = 100;
+
+    static create() {
+        return { past: [], future: [] };
+    }
+
+    static record(history, command) {
+        const last = history.past[history.past.length - 1];
+        if (command.mergeKey && last?.mergeKey === command.mergeKey)
+            return {
+                past: [
+                    ...history.past.slice(0, -1),
+                    { ...command, label: last.label, undo: last.undo },
+                ],
+                future: [],
+            };
+        return {
+            past: [...history.past, command].slice(-History.LIMIT),
+            future: [],
+        };
+    }
+
+    static undo(history) {
+        const command = history.past[history.past.length - 1];
+        if (!command) return history;
+        command.undo();
+        return {
+            past: history.past.slice(0, -1),
+            future: [command, ...history.future],
+        };
+    }
+
+    static redo(history) {
+        const [command, ...future] = history.future;
+        if (!command) return history;
+        command.redo();
+        return { past: [...history.past, command], future };
+    }
+
+    // Undoes or redoes until `count` commands are applied
+    static goTo(history, count) {
+        let next = history;
+        while (next.past.length > count) next = History.undo(next);
+        while (next.past.length < count && next.future.length)
+            next = History.redo(next);
+        return next;
+    }
+
+    // Swaps a whole piece of state between its before and after values
+    static stateCommand(label, apply, before, after) {
+        return { label, undo: () => apply(before), redo: () => apply(after) };
+    }
+
+    static captureTransform(object) {
+        return {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            scale: object.scale.clone(),
+        };
+    }
+
+    static isSameTransform(a, b) {
+        return (
+            a.position.equals(b.position) &&
+            a.quaternion.equals(b.quaternion) &&
+            a.scale.equals(b.scale)
+        );
+    }
+
+    static applyTransform(object, transform) {
+        object.position.copy(transform.position);
+        object.quaternion.copy(transform.quaternion);
+        object.scale.copy(transform.scale);
+        object.updateMatrixWorld(true);
+    }
+
+    // `onApply` runs after either direction, e.g. to restore a report that
+    // belongs to the pose
+    static transformCommand(label, object, before, after, onApply) {
+        const apply = (transform, direction) => {
+            History.applyTransform(object, transform);
+            onApply?.(direction);
+        };
+        return {
+            label,
+            undo: () => apply(before, 'undo'),
+            redo: () => apply(after, 'redo'),
+        };
+    }
+}
@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { History } from './History';
+
+// A piece of state edited through state commands, like the plane list
+function createState(initial) {
+    const state = { value: initial, history: History.create() };
+    state.commit = (next, label, mergeKey) => {
+        state.history = History.record(state.history, {
+            ...History.stateCommand(
+                label,
+                (value) => {
+                    state.value = value;
+                },
+                state.value,
+                next,
+            ),
+            mergeKey,
+        });
+        state.value = next;
+    };
+    return state;
+}
+
+describe('History', () => {
+    it('undoes and redoes state commands in order', () => {
+        const state = createState('a');
+        state.commit('b', 'B');
+        state.commit('c', 'C');
+
+        state.history = History.undo(state.history);
+        expect(state.value).toBe('b');
+        state.history = History.undo(state.history);
+        expect(state.value).toBe('a');
+        expect(History.undo(state.history)).toBe(state.history);
+
+        state.history = History.redo(state.history);
+        expect(state.value).toBe('b');
+        expect(state.history.future.map((command) => command.label)).toEqual([
+            'C',
+        ]);
+    });
+
+    it('drops the redo branch when a new command is recorded', () => {
+        const state = createState('a');
+        state.commit('b', 'B');
+        state.history = History.undo(state.history);
+        state.commit('x', 'X');
+        expect(state.history.future).toHaveLength(0);
+        expect(History.redo(state.history)).toBe(state.history);
+    });
+
+    it('jumps to any point of the list', () => {
+        const state = createState(0);
+        [1, 2, 3, 4].forEach((value) => state.commit(value, `${value}`));
+        state.history = History.goTo(state.history, 1);
+        expect(state.value).toBe(1);
+        state.history = History.goTo(state.history, 3);
+        expect(state.value).toBe(3);
+    });
+
+    it('keeps at most LIMIT commands', () => {
+        const state = createState(0);
+        for (let i = 1; i <= History.LIMIT + 5; i++) state.commit(i, `${i}`);
+        expect(state.history.past).toHaveLength(History.LIMIT);
+        expect(state.history.past[0].label).toBe('6');
+    });
+
+    it('merges a run of edits with the same key into one step', () => {
+        const state = createState({ name: 'Plane 1', color: '#f00' });
+        ['T', 'Ta', 'Table'].forEach((name) =>
+            state.commit({ ...state.value, name }, `Rename ${name}`, '1.name'),
+        );
+        state.commit({ ...state.value, color: '#0f0' }, 'Recolour', '1.color');
+
+        expect(state.history.past.map((command) => command.label)).toEqual([
+            'Rename T',
+            'Recolour',
+        ]);
+        state.history = History.undo(state.history);
+        expect(state.value).toEqual({ name: 'Table', color: '#f00' });
+        state.history = History.undo(state.history);
+        expect(state.value).toEqual({ name: 'Plane 1', color: '#f00' });
+        state.history = History.redo(state.history);
+        expect(state.value.name).toBe('Table');
+    });
+
+    it('does not merge across an undo', () => {
+        const state = createState('a');
+        state.commit('b', 'B', 'key');
+        state.history = History.undo(state.history);
+        state.commit('c', 'C', 'key');
+        expect(state.history.past).toHaveLength(1);
+        state.history = History.undo(state.history);
+        expect(state.value).toBe('a');
+    });
+});
+
+describe('History.transformCommand', () => {
+    it('restores the pose and reports the direction', () => {
+        const object = new THREE.Object3D();
+        const before = History.captureTransform(object);
+        object.position.set(1, 2, 3);
+        object.rotation.set(0, Math.PI / 2, 0);
+        const after = History.captureTransform(object);
+        const directions = [];
+        const command = History.transformCommand(
+            'Move',
+            object,
+            before,
+            after,
+            (direction) => directions.push(direction),
+        );
+
+        command.undo();
+        expect(
+            History.isSameTransform(History.captureTransform(object), before),
+        ).toBe(true);
+        command.redo();
+        expect(
+            History.isSameTransform(History.captureTransform(object), after),
+        ).toBe(true);
+        expect(directions).toEqual(['undo', 'redo']);
+    });
+});
@@ -0,0 +1,70 @@
+import React from 'react';
+
+// Applied commands read top to bottom, undone ones follow greyed out;
+// clicking a row undoes or redoes up to and including it.
+export default function HistoryPanel({
+    history,
+    disabled,
+    onUndo,
+    onRedo,
+    onJump,
+}) {
+    const { past, future } = history;
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                maxHeight: '40vh',
+                overflowY: 'auto',
+                fontSize: 13,
+            }}>
+            <strong>History</strong>
+            <button
+                onClick={onUndo}
+                disabled={disabled || !past.length}
+                title="Ctrl+Z"
+                style={{ marginLeft: 10 }}>
+                Undo
+            </button>
+            <button
+                onClick={onRedo}
+                disabled={disabled || !future.length}
+                title="Ctrl+Shift+Z"
+                style={{ marginLeft: 4 }}>
+                Redo
+            </button>
+            <div
+                onClick={() => !disabled && onJump(0)}
+                style={{
+                    marginTop: 6,
+                    cursor: 'pointer',
+                    fontWeight: past.length === 0 ? 'bold' : 'normal',
+                }}>
+                Start
+            </div>
+            {past.map((command, index) => (
+                <div
+                    key={`past-${index}`}
+                    onClick={() => !disabled && onJump(index + 1)}
+                    style={{
+                        cursor: 'pointer',
+                        fontWeight:
+                            index === past.length - 1 ? 'bold' : 'normal',
+                    }}>
+                    {index + 1}. {command.label}
+                </div>
+            ))}
+            {future.map((command, index) => (
+                <div
+                    key={`future-${index}`}
+                    onClick={() => !disabled && onJump(past.length + index + 1)}
+                    style={{ cursor: 'pointer', opacity: 0.5 }}>
+                    {past.length + index + 1}. {command.label}
+                </div>
+            ))}
+        </div>
+    );
+}
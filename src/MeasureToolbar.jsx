@@ -0,0 +1,71 @@
+import React from 'react';
+import { MeasureTools } from './MeasureTools';
+
+const HINTS = {
+    distance: ['Pick the first point', 'Pick the second point'],
+    angle: ['Pick the first facet', 'Pick the second facet'],
+    thickness: ['Click a surface to probe'],
+};
+
+export default function MeasureToolbar({
+    tool,
+    pending,
+    measurements,
+    onToolChange,
+    onRemove,
+    onClear,
+}) {
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Measure</strong>
+            <div style={{ marginTop: 6 }}>
+                {MeasureTools.TOOLS.map((name) => (
+                    <button
+                        key={name}
+                        onClick={() =>
+                            onToolChange(tool === name ? null : name)
+                        }
+                        style={{
+                            marginRight: 4,
+                            fontWeight: tool === name ? 'bold' : 'normal',
+                        }}>
+                        {MeasureTools.LABELS[name]}
+                    </button>
+                ))}
+            </div>
+            {tool && (
+                <div style={{ marginTop: 4, opacity: 0.8 }}>
+                    {HINTS[tool][pending ? 1 : 0]}
+                </div>
+            )}
+            {measurements.map((measurement) => (
+                <div key={measurement.id} style={{ marginTop: 4 }}>
+                    {measurement.name} {MeasureTools.LABELS[measurement.type]}:{' '}
+                    {measurement.label}
+                    {measurement.detail && (
+                        <span style={{ opacity: 0.7 }}>
+                            {' '}
+                            ({measurement.detail})
+                        </span>
+                    )}
+                    <button
+                        onClick={() => onRemove(measurement.id)}
+                        style={{ marginLeft: 6 }}>
+                        ×
+                    </button>
+                </div>
+            ))}
+            {measurements.length > 0 && (
+                <button onClick={onClear} style={{ marginTop: 6 }}>
+                    Clear all
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { FacetFit } from './FacetFit';
+import { Utils } from './Utils';
+
+export class MeasureTools {
+    static TOOLS = ['distance', 'angle', 'thickness'];
+
+    static LABELS = {
+        distance: 'Distance',
+        angle: 'Angle',
+        thickness: 'Thickness',
+    };
+
+    static getTriangle(mesh, face) {
+        const position = mesh.geometry.attributes.position;
+        const triangle = new THREE.Triangle(
+            new THREE.Vector3().fromBufferAttribute(position, face.a),
+            new THREE.Vector3().fromBufferAttribute(position, face.b),
+            new THREE.Vector3().fromBufferAttribute(position, face.c),
+        );
+        triangle.a.applyMatrix4(mesh.matrixWorld);
+        triangle.b.applyMatrix4(mesh.matrixWorld);
+        triangle.c.applyMatrix4(mesh.matrixWorld);
+        return triangle;
+    }
+
+    // Snaps a surface hit to the nearest corner of the hit triangle, then to
+    // the nearest point on one of its edges, when within `snapDistance`.
+    static snapPoint(mesh, face, point, snapDistance) {
+        const triangle = MeasureTools.getTriangle(mesh, face);
+        const corners = [triangle.a, triangle.b, triangle.c];
+
+        let best = null;
+        corners.forEach((corner) => {
+            const distance = corner.distanceTo(point);
+            if (distance <= snapDistance && (!best || distance < best.distance))
+                best = { point: corner.clone(), distance, snap: 'vertex' };
+        });
+        if (best) return best;
+
+        const edge = new THREE.Line3();
+        const closest = new THREE.Vector3();
+        corners.forEach((corner, i) => {
+            edge.set(corner, corners[(i + 1) % 3]);
+            edge.closestPointToPoint(point, true, closest);
+            const distance = closest.distanceTo(point);
+            if (distance <= snapDistance && (!best || distance < best.distance))
+                best = { point: closest.clone(), distance, snap: 'edge' };
+        });
+        return best || { point: point.clone(), distance: 0, snap: 'surface' };
+    }
+
+    // Facet normal at the hit: a fitted plane where the facet can be grown,
+    // otherwise the raw triangle normal.
+    static getFacetNormal(mesh, face, faceIndex) {
+        const fit = FacetFit.fitFacet(
+            mesh,
+            face,
+            faceIndex,
+            FacetFit.DEFAULT_ANGLE_TOLERANCE,
+        );
+        if (fit) return { normal: fit.normal, point: fit.centroid };
+        return {
+            normal: MeasureTools.getTriangle(mesh, face).getNormal(
+                new THREE.Vector3(),
+            ),
+            point: null,
+        };
+    }
+
+    static angleBetween(normalA, normalB) {
+        const cos = THREE.MathUtils.clamp(
+            normalA.clone().normalize().dot(normalB.clone().normalize()),
+            -1,
+            1,
+        );
+        return THREE.MathUtils.radToDeg(Math.acos(cos));
+    }
+
+    // Casts from just outside the clicked surface along the inverted face
+    // normal and reports where the ray enters and leaves the mesh.
+    static probeThickness(mesh, face, point) {
+        const normal = MeasureTools.getTriangle(mesh, face).getNormal(
+            new THREE.Vector3(),
+        );
+        mesh.geometry.computeBoundingSphere();
+        const offset =
+            mesh.geometry.boundingSphere.radius *
+            mesh.getWorldScale(new THREE.Vector3()).x *
+            1e-3;
+        const origin = point.clone().addScaledVector(normal, offset);
+        const hits = Utils.getMeshIntersectionWithLine(
+            mesh,
+            origin,
+            normal.clone().negate(),
+        );
+        if (!hits || hits.length < 2) return null;
+
+        const entry = hits[0].point.clone();
+        const exit = hits
+            .slice(1)
+            .find((hit) => hit.distance - hits[0].distance > offset);
+        if (!exit) return null;
+        return {
+            entry,
+            exit: exit.point.clone(),
+            thickness: entry.distanceTo(exit.point),
+        };
+    }
+}
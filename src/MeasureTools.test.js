@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { MeasureTools } from './MeasureTools';
+import { Utils } from './Utils';
+import { createBrilliant } from './testShapes';
+
+describe('MeasureTools.probeThickness', () => {
+    it('finds the exit through a front-sided material in the model frame', () => {
+        const stone = createBrilliant();
+        const model = new THREE.Group();
+        model.add(stone);
+        model.scale.setScalar(2.5);
+        model.rotation.y = Math.PI;
+        model.updateMatrixWorld(true);
+        const { side } = stone.material;
+
+        // Down through the table, 10 units off the axis on a lathe meridian
+        const [table] = Utils.getMeshIntersectionWithLine(
+            stone,
+            new THREE.Vector3(0, 100, -25),
+            new THREE.Vector3(0, -1, 0),
+        );
+        const probe = MeasureTools.probeThickness(
+            stone,
+            table.face,
+            table.point,
+        );
+        expect(probe.entry.y).toBeCloseTo(16 * 2.5, 6);
+        expect(probe.thickness).toBeCloseTo((16 + 86 - 8.6) * 2.5, 6);
+        expect(stone.material.side).toBe(side);
+    });
+});
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Html, Line } from '@react-three/drei';
+
+const COLORS = {
+    distance: '#00e5ff',
+    angle: '#ffd54d',
+    thickness: '#ff7043',
+};
+
+const dotStyle = (color) => ({
+    width: 6,
+    height: 6,
+    borderRadius: 3,
+    background: color,
+    pointerEvents: 'none',
+});
+
+function Annotation({ measurement }) {
+    const color = COLORS[measurement.type];
+    const [start, end] = measurement.points;
+    const middle = start.clone().add(end).multiplyScalar(0.5);
+    return (
+        <>
+            <Line
+                points={[start, end]}
+                color={color}
+                lineWidth={2}
+                depthTest={false}
+            />
+            {[start, end].map((point, index) => (
+                <Html key={index} position={point} center>
+                    <div style={dotStyle(color)} />
+                </Html>
+            ))}
+            <Html position={middle} center>
+                <div
+                    style={{
+                        background: 'rgba(0, 0, 0, 0.7)',
+                        color,
+                        padding: '1px 4px',
+                        fontSize: 12,
+                        whiteSpace: 'nowrap',
+                        pointerEvents: 'none',
+                    }}>
+                    {measurement.name}: {measurement.label}
+                </div>
+            </Html>
+        </>
+    );
+}
+
+// Rendered inside the model object, so points are in model-local space and
+// the annotations follow every rotation applied to the model.
+export default function MeasurementAnnotations({ measurements, pending }) {
+    return (
+        <group userData={{ isHelper: true }}>
+            {measurements.map((measurement) => (
+                <Annotation key={measurement.id} measurement={measurement} />
+            ))}
+            {pending && (
+                <Html position={pending.point} center>
+                    <div style={dotStyle(COLORS[pending.type])} />
+                </Html>
+            )}
+        </group>
+    );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Proportions } from './Proportions';
+
+export default function MeasurementPanel({
+    meshNames,
+    report,
+    error,
+    onCompute,
+    onExport,
+}) {
+    const [meshName, setMeshName] = useState('');
+    const [unit, setUnit] = useState(Proportions.DEFAULT_UNIT);
+    const target = meshNames.includes(meshName) ? meshName : meshNames[0];
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Proportions</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={target || ''}
+                    onChange={(e) => setMeshName(e.target.value)}>
+                    {meshNames.map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <select
+                    value={unit}
+                    title="Model file units"
+                    onChange={(e) => setUnit(e.target.value)}
+                    style={{ marginLeft: 4 }}>
+                    {Object.keys(Proportions.UNITS).map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => onCompute(target, unit)}
+                    disabled={!target}
+                    style={{ marginLeft: 4 }}>
+                    Measure
+                </button>
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {report && (
+                <>
+                    <table style={{ marginTop: 6, width: '100%' }}>
+                        <tbody>
+                            {Proportions.toRows(report).map((row) => (
+                                <tr key={row.key}>
+                                    <td>{row.label}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {row.value ?? '-'}
+                                    </td>
+                                    <td>{row.unit}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <button onClick={() => onExport('json')}>
+                        Export JSON
+                    </button>
+                    <button
+                        onClick={() => onExport('csv')}
+                        style={{ marginLeft: 4 }}>
+                        Export CSV
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
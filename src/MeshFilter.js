@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+
+const STORAGE_PREFIX = 'diamond_poc.meshFilter.';
+
+export class MeshFilter {
+    // hide: invisible and not pickable, lock: visible but not pickable,
+    // exclude: detached from the scene (ignored by bounds, picking, slicing)
+    static ACTIONS = ['hide', 'lock', 'exclude'];
+    static RULE_TYPES = ['name', 'material', 'size'];
+
+    // Seed rules for models we ship with, matched by content (see
+    // `getFingerprint`) so a renamed copy keeps them and an unrelated file
+    // that happens to share the name does not pick them up. Every other
+    // model starts empty.
+    static PRESETS = [
+        {
+            name: 'Bundled scene (rough scan excluded)',
+            fingerprint:
+                '6|mesh_0,mesh_1,mesh_2,mesh_3,mesh_4,mesh_5|' +
+                '-1964.1521,-1698.3180,-1613.4551,1861.9410,1847.6072,1548.3411',
+            config: {
+                rules: [
+                    {
+                        id: 'default-mesh_2',
+                        type: 'name',
+                        pattern: '^mesh_2$',
+                        action: 'exclude',
+                    },
+                ],
+                overrides: {},
+            },
+        },
+    ];
+
+    static createConfig() {
+        return { rules: [], overrides: {} };
+    }
+
+    // Mesh count, sorted names and the combined bounds of the geometries
+    // as they are stored in the file, independent of any viewer transform
+    static getFingerprint(meshes) {
+        const box = new THREE.Box3();
+        meshes.forEach((mesh) => {
+            mesh.geometry.computeBoundingBox();
+            box.union(mesh.geometry.boundingBox);
+        });
+        const names = meshes.map((mesh) => mesh.name).sort();
+        const bounds = box.isEmpty()
+            ? []
+            : [...box.min.toArray(), ...box.max.toArray()];
+        return [
+            meshes.length,
+            names.join(','),
+            bounds.map((value) => value.toFixed(4)).join(','),
+        ].join('|');
+    }
+
+    // Shipped rules for the model's meshes, before any edits stored in the
+    // browser
+    static getDefaultConfig(meshes) {
+        const fingerprint = MeshFilter.getFingerprint(meshes);
+        const preset = MeshFilter.PRESETS.find(
+            (candidate) => candidate.fingerprint === fingerprint,
+        );
+        return structuredClone(preset?.config || MeshFilter.createConfig());
+    }
+
+    static load(modelName, meshes) {
+        try {
+            const stored = window.localStorage.getItem(
+                STORAGE_PREFIX + modelName,
+            );
+            if (!stored) return MeshFilter.getDefaultConfig(meshes);
+            const parsed = JSON.parse(stored);
+            return {
+                rules: Array.isArray(parsed.rules) ? parsed.rules : [],
+                overrides: parsed.overrides || {},
+            };
+        } catch (error) {
+            console.warn('Could not read mesh filter settings', error);
+            return MeshFilter.getDefaultConfig(meshes);
+        }
+    }
+
+    static save(modelName, config) {
+        try {
+            window.localStorage.setItem(
+                STORAGE_PREFIX + modelName,
+                JSON.stringify(config),
+            );
+        } catch (error) {
+            console.warn('Could not store mesh filter settings', error);
+        }
+    }
+
+    // Patterns are case-insensitive regular expressions; anything that does
+    // not compile is matched as a plain substring instead.
+    static matchesPattern(value, pattern) {
+        if (!pattern) return false;
+        try {
+            return new RegExp(pattern, 'i').test(value || '');
+        } catch {
+            return (value || '').toLowerCase().includes(pattern.toLowerCase());
+        }
+    }
+
+    // Rules match the materials from the file, not the display mode's
+    static getMaterialNames(mesh) {
+        const source = mesh.userData.originalMaterial || mesh.material;
+        const materials = Array.isArray(source) ? source : [source];
+        return materials.map((material) => material?.name || '');
+    }
+
+    // Size rules compare a mesh's bounding diagonal against the largest mesh
+    // of the model, so a threshold of 0.05 means "smaller than 5 %".
+    static getRelativeSizes(meshes) {
+        const box = new THREE.Box3();
+        const size = new THREE.Vector3();
+        const diagonals = meshes.map((mesh) => {
+            mesh.geometry.computeBoundingBox();
+            box.copy(mesh.geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+            return box.getSize(size).length();
+        });
+        const largest = Math.max(...diagonals, 0);
+        return diagonals.map((diagonal) =>
+            largest > 0 ? diagonal / largest : 1,
+        );
+    }
+
+    static ruleMatches(rule, mesh, relativeSize) {
+        switch (rule.type) {
+            case 'name':
+                return MeshFilter.matchesPattern(mesh.name, rule.pattern);
+            case 'material':
+                return MeshFilter.getMaterialNames(mesh).some((name) =>
+                    MeshFilter.matchesPattern(name, rule.pattern),
+                );
+            case 'size':
+                return relativeSize < Number(rule.threshold);
+            default:
+                return false;
+        }
+    }
+
+    // Applies the rules and per-mesh overrides to the given meshes (all
+    // meshes of the model, including previously excluded ones) and returns
+    // one entry per mesh describing its resulting state.
+    static apply(meshes, config) {
+        meshes.forEach((mesh) => MeshFilter.restore(mesh));
+        meshes.forEach((mesh) => mesh.updateWorldMatrix(true, false));
+        const relativeSizes = MeshFilter.getRelativeSizes(meshes);
+        const { rules = [], overrides = {} } = config || {};
+
+        return meshes.map((mesh, index) => {
+            let visible = true;
+            let pickable = true;
+            let excluded = false;
+            const matchedRules = [];
+
+            rules.forEach((rule) => {
+                if (!MeshFilter.ruleMatches(rule, mesh, relativeSizes[index]))
+                    return;
+                matchedRules.push(rule.id);
+                if (rule.action === 'exclude') excluded = true;
+                if (rule.action === 'hide') visible = false;
+                if (rule.action === 'hide' || rule.action === 'lock')
+                    pickable = false;
+            });
+
+            const override = overrides[mesh.name];
+            if (override) {
+                if (typeof override.visible === 'boolean')
+                    visible = override.visible;
+                if (typeof override.pickable === 'boolean')
+                    pickable = override.pickable;
+            }
+            if (!visible || excluded) pickable = false;
+
+            mesh.visible = visible;
+            if (excluded && mesh.parent) {
+                mesh.userData.filterParent = mesh.parent;
+                mesh.parent.remove(mesh);
+            }
+
+            return {
+                mesh,
+                name: mesh.name,
+                materials: MeshFilter.getMaterialNames(mesh),
+                relativeSize: relativeSizes[index],
+                visible,
+                pickable,
+                excluded,
+                matchedRules,
+            };
+        });
+    }
+
+    static restore(mesh) {
+        const parent = mesh.userData.filterParent;
+        if (parent && !mesh.parent) parent.add(mesh);
+        delete mesh.userData.filterParent;
+        mesh.visible = true;
+    }
+}
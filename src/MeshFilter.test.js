@@ -0,0 +1,147 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { MeshFilter } from './MeshFilter';
+
+// Stone, a small rough scan named like the shipped scene's and a tiny
+// marker, all under one root
+function createModel() {
+    const root = new THREE.Group();
+    const meshes = [
+        ['mesh_0', 10, 'Diamond'],
+        ['mesh_2', 8, 'Rough'],
+        ['marker', 0.1, 'Marker'],
+    ].map(([name, size, materialName]) => {
+        const material = new THREE.MeshBasicMaterial();
+        material.name = materialName;
+        const mesh = new THREE.Mesh(
+            new THREE.BoxGeometry(size, size, size),
+            material,
+        );
+        mesh.name = name;
+        root.add(mesh);
+        return mesh;
+    });
+    return { root, meshes };
+}
+
+const byName = (states) =>
+    Object.fromEntries(states.map((state) => [state.name, state]));
+
+describe('MeshFilter.apply', () => {
+    it('excludes the rough scan of the shipped scene by default', () => {
+        const { root, meshes } = createModel();
+        const states = byName(
+            MeshFilter.apply(meshes, MeshFilter.PRESETS[0].config),
+        );
+        expect(states.mesh_2.excluded).toBe(true);
+        expect(states.mesh_2.pickable).toBe(false);
+        expect(states.mesh_0.pickable).toBe(true);
+        expect(root.children.map((child) => child.name)).toEqual([
+            'mesh_0',
+            'marker',
+        ]);
+    });
+
+    it('matches materials and relative size', () => {
+        const { meshes } = createModel();
+        const states = byName(
+            MeshFilter.apply(meshes, {
+                rules: [
+                    {
+                        id: 'rough',
+                        type: 'material',
+                        pattern: 'rou',
+                        action: 'lock',
+                    },
+                    {
+                        id: 'small',
+                        type: 'size',
+                        threshold: 0.05,
+                        action: 'hide',
+                    },
+                ],
+                overrides: {},
+            }),
+        );
+        expect(states.mesh_2).toMatchObject({
+            visible: true,
+            pickable: false,
+            matchedRules: ['rough'],
+        });
+        expect(states.marker).toMatchObject({
+            visible: false,
+            pickable: false,
+            matchedRules: ['small'],
+        });
+        expect(states.mesh_0.matchedRules).toEqual([]);
+    });
+
+    it('lets overrides win over rules but never picks hidden meshes', () => {
+        const { meshes } = createModel();
+        const states = byName(
+            MeshFilter.apply(meshes, {
+                rules: [
+                    {
+                        id: 'all',
+                        type: 'name',
+                        pattern: 'mesh',
+                        action: 'hide',
+                    },
+                ],
+                overrides: {
+                    mesh_0: { visible: true, pickable: true },
+                    marker: { visible: false, pickable: true },
+                },
+            }),
+        );
+        expect(states.mesh_0).toMatchObject({ visible: true, pickable: true });
+        expect(states.mesh_2).toMatchObject({
+            visible: false,
+            pickable: false,
+        });
+        expect(states.marker).toMatchObject({
+            visible: false,
+            pickable: false,
+        });
+    });
+
+    it('puts excluded meshes back when the rules change', () => {
+        const { root, meshes } = createModel();
+        MeshFilter.apply(meshes, MeshFilter.PRESETS[0].config);
+        MeshFilter.apply(meshes, MeshFilter.createConfig());
+        expect(root.children).toHaveLength(3);
+        expect(meshes.every((mesh) => mesh.visible)).toBe(true);
+    });
+});
+
+describe('MeshFilter.getDefaultConfig', () => {
+    it('fingerprints the stored geometry, not names of files or transforms', () => {
+        const { root, meshes } = createModel();
+        const fingerprint = MeshFilter.getFingerprint(meshes);
+        expect(fingerprint).toBe(
+            '3|marker,mesh_0,mesh_2|' +
+                [-5, -5, -5, 5, 5, 5].map((v) => v.toFixed(4)).join(','),
+        );
+        root.rotation.y = Math.PI;
+        expect(MeshFilter.getFingerprint([...meshes].reverse())).toBe(
+            fingerprint,
+        );
+        meshes[2].name = 'pin';
+        expect(MeshFilter.getFingerprint(meshes)).not.toBe(fingerprint);
+    });
+
+    it('starts models without a matching preset with no rules', () => {
+        const { meshes } = createModel();
+        expect(MeshFilter.getDefaultConfig(meshes)).toEqual(
+            MeshFilter.createConfig(),
+        );
+    });
+});
+
+describe('MeshFilter.matchesPattern', () => {
+    it('falls back to a substring match for invalid expressions', () => {
+        expect(MeshFilter.matchesPattern('Rough (scan)', '(scan')).toBe(true);
+        expect(MeshFilter.matchesPattern('Rough', '^rough$')).toBe(true);
+        expect(MeshFilter.matchesPattern('Rough', '')).toBe(false);
+    });
+});
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+const CARAT_GRAMS = 0.2;
+// Positions closer than this fraction of the mesh size share a vertex when
+// checking topology; glTF splits vertices along normal and UV seams.
+const WELD_TOLERANCE = 1e-6;
+
+const topologyCache = new WeakMap();
+
+// Volume, surface area and watertightness of meshes, and weight estimates
+// from a material density. Volumes come from signed tetrahedra, so they
+// are only meaningful for closed meshes.
+export class MeshMetrics {
+    // Density in g/cm³; refractive index and dispersion (B–G) drive the
+    // gemstone render
+    static MATERIALS = {
+        diamond: {
+            label: 'Diamond',
+            density: 3.52,
+            ior: 2.42,
+            dispersion: 0.044,
+        },
+        moissanite: {
+            label: 'Moissanite',
+            density: 3.21,
+            ior: 2.65,
+            dispersion: 0.104,
+        },
+        corundum: {
+            label: 'Ruby / sapphire',
+            density: 4.0,
+            ior: 1.77,
+            dispersion: 0.018,
+        },
+        beryl: {
+            label: 'Emerald',
+            density: 2.72,
+            ior: 1.58,
+            dispersion: 0.014,
+        },
+        quartz: {
+            label: 'Quartz',
+            density: 2.65,
+            ior: 1.54,
+            dispersion: 0.013,
+        },
+        cz: {
+            label: 'Cubic zirconia',
+            density: 5.7,
+            ior: 2.17,
+            dispersion: 0.06,
+        },
+    };
+
+    static DEFAULT_MATERIAL = 'diamond';
+
+    static getTriangleCount(geometry) {
+        return (geometry.index || geometry.attributes.position).count / 3;
+    }
+
+    static getTriangle(geometry, index, target) {
+        const position = geometry.attributes.position;
+        const [a, b, c] = [0, 1, 2].map((corner) =>
+            geometry.index
+                ? geometry.index.getX(index * 3 + corner)
+                : index * 3 + corner,
+        );
+        target.a.fromBufferAttribute(position, a);
+        target.b.fromBufferAttribute(position, b);
+        target.c.fromBufferAttribute(position, c);
+        return target;
+    }
+
+    // `getMatrix(mesh)` maps each mesh into the frame to measure in
+    static measure(meshes, getMatrix) {
+        const triangle = new THREE.Triangle();
+        const cross = new THREE.Vector3();
+        let volume = 0;
+        let area = 0;
+        meshes.forEach((mesh) => {
+            const matrix = getMatrix(mesh);
+            const count = MeshMetrics.getTriangleCount(mesh.geometry);
+            for (let i = 0; i < count; i++) {
+                MeshMetrics.getTriangle(mesh.geometry, i, triangle);
+                triangle.a.applyMatrix4(matrix);
+                triangle.b.applyMatrix4(matrix);
+                triangle.c.applyMatrix4(matrix);
+                area += triangle.getArea();
+                volume +=
+                    triangle.a.dot(cross.crossVectors(triangle.b, triangle.c)) /
+                    6;
+            }
+        });
+        return { volume: Math.abs(volume), area };
+    }
+
+    // Counts edges used by one face (open) and by more than two faces
+    // (non-manifold) after welding coincident positions. Cached per
+    // geometry, since transforms do not change topology.
+    static getTopology(geometry) {
+        const cached = topologyCache.get(geometry);
+        if (cached) return cached;
+
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3()).length();
+        const cell = size * WELD_TOLERANCE || WELD_TOLERANCE;
+        const position = geometry.attributes.position;
+        const ids = new Map();
+        const vertexIds = new Uint32Array(position.count);
+        for (let i = 0; i < position.count; i++) {
+            const key = [position.getX(i), position.getY(i), position.getZ(i)]
+                .map((value) => Math.round(value / cell))
+                .join(',');
+            if (!ids.has(key)) ids.set(key, ids.size);
+            vertexIds[i] = ids.get(key);
+        }
+
+        const edges = new Map();
+        const triangleCount = MeshMetrics.getTriangleCount(geometry);
+        for (let i = 0; i < triangleCount; i++) {
+            const corners = [0, 1, 2].map(
+                (corner) =>
+                    vertexIds[
+                        geometry.index
+                            ? geometry.index.getX(i * 3 + corner)
+                            : i * 3 + corner
+                    ],
+            );
+            if (new Set(corners).size < 3) continue;
+            corners.forEach((start, corner) => {
+                const end = corners[(corner + 1) % 3];
+                const key = start < end ? `${start}_${end}` : `${end}_${start}`;
+                edges.set(key, (edges.get(key) || 0) + 1);
+            });
+        }
+
+        let openEdges = 0;
+        let nonManifoldEdges = 0;
+        edges.forEach((count) => {
+            if (count === 1) openEdges++;
+            else if (count > 2) nonManifoldEdges++;
+        });
+        const topology = {
+            openEdges,
+            nonManifoldEdges,
+            watertight: openEdges === 0 && nonManifoldEdges === 0,
+        };
+        topologyCache.set(geometry, topology);
+        return topology;
+    }
+
+    // Meshes whose volume cannot be trusted
+    static getWarnings(meshes) {
+        return meshes
+            .map((mesh) => ({
+                name: mesh.name,
+                ...MeshMetrics.getTopology(mesh.geometry),
+            }))
+            .filter(({ watertight }) => !watertight);
+    }
+
+    static getCarats(cubicMillimetres, materialKey) {
+        return (
+            ((cubicMillimetres / 1000) *
+                MeshMetrics.MATERIALS[materialKey].density) /
+            CARAT_GRAMS
+        );
+    }
+
+    // `stone` and `rough` are `measure` results in model units;
+    // `unitScale` is millimetres per model unit
+    static report({ stone, rough, unitScale, material }) {
+        const stoneVolume = stone.volume * unitScale ** 3;
+        const roughVolume = rough ? rough.volume * unitScale ** 3 : null;
+        return {
+            stoneVolume,
+            stoneArea: stone.area * unitScale ** 2,
+            roughVolume,
+            yield: roughVolume ? stoneVolume / roughVolume : null,
+            stoneCarats: MeshMetrics.getCarats(stoneVolume, material),
+            roughCarats:
+                roughVolume === null
+                    ? null
+                    : MeshMetrics.getCarats(roughVolume, material),
+        };
+    }
+}
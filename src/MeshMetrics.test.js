@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { MeshMetrics } from './MeshMetrics';
+import { createBrilliant, createMesh } from './testShapes';
+
+const identity = () => new THREE.Matrix4();
+
+describe('MeshMetrics.measure', () => {
+    it('measures a box in the frame it is given', () => {
+        const box = createMesh(new THREE.BoxGeometry(1, 2, 3));
+        expect(MeshMetrics.measure([box], identity)).toEqual({
+            volume: expect.closeTo(6, 9),
+            area: expect.closeTo(22, 9),
+        });
+        const scaled = MeshMetrics.measure([box], () =>
+            new THREE.Matrix4().makeScale(2, 2, 2),
+        );
+        expect(scaled.volume).toBeCloseTo(48, 9);
+        expect(scaled.area).toBeCloseTo(88, 9);
+    });
+
+    it('does not depend on where the stone sits', () => {
+        const stone = createBrilliant();
+        const centred = MeshMetrics.measure([stone], identity);
+        const moved = MeshMetrics.measure([stone], () =>
+            new THREE.Matrix4().makeTranslation(500, -200, 90),
+        );
+        expect(moved.volume / centred.volume).toBeCloseTo(1, 9);
+    });
+});
+
+describe('MeshMetrics.getTopology', () => {
+    it('welds split corners before counting edges', () => {
+        const box = new THREE.BoxGeometry(1, 1, 1);
+        expect(MeshMetrics.getTopology(box).watertight).toBe(true);
+        expect(MeshMetrics.getTopology(createBrilliant().geometry)).toEqual({
+            openEdges: 0,
+            nonManifoldEdges: 0,
+            watertight: true,
+        });
+    });
+
+    it('flags open meshes', () => {
+        const box = createMesh(new THREE.BoxGeometry(1, 1, 1));
+        box.name = 'box';
+        const plane = createMesh(new THREE.PlaneGeometry(1, 1));
+        plane.name = 'sheet';
+        expect(MeshMetrics.getTopology(plane.geometry).openEdges).toBe(4);
+        expect(
+            MeshMetrics.getWarnings([box, plane]).map((mesh) => mesh.name),
+        ).toEqual(['sheet']);
+    });
+});
+
+describe('MeshMetrics.report', () => {
+    it('converts to millimetres, yield and carats', () => {
+        const report = MeshMetrics.report({
+            stone: { volume: 100, area: 10 },
+            rough: { volume: 400, area: 40 },
+            unitScale: 0.1,
+            material: 'diamond',
+        });
+        expect(report.stoneVolume).toBeCloseTo(0.1, 12);
+        expect(report.stoneArea).toBeCloseTo(0.1, 12);
+        expect(report.yield).toBeCloseTo(0.25, 12);
+        // 1 cm³ of diamond is 3.52 g, i.e. 17.6 ct
+        expect(report.roughCarats).toBeCloseTo(0.4 * 0.0176, 12);
+        expect(
+            MeshMetrics.report({
+                stone: { volume: 100, area: 10 },
+                rough: null,
+                unitScale: 1,
+                material: 'diamond',
+            }).yield,
+        ).toBeNull();
+    });
+});
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { MeshFilter } from './MeshFilter';
+
+const describeRule = (rule) =>
+    rule.type === 'size'
+        ? `size < ${Math.round(Number(rule.threshold) * 100)}%`
+        : `${rule.type} ~ /${rule.pattern}/`;
+
+export default function MeshOutliner({ modelName, entries, config, onChange }) {
+    const [action, setAction] = useState('hide');
+    const [type, setType] = useState('name');
+    const [value, setValue] = useState('');
+
+    const rules = config?.rules || [];
+    const overrides = config?.overrides || {};
+
+    const addRule = () => {
+        if (!value.trim()) return;
+        const rule = {
+            id: `rule-${Date.now()}`,
+            type,
+            action,
+            ...(type === 'size'
+                ? { threshold: Number(value) / 100 }
+                : { pattern: value.trim() }),
+        };
+        onChange({ ...config, rules: [...rules, rule] });
+        setValue('');
+    };
+
+    const removeRule = (id) => {
+        onChange({ ...config, rules: rules.filter((rule) => rule.id !== id) });
+    };
+
+    const setOverride = (name, key, checked) => {
+        onChange({
+            ...config,
+            overrides: {
+                ...overrides,
+                [name]: { ...overrides[name], [key]: checked },
+            },
+        });
+    };
+
+    const clearOverride = (name) => {
+        const next = { ...overrides };
+        delete next[name];
+        onChange({ ...config, overrides: next });
+    };
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                maxHeight: '70vh',
+                overflowY: 'auto',
+                fontSize: 13,
+            }}>
+            <strong>Meshes – {modelName || '-'}</strong>
+
+            <div style={{ marginTop: 8 }}>Rules</div>
+            {rules.length === 0 && <div style={{ opacity: 0.6 }}>None</div>}
+            {rules.map((rule) => (
+                <div key={rule.id}>
+                    {rule.action}: {describeRule(rule)}
+                    <button
+                        onClick={() => removeRule(rule.id)}
+                        style={{ marginLeft: 6 }}>
+                        ×
+                    </button>
+                </div>
+            ))}
+            <div style={{ marginTop: 4 }}>
+                <select
+                    value={action}
+                    onChange={(e) => setAction(e.target.value)}>
+                    {MeshFilter.ACTIONS.map((option) => (
+                        <option key={option}>{option}</option>
+                    ))}
+                </select>
+                <select value={type} onChange={(e) => setType(e.target.value)}>
+                    {MeshFilter.RULE_TYPES.map((option) => (
+                        <option key={option}>{option}</option>
+                    ))}
+                </select>
+                <input
+                    value={value}
+                    type={type === 'size' ? 'number' : 'text'}
+                    placeholder={type === 'size' ? '% of largest' : 'pattern'}
+                    onChange={(e) => setValue(e.target.value)}
+                    style={{ width: 90 }}
+                />
+                <button onClick={addRule}>Add</button>
+            </div>
+
+            <div style={{ marginTop: 8 }}>Outliner</div>
+            {entries.map((entry) => (
+                <div
+                    key={entry.name}
+                    style={{ opacity: entry.excluded ? 0.5 : 1 }}
+                    title={entry.materials.join(', ')}>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={entry.visible}
+                            disabled={entry.excluded}
+                            onChange={(e) =>
+                                setOverride(
+                                    entry.name,
+                                    'visible',
+                                    e.target.checked,
+                                )
+                            }
+                        />
+                        👁
+                    </label>
+                    <label style={{ marginLeft: 4 }}>
+                        <input
+                            type="checkbox"
+                            checked={entry.pickable}
+                            disabled={entry.excluded || !entry.visible}
+                            onChange={(e) =>
+                                setOverride(
+                                    entry.name,
+                                    'pickable',
+                                    e.target.checked,
+                                )
+                            }
+                        />
+                        ⊕
+                    </label>
+                    <span style={{ marginLeft: 6 }}>{entry.name}</span>
+                    {entry.excluded && <span> (excluded)</span>}
+                    {overrides[entry.name] && (
+                        <button
+                            onClick={() => clearOverride(entry.name)}
+                            style={{ marginLeft: 6 }}>
+                            reset
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
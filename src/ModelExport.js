@@ -0,0 +1,160 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter.js';
+import { Utils } from './Utils';
+
+const round = (value) => Number(value.toFixed(6));
+const toArray = (vector) => vector.toArray().map(round);
+
+export class ModelExport {
+    static FORMATS = {
+        glb: { label: 'GLB', extension: 'glb', type: 'model/gltf-binary' },
+        stl: { label: 'STL', extension: 'stl', type: 'model/stl' },
+    };
+
+    // `bake` writes aligned vertices, `node` keeps the original vertices
+    // and puts the alignment on each node. STL has no nodes, so it is
+    // always baked.
+    static TRANSFORM_MODES = {
+        bake: 'Bake into vertices',
+        node: 'Node transform',
+    };
+
+    // World transform of `object` with the model's display scale divided
+    // out, so exported geometry stays in the units of the source file.
+    static getExportMatrix(object, root) {
+        root.updateWorldMatrix(true, true);
+        const scale = root.getWorldScale(new THREE.Vector3()).x || 1;
+        return new THREE.Matrix4()
+            .makeScale(1 / scale, 1 / scale, 1 / scale)
+            .multiply(object.matrixWorld);
+    }
+
+    static toExportFrame(point, root) {
+        return point
+            .clone()
+            .applyMatrix4(ModelExport.getExportMatrix(root, root));
+    }
+
+    // Copies of the chosen meshes, flattened under one group; helper
+    // overlays (facet regions, clipping passes) are never exported.
+    static buildScene(root, meshes, mode) {
+        const scene = new THREE.Group();
+        scene.name = root.name || 'aligned';
+        meshes
+            .filter((mesh) => !mesh.userData.isHelper)
+            .forEach((mesh) => {
+                const matrix = ModelExport.getExportMatrix(mesh, root);
+                let copy;
+                if (mode === 'bake') {
+                    copy = new THREE.Mesh(
+                        mesh.geometry.clone().applyMatrix4(matrix),
+                        mesh.material,
+                    );
+                } else {
+                    copy = new THREE.Mesh(mesh.geometry, mesh.material);
+                    matrix.decompose(
+                        copy.position,
+                        copy.quaternion,
+                        copy.scale,
+                    );
+                }
+                copy.name = mesh.name;
+                scene.add(copy);
+            });
+        scene.updateMatrixWorld(true);
+        return scene;
+    }
+
+    // Reference planes and measurements in the exported frame. Plane
+    // centroids are world points, measurement points are model-local.
+    static getMetadata(root, { modelName, mode, planes, measurements }) {
+        const scale = root.getWorldScale(new THREE.Vector3()).x || 1;
+        const metadata = {
+            generator: 'diamond_poc',
+            exportedAt: new Date().toISOString(),
+            sourceModel: modelName,
+            units: 'source file units',
+            transform: mode,
+            alignment: {
+                quaternion: root
+                    .getWorldQuaternion(new THREE.Quaternion())
+                    .toArray()
+                    .map(round),
+                position: toArray(
+                    root
+                        .getWorldPosition(new THREE.Vector3())
+                        .divideScalar(scale),
+                ),
+            },
+        };
+        if (planes)
+            metadata.planes = planes.map((plane) => ({
+                name: plane.name,
+                meshName: plane.meshName,
+                normal: toArray(plane.normal.clone().normalize()),
+                centroid: toArray(plane.centroid.clone().divideScalar(scale)),
+                fit: plane.fit,
+            }));
+        if (measurements)
+            metadata.measurements = measurements.map((measurement) => ({
+                name: measurement.name,
+                type: measurement.type,
+                value: round(measurement.value),
+                label: measurement.label,
+                points: measurement.points.map((point) =>
+                    toArray(ModelExport.toExportFrame(point, root)),
+                ),
+            }));
+        return metadata;
+    }
+
+    // Resolves to the files to download: the model, plus a metadata
+    // sidecar for STL when extras were requested (GLB carries them in the
+    // root node's extras).
+    static async export(root, meshes, options) {
+        const { format, mode, modelName } = options;
+        const baseName = `${Utils.getBaseName(modelName)}-aligned`;
+        const wantsMetadata = Boolean(options.planes || options.measurements);
+        const metadata = wantsMetadata
+            ? ModelExport.getMetadata(root, options)
+            : null;
+
+        if (format === 'stl') {
+            const scene = ModelExport.buildScene(root, meshes, 'bake');
+            const files = [
+                {
+                    fileName: `${baseName}.stl`,
+                    content: new STLExporter().parse(scene, { binary: true }),
+                    type: ModelExport.FORMATS.stl.type,
+                },
+            ];
+            if (metadata)
+                files.push({
+                    fileName: `${baseName}.metadata.json`,
+                    content: JSON.stringify(
+                        { ...metadata, transform: 'bake' },
+                        null,
+                        2,
+                    ),
+                    type: 'application/json',
+                });
+            return files;
+        }
+
+        if (format !== 'glb')
+            throw new Error(`Unknown export format "${format}"`);
+        const scene = ModelExport.buildScene(root, meshes, mode);
+        if (metadata) scene.userData.diamond_poc = metadata;
+        const content = await new GLTFExporter().parseAsync(scene, {
+            binary: true,
+        });
+        return [
+            {
+                fileName: `${baseName}.glb`,
+                content,
+                type: ModelExport.FORMATS.glb.type,
+            },
+        ];
+    }
+}
@@ -0,0 +1,154 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+
+export class ModelLoader {
+    static EXTENSIONS = ['glb', 'gltf', 'stl', 'obj'];
+
+    static getExtension(name) {
+        const match = /\.([^./\\]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    static isSupported(name) {
+        return ModelLoader.EXTENSIONS.includes(ModelLoader.getExtension(name));
+    }
+
+    // Loads the first supported model out of a file list (file picker or
+    // drop). Sibling files are exposed to the loader so a .gltf can resolve
+    // its external .bin buffers and textures. The raw files are returned as
+    // `source` so a project can embed them.
+    static async loadFiles(fileList) {
+        const files = Array.from(fileList || []);
+        const main = files.find((file) => ModelLoader.isSupported(file.name));
+        if (!main) {
+            throw new Error(
+                `Unsupported file. Expected one of: ${ModelLoader.EXTENSIONS.map(
+                    (ext) => `.${ext}`,
+                ).join(', ')}`,
+            );
+        }
+
+        const resourceUrls = new Map();
+        files.forEach((file) => {
+            if (file !== main) {
+                resourceUrls.set(file.name, URL.createObjectURL(file));
+            }
+        });
+
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier((url) => {
+            const fileName = decodeURIComponent(url.split('/').pop());
+            return resourceUrls.get(fileName) || url;
+        });
+
+        try {
+            const data = await main.arrayBuffer();
+            const scene = await ModelLoader.parse(
+                data,
+                ModelLoader.getExtension(main.name),
+                manager,
+            );
+            const source = {
+                kind: 'files',
+                files: await Promise.all(
+                    [main, ...files.filter((file) => file !== main)].map(
+                        async (file) => ({
+                            name: file.name,
+                            data:
+                                file === main ? data : await file.arrayBuffer(),
+                        }),
+                    ),
+                ),
+            };
+            return { name: main.name, scene, source };
+        } finally {
+            resourceUrls.forEach((url) => URL.revokeObjectURL(url));
+        }
+    }
+
+    static async loadUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url} (${response.status})`);
+        }
+        const name = url.split('/').pop();
+        const data = await response.arrayBuffer();
+        const scene = await ModelLoader.parse(
+            data,
+            ModelLoader.getExtension(name),
+        );
+        return { name, scene, source: { kind: 'url', url } };
+    }
+
+    // Reloads a model from the `source` a previous load returned
+    static loadSource(source) {
+        if (source?.kind === 'url') return ModelLoader.loadUrl(source.url);
+        if (source?.kind === 'files')
+            return ModelLoader.loadFiles(
+                source.files.map(({ name, data }) => new File([data], name)),
+            );
+        throw new Error('The project does not contain a loadable model');
+    }
+
+    static async parse(data, extension, manager = THREE.DefaultLoadingManager) {
+        let scene;
+        switch (extension) {
+            case 'glb':
+            case 'gltf': {
+                const gltf = await new GLTFLoader(manager).parseAsync(data, '');
+                scene = gltf.scene;
+                break;
+            }
+            case 'stl': {
+                // STLLoader detects binary vs ASCII from the buffer itself
+                const geometry = new STLLoader(manager).parse(data);
+                const material = new THREE.MeshStandardMaterial({
+                    vertexColors: Boolean(geometry.hasColors),
+                });
+                scene = new THREE.Group();
+                scene.add(new THREE.Mesh(geometry, material));
+                break;
+            }
+            case 'obj': {
+                const text = new TextDecoder().decode(data);
+                scene = new OBJLoader(manager).parse(text);
+                break;
+            }
+            default:
+                throw new Error(`Unsupported model format ".${extension}"`);
+        }
+
+        ModelLoader.ensureMeshNames(scene);
+        return scene;
+    }
+
+    // Plane selections look meshes up by name, so every mesh needs one that
+    // is unique within the scene (STL and many OBJ exports have none).
+    static ensureMeshNames(scene) {
+        const seen = new Set();
+        let index = 0;
+        scene.traverse((child) => {
+            if (!child.isMesh) return;
+            let name = child.name;
+            while (!name || seen.has(name)) {
+                name = `part_${index++}`;
+            }
+            child.name = name;
+            seen.add(name);
+        });
+    }
+
+    static dispose(object) {
+        if (!object) return;
+        object.traverse((child) => {
+            if (!child.isMesh) return;
+            child.geometry?.dispose();
+            const materials = Array.isArray(child.material)
+                ? child.material
+                : [child.material];
+            materials.forEach((material) => material?.dispose());
+        });
+    }
+}
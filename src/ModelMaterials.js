@@ -0,0 +1,51 @@
+import * as THREE from 'three';
+import { acceleratedRaycast } from 'three-mesh-bvh';
+
+let matteMaterial = null;
+
+// Display materials of the loaded model. Each mesh keeps the material it
+// was loaded with in `userData.originalMaterial`; the matte analysis shade
+// is one shared material. The gemstone mode is applied by `GemMaterials`.
+export class ModelMaterials {
+    static MODES = {
+        original: 'Original materials',
+        matte: 'Matte analysis',
+        gem: 'Gemstone',
+    };
+
+    static DEFAULT_MODE = 'original';
+
+    static getMatte() {
+        if (!matteMaterial)
+            matteMaterial = new THREE.MeshStandardMaterial({
+                color: 'white',
+                metalness: 0.4,
+                roughness: 0.6,
+                side: THREE.DoubleSide,
+            });
+        return matteMaterial;
+    }
+
+    static init(mesh) {
+        mesh.userData.originalMaterial = mesh.material;
+        mesh.raycast = acceleratedRaycast;
+    }
+
+    static apply(meshes, mode) {
+        if (mode === 'gem') return;
+        meshes.forEach((mesh) => {
+            mesh.material =
+                mode === 'matte'
+                    ? ModelMaterials.getMatte()
+                    : mesh.userData.originalMaterial;
+        });
+    }
+
+    // Puts the loaded materials back, e.g. so they are disposed with the model
+    static restore(object) {
+        object?.traverse((child) => {
+            if (child.userData.originalMaterial)
+                child.material = child.userData.originalMaterial;
+        });
+    }
+}
@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+
+// Reads and writes an object's transform as plain numbers for the
+// inspector. World values are decomposed from the world matrix; scales are
+// divided by `scaleUnit` so the loaded size reads as 1.
+export class ObjectTransform {
+    static SPACES = {
+        local: 'Local',
+        world: 'World',
+    };
+
+    static MODES = {
+        translate: 'Move',
+        rotate: 'Rotate',
+        scale: 'Scale',
+    };
+
+    static DEFAULT_SNAP = {
+        enabled: false,
+        translate: 100,
+        rotate: 15,
+        scale: 0.1,
+    };
+
+    static read(object, space, scaleUnit = 1) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        if (space === 'world') {
+            object.updateWorldMatrix(true, false);
+            object.matrixWorld.decompose(position, quaternion, scale);
+        } else {
+            position.copy(object.position);
+            quaternion.copy(object.quaternion);
+            scale.copy(object.scale);
+        }
+        // Local angles come from the object, so they read as they were set
+        const euler =
+            space === 'world'
+                ? new THREE.Euler().setFromQuaternion(quaternion)
+                : object.rotation;
+        return {
+            position: position.toArray(),
+            rotation: [euler.x, euler.y, euler.z].map(THREE.MathUtils.radToDeg),
+            quaternion: quaternion.toArray(),
+            scale: scale.toArray().map((value) => value / scaleUnit),
+        };
+    }
+
+    // Sets one component of a `read` field. Rotations can be typed either
+    // as Euler angles or as a quaternion, which is normalised.
+    static update(object, space, field, index, value, scaleUnit = 1) {
+        if (!Number.isFinite(value) || (field === 'scale' && value === 0))
+            return false;
+        const values = ObjectTransform.read(object, space, scaleUnit);
+        values[field][index] = value;
+
+        const quaternion =
+            field === 'rotation'
+                ? new THREE.Quaternion().setFromEuler(
+                      new THREE.Euler(
+                          ...values.rotation.map(THREE.MathUtils.degToRad),
+                      ),
+                  )
+                : new THREE.Quaternion().fromArray(values.quaternion);
+        if (quaternion.lengthSq() === 0) return false;
+        quaternion.normalize();
+
+        const matrix = new THREE.Matrix4().compose(
+            new THREE.Vector3().fromArray(values.position),
+            quaternion,
+            new THREE.Vector3().fromArray(
+                values.scale.map((component) => component * scaleUnit),
+            ),
+        );
+        if (space === 'world' && object.parent) {
+            object.parent.updateWorldMatrix(true, false);
+            matrix.premultiply(object.parent.matrixWorld.clone().invert());
+        }
+        matrix.decompose(object.position, object.quaternion, object.scale);
+        object.updateMatrixWorld(true);
+        return true;
+    }
+}
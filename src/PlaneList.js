@@ -0,0 +1,110 @@
+export class PlaneList {
+    static COLORS = [
+        '#ff4d4d',
+        '#4d9bff',
+        '#4dd97a',
+        '#ffb84d',
+        '#c44dff',
+        '#4dd9d9',
+        '#ff7ac8',
+        '#d9d94d',
+    ];
+
+    static createPlane(planes) {
+        const next =
+            planes.reduce(
+                (max, plane) =>
+                    Math.max(max, Number(plane.id.replace('plane', '')) || 0),
+                0,
+            ) + 1;
+        return {
+            id: `plane${next}`,
+            name: `Plane ${next}`,
+            color: PlaneList.COLORS[(next - 1) % PlaneList.COLORS.length],
+            meshName: null,
+            normal: null,
+            centroid: null,
+            fit: null,
+            region: null,
+            local: null,
+        };
+    }
+
+    // Two empty planes keep the original "pick plane 1, pick plane 2, apply"
+    // workflow available out of the box.
+    static initial() {
+        const first = PlaneList.createPlane([]);
+        return [first, PlaneList.createPlane([first])];
+    }
+
+    static add(planes) {
+        return [...planes, PlaneList.createPlane(planes)];
+    }
+
+    static remove(planes, id) {
+        return planes.filter((plane) => plane.id !== id);
+    }
+
+    static update(planes, id, patch) {
+        return planes.map((plane) =>
+            plane.id === id ? { ...plane, ...patch } : plane,
+        );
+    }
+
+    // A plane owns the facet region it was picked on, not the mesh, so any
+    // number of planes can sit on one mesh. Only the fit summary is kept.
+    static select(
+        planes,
+        id,
+        { meshName, normal, centroid, fit = null, region = null, local = null },
+    ) {
+        return PlaneList.update(planes, id, {
+            meshName,
+            normal,
+            centroid,
+            fit: fit
+                ? {
+                      area: fit.area,
+                      residual: fit.residual,
+                      maxDeviation: fit.maxDeviation,
+                      triangleCount: fit.triangleCount,
+                  }
+                : null,
+            region,
+            local,
+        });
+    }
+
+    // Appends a plane selected on a detected facet; a pointed culet is a
+    // virtual facet with no fit or region
+    static addFacet(planes, facet, name, color, local) {
+        const plane = { ...PlaneList.createPlane(planes), name, color };
+        return PlaneList.select([...planes, plane], plane.id, {
+            meshName: facet.meshName,
+            normal: facet.normal.clone(),
+            centroid: facet.centroid.clone(),
+            fit: facet.pointed ? null : facet,
+            region: facet.region,
+            local,
+        });
+    }
+
+    static clearSelection(planes, id) {
+        return PlaneList.update(planes, id, {
+            meshName: null,
+            normal: null,
+            centroid: null,
+            fit: null,
+            region: null,
+            local: null,
+        });
+    }
+
+    static find(planes, id) {
+        return planes.find((plane) => plane.id === id) || null;
+    }
+
+    static getSelected(planes) {
+        return planes.filter((plane) => plane.meshName && plane.normal);
+    }
+}
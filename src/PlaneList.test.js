@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { PlaneList } from './PlaneList';
+
+const triangle = (z) => new Float32Array([0, 0, z, 1, 0, z, 0, 1, z]);
+
+function pick(planes, id, z) {
+    return PlaneList.select(planes, id, {
+        meshName: 'scan',
+        normal: new THREE.Vector3(0, 0, 1),
+        centroid: new THREE.Vector3(0, 0, z),
+        region: triangle(z),
+    });
+}
+
+describe('PlaneList.select', () => {
+    it('keeps two planes picked on the same mesh', () => {
+        const [first, second] = PlaneList.initial();
+        let planes = pick([first, second], first.id, 0);
+        planes = pick(planes, second.id, 1);
+
+        const selected = PlaneList.getSelected(planes);
+        expect(selected.map((plane) => plane.id)).toEqual([
+            first.id,
+            second.id,
+        ]);
+        expect(selected.every((plane) => plane.meshName === 'scan')).toBe(true);
+        expect(selected[0].region[2]).toBe(0);
+        expect(selected[1].region[2]).toBe(1);
+    });
+
+    it('clears one plane without touching the other on the same mesh', () => {
+        const [first, second] = PlaneList.initial();
+        let planes = pick(pick([first, second], first.id, 0), second.id, 1);
+        planes = PlaneList.clearSelection(planes, first.id);
+
+        expect(PlaneList.find(planes, first.id).region).toBeNull();
+        expect(PlaneList.getSelected(planes).map((plane) => plane.id)).toEqual([
+            second.id,
+        ]);
+    });
+
+    it('keeps only the fit summary', () => {
+        const [plane] = PlaneList.initial();
+        const [selected] = PlaneList.select([plane], plane.id, {
+            meshName: 'scan',
+            normal: new THREE.Vector3(0, 0, 1),
+            centroid: new THREE.Vector3(),
+            fit: {
+                area: 2,
+                residual: 0.1,
+                maxDeviation: 0.2,
+                triangleCount: 4,
+                faces: [1, 2, 3, 4],
+            },
+        });
+        expect(selected.fit).toEqual({
+            area: 2,
+            residual: 0.1,
+            maxDeviation: 0.2,
+            triangleCount: 4,
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import React from 'react';
+import { ReferenceGeometry } from './ReferenceGeometry';
+
+export default function PlanePanel({
+    planes,
+    activePlane,
+    onAdd,
+    onPick,
+    onClear,
+    onRemove,
+    onUpdate,
+    layers,
+    onLayersChange,
+}) {
+    return (
+        <div style={{ marginTop: 6 }}>
+            {planes.map((plane) => (
+                <React.Fragment key={plane.id}>
+                    <div
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: 4,
+                            marginTop: 4,
+                            padding: 2,
+                            outline:
+                                activePlane === plane.id
+                                    ? '1px solid yellow'
+                                    : 'none',
+                        }}>
+                        <input
+                            type="color"
+                            value={plane.color}
+                            onChange={(e) =>
+                                onUpdate(plane.id, { color: e.target.value })
+                            }
+                            style={{ width: 24, height: 20, padding: 0 }}
+                        />
+                        <input
+                            value={plane.name}
+                            onChange={(e) =>
+                                onUpdate(plane.id, { name: e.target.value })
+                            }
+                            style={{ width: 80 }}
+                        />
+                        <span style={{ minWidth: 70 }}>
+                            {plane.meshName || '-'}
+                        </span>
+                        <button onClick={() => onPick(plane.id)}>
+                            {plane.meshName ? 'Re-pick' : 'Pick'}
+                        </button>
+                        <button
+                            onClick={() => onClear(plane.id)}
+                            disabled={!plane.meshName}>
+                            Clear
+                        </button>
+                        <button onClick={() => onRemove(plane.id)}>×</button>
+                    </div>
+                    {plane.fit && (
+                        <div
+                            style={{
+                                fontSize: 12,
+                                opacity: 0.8,
+                                marginLeft: 30,
+                            }}>
+                            fit: {plane.fit.triangleCount} tris · area{' '}
+                            {plane.fit.area.toFixed(2)} · rms{' '}
+                            {plane.fit.residual.toFixed(4)} · max{' '}
+                            {plane.fit.maxDeviation.toFixed(4)}
+                        </div>
+                    )}
+                </React.Fragment>
+            ))}
+            <div style={{ marginTop: 6 }}>
+                <button onClick={onAdd}>+ Add Plane</button>
+            </div>
+            <div style={{ marginTop: 4 }}>
+                Show:
+                {Object.entries(ReferenceGeometry.LAYERS).map(
+                    ([key, label]) => (
+                        <label key={key} style={{ marginLeft: 6 }}>
+                            <input
+                                type="checkbox"
+                                checked={layers[key]}
+                                onChange={(e) =>
+                                    onLayersChange({
+                                        ...layers,
+                                        [key]: e.target.checked,
+                                    })
+                                }
+                            />
+                            {label}
+                        </label>
+                    ),
+                )}
+            </div>
+        </div>
+    );
+}
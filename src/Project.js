@@ -0,0 +1,267 @@
+import * as THREE from 'three';
+
+const DB_NAME = 'diamond_poc';
+const DB_STORE = 'projects';
+const AUTOSAVE_KEY = 'autosave';
+const AUTOSAVE_MODEL_KEY = 'autosave.model';
+
+const toArray = (vector) => (vector ? vector.toArray() : null);
+const toVector = (array) =>
+    array ? new THREE.Vector3().fromArray(array) : null;
+
+const encodeBase64 = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large models do not overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const decodeBase64 = (text) => {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+};
+
+// Versioned work session: model source, mesh filter, planes, alignment,
+// model transform, stock block, measurements, section and camera. Projects
+// are plain data; `create` flattens three.js values into arrays and
+// `revive` turns them back.
+export class Project {
+    static FORMAT = 'diamond_poc.project';
+    static VERSION = 1;
+    static EXTENSION = '.diamond.json';
+
+    static getModelSource(model, embed) {
+        const { source } = model;
+        if (source.kind === 'url' || embed) return source;
+        return {
+            kind: 'reference',
+            files: source.files.map(({ name }) => ({ name })),
+        };
+    }
+
+    static captureTransform(object) {
+        return {
+            position: object.position.toArray(),
+            quaternion: object.quaternion.toArray(),
+            scale: object.scale.toArray(),
+        };
+    }
+
+    static applyTransform(object, transform) {
+        if (!object || !transform) return;
+        object.position.fromArray(transform.position);
+        object.quaternion.fromArray(transform.quaternion);
+        object.scale.fromArray(transform.scale);
+        object.updateMatrixWorld(true);
+    }
+
+    static create({
+        model,
+        embedModel = true,
+        meshFilter,
+        planes,
+        alignConstraints,
+        modelObject,
+        groupObject,
+        cubePosition,
+        stock,
+        measurements,
+        section,
+        camera,
+    }) {
+        return {
+            format: Project.FORMAT,
+            version: Project.VERSION,
+            savedAt: new Date().toISOString(),
+            model: {
+                name: model.name,
+                source: Project.getModelSource(model, embedModel),
+            },
+            meshFilter,
+            planes: planes.map((plane) => ({
+                ...plane,
+                normal: toArray(plane.normal),
+                centroid: toArray(plane.centroid),
+                region: plane.region ? Array.from(plane.region) : null,
+                local: plane.local
+                    ? {
+                          normal: toArray(plane.local.normal),
+                          point: toArray(plane.local.point),
+                      }
+                    : null,
+            })),
+            alignment: {
+                constraints: alignConstraints,
+                model: modelObject
+                    ? Project.captureTransform(modelObject)
+                    : null,
+                group: groupObject
+                    ? Project.captureTransform(groupObject)
+                    : null,
+            },
+            cubePosition: toArray(cubePosition),
+            stock: stock || null,
+            measurements: measurements.map((measurement) => ({
+                ...measurement,
+                points: measurement.points.map(toArray),
+            })),
+            section,
+            camera: camera || null,
+        };
+    }
+
+    static revive(project) {
+        return {
+            ...project,
+            planes: project.planes.map((plane) => ({
+                ...plane,
+                normal: toVector(plane.normal),
+                centroid: toVector(plane.centroid),
+                region: plane.region ? new Float32Array(plane.region) : null,
+                local: plane.local
+                    ? {
+                          normal: toVector(plane.local.normal),
+                          point: toVector(plane.local.point),
+                      }
+                    : null,
+            })),
+            cubePosition: toVector(project.cubePosition),
+            measurements: project.measurements.map((measurement) => ({
+                ...measurement,
+                points: measurement.points.map(toVector),
+            })),
+        };
+    }
+
+    // Older versions are upgraded here, one step at a time, as the format
+    // changes; files from a newer build are refused.
+    static migrate(project) {
+        if (project?.format !== Project.FORMAT)
+            throw new Error('Not a diamond_poc project file');
+        if (!Number.isInteger(project.version) || project.version < 1)
+            throw new Error('Project file has no valid version');
+        if (project.version > Project.VERSION)
+            throw new Error(
+                `Project version ${project.version} is newer than this app supports (${Project.VERSION})`,
+            );
+        return project;
+    }
+
+    // Embedded model files are written as base64 strings
+    static stringify(project) {
+        const { source } = project.model;
+        const files =
+            source.kind === 'files'
+                ? source.files.map(({ name, data }) => ({
+                      name,
+                      data: encodeBase64(data),
+                  }))
+                : source.files;
+        return JSON.stringify({
+            ...project,
+            model: { ...project.model, source: { ...source, files } },
+        });
+    }
+
+    static parse(text) {
+        const project = Project.migrate(JSON.parse(text));
+        const { source } = project.model;
+        if (source.kind === 'files')
+            source.files = source.files.map(({ name, data }) => ({
+                name,
+                data: decodeBase64(data),
+            }));
+        return project;
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () =>
+                request.result.createObjectStore(DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static async transaction(mode, run) {
+        const db = await Project.openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(DB_STORE, mode);
+                const request = run(transaction.objectStore(DB_STORE));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    // Identifies a loaded model file set by name and size
+    static getModelKey(model) {
+        const { source } = model;
+        if (source.kind !== 'files') return null;
+        const size = source.files.reduce(
+            (total, file) => total + file.data.byteLength,
+            0,
+        );
+        return `${model.name}:${size}`;
+    }
+
+    // The model files are stored once per load, under their key; autosaves
+    // hold only the project state and reference the model by that key. A
+    // URL model needs no copy. IndexedDB keeps ArrayBuffers as they are, so
+    // both are stored as objects rather than JSON.
+    static saveAutosaveModel(model) {
+        const key = Project.getModelKey(model);
+        if (!key) return Promise.resolve();
+        return Project.transaction('readwrite', (store) =>
+            store.put({ key, files: model.source.files }, AUTOSAVE_MODEL_KEY),
+        );
+    }
+
+    // `project` is created without the embedded model
+    static saveAutosave(project, model) {
+        return Project.transaction('readwrite', (store) =>
+            store.put(
+                { ...project, modelKey: Project.getModelKey(model) },
+                AUTOSAVE_KEY,
+            ),
+        );
+    }
+
+    // Puts the stored model files back into the project when they are the
+    // ones it references; otherwise it stays a reference to open by hand
+    static async loadAutosave() {
+        const stored = await Project.transaction('readonly', (store) =>
+            store.get(AUTOSAVE_KEY),
+        );
+        if (!stored) return null;
+        const { modelKey, ...project } = Project.migrate(stored);
+        if (!modelKey) return project;
+        const files = await Project.transaction('readonly', (store) =>
+            store.get(AUTOSAVE_MODEL_KEY),
+        );
+        if (files?.key !== modelKey) return project;
+        return {
+            ...project,
+            model: {
+                ...project.model,
+                source: { kind: 'files', files: files.files },
+            },
+        };
+    }
+
+    static clearAutosave() {
+        return Project.transaction('readwrite', (store) => {
+            store.delete(AUTOSAVE_MODEL_KEY);
+            return store.delete(AUTOSAVE_KEY);
+        });
+    }
+}
@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { Project } from './Project';
+
+function createSession(embedModel = true) {
+    const model = new THREE.Group();
+    model.position.set(1, 2, 3);
+    model.quaternion.setFromEuler(new THREE.Euler(0.1, 0.2, 0.3));
+    const bytes = new Uint8Array(70000).map((_, i) => i % 251);
+    return Project.create({
+        model: {
+            name: 'stone.glb',
+            source: {
+                kind: 'files',
+                files: [{ name: 'stone.glb', data: bytes.buffer }],
+            },
+        },
+        embedModel,
+        meshFilter: { rules: [], overrides: { mesh_1: { visible: false } } },
+        planes: [
+            {
+                id: 'plane-1',
+                name: 'Table',
+                color: '#ff0000',
+                meshName: 'mesh_0',
+                normal: new THREE.Vector3(0, 0, 1),
+                centroid: new THREE.Vector3(0, 0, 16),
+                region: new Float32Array([0, 0, 16, 1, 0, 16, 0, 1, 16]),
+                local: {
+                    normal: new THREE.Vector3(0, 1, 0),
+                    point: new THREE.Vector3(0, 16, 0),
+                },
+            },
+            { id: 'plane-2', name: 'Plane 2', color: '#00ff00' },
+        ],
+        alignConstraints: [{ type: 'normal', planes: [0], axis: '+Z' }],
+        modelObject: model,
+        cubePosition: new THREE.Vector3(0, -5, 0),
+        measurements: [
+            {
+                id: 'm-1',
+                type: 'distance',
+                points: [new THREE.Vector3(1, 0, 0), new THREE.Vector3()],
+            },
+        ],
+        section: { enabled: false },
+    });
+}
+
+describe('Project', () => {
+    it('round-trips a session through its JSON file', () => {
+        const project = createSession();
+        const restored = Project.revive(
+            Project.parse(Project.stringify(project)),
+        );
+
+        const [table, empty] = restored.planes;
+        expect(table.normal).toEqual(new THREE.Vector3(0, 0, 1));
+        expect(table.local.point).toEqual(new THREE.Vector3(0, 16, 0));
+        expect(table.region).toBeInstanceOf(Float32Array);
+        expect(Array.from(table.region)).toEqual(
+            Array.from(project.planes[0].region),
+        );
+        expect(empty).toMatchObject({ normal: null, local: null });
+        expect(restored.measurements[0].points[0]).toEqual(
+            new THREE.Vector3(1, 0, 0),
+        );
+        expect(restored.cubePosition).toEqual(new THREE.Vector3(0, -5, 0));
+        expect(restored.meshFilter).toEqual(project.meshFilter);
+
+        const [file] = restored.model.source.files;
+        expect(new Uint8Array(file.data)).toEqual(
+            new Uint8Array(project.model.source.files[0].data),
+        );
+    });
+
+    it('puts the saved transform back on the model', () => {
+        const project = createSession();
+        const model = new THREE.Group();
+        Project.applyTransform(model, project.alignment.model);
+        expect(model.position.toArray()).toEqual([1, 2, 3]);
+        expect(
+            model.quaternion.angleTo(
+                new THREE.Quaternion().setFromEuler(
+                    new THREE.Euler(0.1, 0.2, 0.3),
+                ),
+            ),
+        ).toBeLessThan(1e-7);
+    });
+
+    it('keeps only file names when the model is not embedded', () => {
+        const project = createSession(false);
+        expect(project.model.source).toEqual({
+            kind: 'reference',
+            files: [{ name: 'stone.glb' }],
+        });
+        const restored = Project.parse(Project.stringify(project));
+        expect(restored.model.source).toEqual(project.model.source);
+    });
+
+    it('keys autosaved model files by name and total size', () => {
+        const files = [
+            { name: 'stone.obj', data: new ArrayBuffer(300) },
+            { name: 'stone.mtl', data: new ArrayBuffer(20) },
+        ];
+        expect(
+            Project.getModelKey({
+                name: 'stone.obj',
+                source: { kind: 'files', files },
+            }),
+        ).toBe('stone.obj:320');
+        expect(
+            Project.getModelKey({
+                name: 'scene.glb',
+                source: { kind: 'url', url: '/scene.glb' },
+            }),
+        ).toBeNull();
+    });
+
+    it('refuses foreign and newer files', () => {
+        expect(() => Project.parse('{"format":"other"}')).toThrow(
+            /Not a diamond_poc project/,
+        );
+        const newer = {
+            ...createSession(false),
+            version: Project.VERSION + 1,
+        };
+        expect(() => Project.parse(JSON.stringify(newer))).toThrow(/newer/);
+        const unversioned = { ...createSession(false), version: 'x' };
+        expect(() => Project.parse(JSON.stringify(unversioned))).toThrow(
+            /no valid version/,
+        );
+    });
+});
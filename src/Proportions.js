@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+import { FacetAnalysis } from './FacetAnalysis';
+
+const round = (value, digits = 3) =>
+    Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+
+export class Proportions {
+    // Length of one model unit in millimetres
+    static UNITS = {
+        µm: 0.001,
+        mm: 1,
+        cm: 10,
+        in: 25.4,
+    };
+
+    static DEFAULT_UNIT = 'µm';
+
+    static ROWS = [
+        ['totalDepth', 'Total depth', 'mm'],
+        ['depthPercent', 'Total depth', '%'],
+        ['tableWidth', 'Table width', 'mm'],
+        ['tablePercent', 'Table', '%'],
+        ['crownAngle', 'Crown angle', '°'],
+        ['pavilionAngle', 'Pavilion angle', '°'],
+        ['crownHeight', 'Crown height', 'mm'],
+        ['crownHeightPercent', 'Crown height', '%'],
+        ['pavilionDepth', 'Pavilion depth', 'mm'],
+        ['pavilionDepthPercent', 'Pavilion depth', '%'],
+        ['girdleThickness', 'Girdle thickness (avg)', 'mm'],
+        ['girdleThicknessMin', 'Girdle thickness (min)', 'mm'],
+        ['girdleThicknessMax', 'Girdle thickness (max)', 'mm'],
+        ['girdlePercent', 'Girdle thickness', '%'],
+        ['diameter', 'Diameter (avg)', 'mm'],
+        ['diameterMin', 'Diameter (min)', 'mm'],
+        ['diameterMax', 'Diameter (max)', 'mm'],
+        ['length', 'Length', 'mm'],
+        ['width', 'Width', 'mm'],
+        ['lwRatio', 'L/W ratio', ''],
+    ];
+
+    // Extent of the points along `direction` (max - min of projections)
+    static extent(points, direction) {
+        let min = Infinity;
+        let max = -Infinity;
+        points.forEach((point) => {
+            const d = point.dot(direction);
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+        });
+        return max - min;
+    }
+
+    // Min/max caliper widths of a planar outline, sampled every degree
+    static calipers(points, u, v) {
+        const direction = new THREE.Vector3();
+        let min = { value: Infinity, direction: u.clone() };
+        let max = { value: -Infinity, direction: u.clone() };
+        for (let deg = 0; deg < 180; deg++) {
+            const angle = THREE.MathUtils.degToRad(deg);
+            direction
+                .copy(u)
+                .multiplyScalar(Math.cos(angle))
+                .addScaledVector(v, Math.sin(angle));
+            const value = Proportions.extent(points, direction);
+            if (value < min.value)
+                min = { value, direction: direction.clone() };
+            if (value > max.value)
+                max = { value, direction: direction.clone() };
+        }
+        return { min, max };
+    }
+
+    static regionPoints(region, matrixWorld) {
+        const points = [];
+        for (let i = 0; i < region.length; i += 3) {
+            points.push(
+                new THREE.Vector3(
+                    region[i],
+                    region[i + 1],
+                    region[i + 2],
+                ).applyMatrix4(matrixWorld),
+            );
+        }
+        return points;
+    }
+
+    static weightedAngle(facets, axis, sign) {
+        let sum = 0;
+        let weight = 0;
+        facets.forEach((facet) => {
+            const cos = THREE.MathUtils.clamp(
+                sign * facet.normal.dot(axis),
+                -1,
+                1,
+            );
+            sum += THREE.MathUtils.radToDeg(Math.acos(cos)) * facet.area;
+            weight += facet.area;
+        });
+        return weight > 0 ? sum / weight : null;
+    }
+
+    // Standard gem proportions in the stone's own frame: Z along the table
+    // normal, X along the longest girdle direction. Lengths are converted
+    // from model units to millimetres with `unitScale`.
+    static compute(mesh, { unitScale = 1, analysisOptions } = {}) {
+        const analysis = FacetAnalysis.analyze(mesh, analysisOptions);
+        if (!analysis) throw new Error('No planar facets found');
+
+        const { axis, range } = analysis;
+        const worldScale = mesh.getWorldScale(new THREE.Vector3()).x;
+        const toMm = (value) => (value / worldScale) * unitScale;
+
+        const u = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        FacetAnalysis.getPlaneBasis(axis, u, v);
+
+        const girdlePlane = new THREE.Plane(
+            axis.clone(),
+            -analysis.girdleHeight,
+        );
+        const outline = ClipPlane.getIntersectionContours(
+            mesh,
+            girdlePlane,
+        ).reduce(
+            (best, contour) =>
+                Math.abs(FacetAnalysis.polygonArea(contour, u, v)) >
+                Math.abs(FacetAnalysis.polygonArea(best, u, v))
+                    ? contour
+                    : best,
+            [],
+        );
+        if (outline.length < 3) throw new Error('Could not slice the girdle');
+
+        const outlineCalipers = Proportions.calipers(outline, u, v);
+        const xAxis = outlineCalipers.max.direction.clone().normalize();
+        const yAxis = new THREE.Vector3().crossVectors(axis, xAxis).normalize();
+        const length = outlineCalipers.max.value;
+        const width = Proportions.extent(outline, yAxis);
+        const diameterMin = outlineCalipers.min.value;
+        const diameterMax = outlineCalipers.max.value;
+        const diameter = (diameterMin + diameterMax) / 2;
+
+        mesh.updateWorldMatrix(true, false);
+        const tablePoints = Proportions.regionPoints(
+            analysis.table.region,
+            mesh.matrixWorld,
+        );
+        const tableCalipers = Proportions.calipers(tablePoints, u, v);
+        const tableWidth =
+            (tableCalipers.min.value + tableCalipers.max.value) / 2;
+
+        // Girdle band: per-facet thickness along the axis. A knife-edge
+        // girdle (no vertical facets) has zero thickness at girdle height.
+        const thicknesses = analysis.girdle.map((facet) => {
+            const heights = Proportions.regionPoints(
+                facet.region,
+                mesh.matrixWorld,
+            ).map((point) => point.dot(axis));
+            return {
+                top: Math.max(...heights),
+                bottom: Math.min(...heights),
+            };
+        });
+        const girdleTop = thicknesses.length
+            ? Math.max(...thicknesses.map((t) => t.top))
+            : analysis.girdleHeight;
+        const girdleBottom = thicknesses.length
+            ? Math.min(...thicknesses.map((t) => t.bottom))
+            : analysis.girdleHeight;
+        const bands = thicknesses.map((t) => t.top - t.bottom);
+        const girdleThickness = bands.length
+            ? bands.reduce((a, b) => a + b, 0) / bands.length
+            : 0;
+
+        const totalDepth = range.max - range.min;
+        const crownHeight = range.max - girdleTop;
+        const pavilionDepth = girdleBottom - range.min;
+        const percent = (value) => (value / diameter) * 100;
+
+        const values = {
+            totalDepth: toMm(totalDepth),
+            depthPercent: percent(totalDepth),
+            tableWidth: toMm(tableWidth),
+            tablePercent: percent(tableWidth),
+            crownAngle: Proportions.weightedAngle(analysis.crown, axis, 1),
+            pavilionAngle: Proportions.weightedAngle(
+                analysis.pavilion,
+                axis,
+                -1,
+            ),
+            crownHeight: toMm(crownHeight),
+            crownHeightPercent: percent(crownHeight),
+            pavilionDepth: toMm(pavilionDepth),
+            pavilionDepthPercent: percent(pavilionDepth),
+            girdleThickness: toMm(girdleThickness),
+            girdleThicknessMin: toMm(bands.length ? Math.min(...bands) : 0),
+            girdleThicknessMax: toMm(bands.length ? Math.max(...bands) : 0),
+            girdlePercent: percent(girdleThickness),
+            diameter: toMm(diameter),
+            diameterMin: toMm(diameterMin),
+            diameterMax: toMm(diameterMax),
+            length: toMm(length),
+            width: toMm(width),
+            lwRatio: length / width,
+        };
+
+        return {
+            meshName: mesh.name,
+            frame: { zAxis: axis.clone(), xAxis, yAxis },
+            analysis,
+            outline,
+            values,
+        };
+    }
+
+    static toRows(report) {
+        return Proportions.ROWS.map(([key, label, unit]) => ({
+            key,
+            label,
+            unit,
+            value: round(report.values[key]),
+        }));
+    }
+
+    static toJSON(report, meta = {}) {
+        const { xAxis, yAxis, zAxis } = report.frame;
+        return JSON.stringify(
+            {
+                ...meta,
+                mesh: report.meshName,
+                frame: {
+                    xAxis: xAxis.toArray(),
+                    yAxis: yAxis.toArray(),
+                    zAxis: zAxis.toArray(),
+                },
+                measurements: Proportions.toRows(report),
+            },
+            null,
+            2,
+        );
+    }
+
+    static toCSV(report) {
+        const lines = ['key,label,value,unit'];
+        Proportions.toRows(report).forEach(({ key, label, value, unit }) => {
+            lines.push(`${key},"${label}",${value ?? ''},${unit}`);
+        });
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { Proportions } from './Proportions';
+import { createBrilliant } from './testShapes';
+
+const SIDES = 16;
+// Flat-to-flat over corner-to-corner width of the girdle polygon
+const FLATS = Math.cos(Math.PI / SIDES);
+const slope = (rise, run) => THREE.MathUtils.radToDeg(Math.atan2(rise, run));
+
+describe('Proportions.compute', () => {
+    const { values } = Proportions.compute(createBrilliant(SIDES), {
+        unitScale: 1,
+    });
+
+    it('measures depths along the table normal', () => {
+        expect(values.totalDepth).toBeCloseTo(102, 4);
+        expect(values.crownHeight).toBeCloseTo(13, 4);
+        expect(values.pavilionDepth).toBeCloseTo(86, 4);
+        expect(values.girdleThickness).toBeCloseTo(3, 4);
+        expect(values.girdleThicknessMin).toBeCloseTo(3, 4);
+    });
+
+    // Calipers are sampled every degree, so widths are good to about 0.1 %
+    it('takes the diameter from girdle calipers', () => {
+        expect(values.diameterMax / 200).toBeCloseTo(1, 3);
+        expect(values.diameterMin / (200 * FLATS)).toBeCloseTo(1, 2);
+        expect(values.tableWidth / (57 * (1 + FLATS))).toBeCloseTo(1, 2);
+        expect(values.depthPercent).toBeCloseTo(
+            (102 / values.diameter) * 100,
+            6,
+        );
+        expect(values.lwRatio).toBeCloseTo(1, 1);
+    });
+
+    it('averages the facet angles of crown and pavilion', () => {
+        // Lathe facets are planar quads, so their slope is taken across the
+        // middle of the face, where the radius is shortened by FLATS
+        expect(values.crownAngle).toBeCloseTo(slope(13, 43 * FLATS), 4);
+        expect(values.pavilionAngle).toBeCloseTo(slope(86, 100 * FLATS), 4);
+    });
+
+    it('reports lengths in millimetres regardless of the scene scale', () => {
+        const mesh = createBrilliant(SIDES);
+        mesh.scale.setScalar(2.5);
+        mesh.rotation.set(0.3, 0, -1.1);
+        mesh.updateMatrixWorld(true);
+        const scaled = Proportions.compute(mesh, { unitScale: 0.001 }).values;
+        expect(scaled.totalDepth).toBeCloseTo(0.102, 6);
+        expect(scaled.crownAngle).toBeCloseTo(values.crownAngle, 4);
+        expect(scaled.tablePercent).toBeCloseTo(values.tablePercent, 2);
+    });
+
+    it('rejects a mesh without planar facets', () => {
+        expect(() =>
+            Proportions.compute(new THREE.Mesh(new THREE.BufferGeometry()), {}),
+        ).toThrow();
+    });
+});
+
+describe('Proportions.toCSV', () => {
+    it('writes one row per measurement', () => {
+        const report = Proportions.compute(createBrilliant(SIDES));
+        const lines = Proportions.toCSV(report).split('\n');
+        expect(lines[0]).toBe('key,label,value,unit');
+        expect(lines).toHaveLength(Proportions.ROWS.length + 1);
+        expect(lines[1]).toMatch(/^totalDepth,"Total depth",102,mm$/);
+    });
+});
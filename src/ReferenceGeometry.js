@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+import { StockBlock } from './StockBlock';
+import { Utils } from './Utils';
+
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+// Overlays reach this far past the model bounds
+const MARGIN = 1.1;
+
+// Reference overlays for the picked planes: bounded patches, normals,
+// plane–plane intersection lines and the points where those lines cross
+// the model surface. Everything is in the model frame, from each plane's
+// `local` normal and point, so the overlays follow the model.
+export class ReferenceGeometry {
+    static LAYERS = {
+        patches: 'Planes',
+        normals: 'Normals',
+        lines: 'Lines',
+        points: 'Points',
+    };
+
+    static createLayers() {
+        return Object.fromEntries(
+            Object.keys(ReferenceGeometry.LAYERS).map((key) => [key, true]),
+        );
+    }
+
+    // Bounds of the meshes in the model root's frame
+    static getModelBounds(root, meshes) {
+        const box = new THREE.Box3();
+        meshes.forEach((mesh) => {
+            if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+            box.union(
+                mesh.geometry.boundingBox
+                    .clone()
+                    .applyMatrix4(StockBlock.getPartMatrix(root, mesh)),
+            );
+        });
+        return box;
+    }
+
+    static getPlanes(planes) {
+        return planes
+            .filter((plane) => plane.local)
+            .map((plane) => {
+                const normal = plane.local.normal.clone().normalize();
+                return {
+                    id: plane.id,
+                    name: plane.name,
+                    color: plane.color,
+                    normal,
+                    point: plane.local.point.clone(),
+                    plane: new THREE.Plane().setFromNormalAndCoplanarPoint(
+                        normal,
+                        plane.local.point,
+                    ),
+                };
+            });
+    }
+
+    // A square in the plane centred on the model, large enough to cover it
+    static getPatch(reference, box) {
+        const center = box.getCenter(new THREE.Vector3());
+        return {
+            position: reference.plane.projectPoint(center, new THREE.Vector3()),
+            quaternion: new THREE.Quaternion().setFromUnitVectors(
+                Z_AXIS,
+                reference.normal,
+            ),
+            size: box.getSize(new THREE.Vector3()).length() * MARGIN,
+        };
+    }
+
+    // Part of an infinite line inside the box, or null if it misses
+    static clipLine(point, direction, box) {
+        let near = -Infinity;
+        let far = Infinity;
+        for (const axis of ['x', 'y', 'z']) {
+            if (Math.abs(direction[axis]) < 1e-12) {
+                if (point[axis] < box.min[axis] || point[axis] > box.max[axis])
+                    return null;
+                continue;
+            }
+            const a = (box.min[axis] - point[axis]) / direction[axis];
+            const b = (box.max[axis] - point[axis]) / direction[axis];
+            near = Math.max(near, Math.min(a, b));
+            far = Math.min(far, Math.max(a, b));
+        }
+        if (near > far) return null;
+        return [
+            point.clone().addScaledVector(direction, near),
+            point.clone().addScaledVector(direction, far),
+        ];
+    }
+
+    static getPairs(references) {
+        return references.flatMap((a, index) =>
+            references.slice(index + 1).map((b) => [a, b]),
+        );
+    }
+
+    static getLines(references, box) {
+        const bounds = box.clone();
+        bounds.expandByScalar(
+            (box.getSize(new THREE.Vector3()).length() * (MARGIN - 1)) / 2,
+        );
+        return ReferenceGeometry.getPairs(references)
+            .map(([a, b]) => {
+                const line = Utils.getPlanesIntersectionLine(a.plane, b.plane);
+                const points =
+                    line &&
+                    ReferenceGeometry.clipLine(
+                        line.point,
+                        line.direction,
+                        bounds,
+                    );
+                return points
+                    ? {
+                          id: `${a.id}_${b.id}`,
+                          label: `${a.name} × ${b.name}`,
+                          angle: THREE.MathUtils.radToDeg(
+                              a.plane.normal.angleTo(b.plane.normal),
+                          ),
+                          points,
+                      }
+                    : null;
+            })
+            .filter(Boolean);
+    }
+
+    // Where each intersection line pierces the surface: the section of the
+    // first plane through the model, cut by the second plane
+    static getPoints(references, root, meshes) {
+        root.updateWorldMatrix(true, true);
+        const toWorld = root.matrixWorld;
+        const toModel = toWorld.clone().invert();
+        return ReferenceGeometry.getPairs(references).flatMap(([a, b]) => {
+            const planeA = a.plane.clone().applyMatrix4(toWorld);
+            const planeB = b.plane.clone().applyMatrix4(toWorld);
+            const points = meshes.flatMap((mesh) =>
+                ClipPlane.getIntersectionContours(mesh, planeA).flatMap(
+                    (contour) =>
+                        ClipPlane.getContourPlaneIntersection(contour, planeB),
+                ),
+            );
+            return points.map((point, index) => ({
+                id: `${a.id}_${b.id}_${index}`,
+                label: `${a.name} × ${b.name} #${index + 1}`,
+                point: point.applyMatrix4(toModel),
+            }));
+        });
+    }
+}
@@ -0,0 +1,215 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Html, Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { ReferenceGeometry } from './ReferenceGeometry';
+
+const LINE_COLOR = '#ffffff';
+const POINT_COLOR = '#ffd54d';
+
+const labelStyle = (color) => ({
+    background: 'rgba(0, 0, 0, 0.7)',
+    color,
+    padding: '1px 4px',
+    fontSize: 12,
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none',
+});
+
+const noRaycast = () => {};
+
+// Patches and arrows select their plane on click. While a plane or a
+// measure tool is picking they let the ray through to the model instead.
+const selectHandler = (onSelect, id) =>
+    onSelect
+        ? (e) => {
+              e.stopPropagation();
+              onSelect(id);
+          }
+        : undefined;
+
+function PlanePatch({ reference, box, onSelect }) {
+    const patch = ReferenceGeometry.getPatch(reference, box);
+    return (
+        <mesh
+            position={patch.position}
+            quaternion={patch.quaternion}
+            raycast={onSelect ? THREE.Mesh.prototype.raycast : noRaycast}
+            onClick={selectHandler(onSelect, reference.id)}
+            userData={{ isHelper: true }}>
+            <planeGeometry args={[patch.size, patch.size]} />
+            <meshBasicMaterial
+                color={reference.color}
+                side={THREE.DoubleSide}
+                transparent
+                opacity={0.2}
+                depthWrite={false}
+            />
+        </mesh>
+    );
+}
+
+function NormalArrow({ id, normal, position, length, color, onSelect }) {
+    const arrowHelper = useMemo(() => new THREE.ArrowHelper(), []);
+
+    useEffect(() => {
+        arrowHelper.setDirection(normal);
+        arrowHelper.position.copy(position);
+        arrowHelper.setLength(length, length * 0.15, length * 0.08);
+        arrowHelper.setColor(new THREE.Color(color));
+        arrowHelper.traverse((child) => {
+            if (onSelect) delete child.raycast;
+            else child.raycast = noRaycast;
+            child.userData.isHelper = true;
+        });
+    }, [normal, position, length, color, onSelect, arrowHelper]);
+
+    return (
+        <primitive object={arrowHelper} onClick={selectHandler(onSelect, id)} />
+    );
+}
+
+// Rendered inside the model object, like the measurement annotations, so
+// the overlays stay attached to the model through every rotation. Clicking
+// a patch or arrow selects its plane (`onSelectPlane`). Hovering an
+// intersection line or point adds its value to the label (the angle between
+// the planes, the model-space position); clicking keeps it shown.
+export default function ReferenceOverlays({
+    root,
+    planes,
+    meshes,
+    layers,
+    onSelectPlane,
+}) {
+    const [hovered, setHovered] = useState(null);
+    const [pinned, setPinned] = useState([]);
+    const isShown = (id) => id === hovered || pinned.includes(id);
+    const unhover = (id) =>
+        setHovered((current) => (current === id ? null : current));
+    const togglePin = (id) =>
+        setPinned((current) =>
+            current.includes(id)
+                ? current.filter((other) => other !== id)
+                : [...current, id],
+        );
+    const references = useMemo(
+        () => ReferenceGeometry.getPlanes(planes),
+        [planes],
+    );
+    const box = useMemo(
+        () =>
+            root && meshes.length
+                ? ReferenceGeometry.getModelBounds(root, meshes)
+                : null,
+        [root, meshes],
+    );
+    const lines = useMemo(
+        () =>
+            box && layers.lines
+                ? ReferenceGeometry.getLines(references, box)
+                : [],
+        [references, box, layers.lines],
+    );
+    const points = useMemo(
+        () =>
+            root && layers.points
+                ? ReferenceGeometry.getPoints(references, root, meshes)
+                : [],
+        [references, root, meshes, layers.points],
+    );
+
+    if (!box || box.isEmpty()) return null;
+    const arrowLength = box.getSize(new THREE.Vector3()).length() * 0.3;
+
+    return (
+        <group userData={{ isHelper: true }}>
+            {layers.patches &&
+                references.map((reference) => (
+                    <PlanePatch
+                        key={reference.id}
+                        reference={reference}
+                        box={box}
+                        onSelect={onSelectPlane}
+                    />
+                ))}
+            {layers.normals &&
+                references.map((reference) => (
+                    <React.Fragment key={reference.id}>
+                        <NormalArrow
+                            id={reference.id}
+                            normal={reference.normal}
+                            position={reference.point}
+                            length={arrowLength}
+                            color={reference.color}
+                            onSelect={onSelectPlane}
+                        />
+                        <Html
+                            position={reference.point
+                                .clone()
+                                .addScaledVector(reference.normal, arrowLength)}
+                            center>
+                            <div style={labelStyle(reference.color)}>
+                                {reference.name}
+                            </div>
+                        </Html>
+                    </React.Fragment>
+                ))}
+            {lines.map((line) => (
+                <React.Fragment key={line.id}>
+                    <Line
+                        points={line.points}
+                        color={LINE_COLOR}
+                        lineWidth={isShown(line.id) ? 3 : 1.5}
+                        dashed
+                        dashScale={50 / arrowLength}
+                        onPointerOver={(e) => {
+                            e.stopPropagation();
+                            setHovered(line.id);
+                        }}
+                        onPointerOut={() => unhover(line.id)}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            togglePin(line.id);
+                        }}
+                    />
+                    <Html position={line.points[1]} center>
+                        <div style={labelStyle(LINE_COLOR)}>
+                            {line.label}
+                            {isShown(line.id) && ` · ${line.angle.toFixed(2)}°`}
+                        </div>
+                    </Html>
+                </React.Fragment>
+            ))}
+            {points.map((point) => (
+                <Html key={point.id} position={point.point} center>
+                    <div
+                        onMouseEnter={() => setHovered(point.id)}
+                        onMouseLeave={() => unhover(point.id)}
+                        onClick={() => togglePin(point.id)}
+                        style={{
+                            position: 'relative',
+                            width: 6,
+                            height: 6,
+                            borderRadius: 3,
+                            background: POINT_COLOR,
+                            cursor: 'pointer',
+                        }}>
+                        <div
+                            style={{
+                                ...labelStyle(POINT_COLOR),
+                                position: 'absolute',
+                                left: 10,
+                                top: -6,
+                            }}>
+                            {point.label}
+                            {isShown(point.id) &&
+                                ` (${point.point
+                                    .toArray()
+                                    .map((value) => value.toFixed(3))
+                                    .join(', ')})`}
+                        </div>
+                    </div>
+                </Html>
+            ))}
+        </group>
+    );
+}
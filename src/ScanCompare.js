@@ -0,0 +1,403 @@
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+import { FacetAnalysis } from './FacetAnalysis';
+import { MeshMetrics } from './MeshMetrics';
+import { StockBlock } from './StockBlock';
+
+const COARSE_STEPS = 36;
+const COARSE_SAMPLES = 300;
+const ICP_SAMPLES = 2000;
+const ICP_ITERATIONS = 40;
+// Rounds in a row without a 0.01 % gain before ICP stops; one round can
+// get worse when the inlier set grows
+const ICP_PATIENCE = 3;
+// Pairs further apart than this many times the median are outliers
+const OUTLIER_FACTOR = 3;
+const HISTOGRAM_BINS = 20;
+
+// Registers a reference (planned) model onto the scanned one and measures
+// how far each scan vertex lies from the reference surface. Both are
+// handled in their own root frames, so the result is the rigid transform
+// from the reference root into the scan root, in model units.
+export class ScanCompare {
+    static getLargestMesh(meshes) {
+        return meshes.reduce((best, mesh) =>
+            MeshMetrics.getTriangleCount(mesh.geometry) >
+            MeshMetrics.getTriangleCount(best.geometry)
+                ? mesh
+                : best,
+        );
+    }
+
+    // Area-weighted centre of the surface, which unlike the vertex mean
+    // does not depend on how densely each region was scanned
+    static getSurfaceCentroid(root, meshes) {
+        const triangle = new THREE.Triangle();
+        const centre = new THREE.Vector3();
+        const sum = new THREE.Vector3();
+        let total = 0;
+        meshes.forEach((mesh) => {
+            const matrix = StockBlock.getPartMatrix(root, mesh);
+            const count = MeshMetrics.getTriangleCount(mesh.geometry);
+            for (let i = 0; i < count; i++) {
+                MeshMetrics.getTriangle(mesh.geometry, i, triangle);
+                triangle.a.applyMatrix4(matrix);
+                triangle.b.applyMatrix4(matrix);
+                triangle.c.applyMatrix4(matrix);
+                const area = triangle.getArea();
+                sum.addScaledVector(triangle.getMidpoint(centre), area);
+                total += area;
+            }
+        });
+        return total > 0 ? sum.divideScalar(total) : sum;
+    }
+
+    // Evenly strided vertices in the root frame
+    static samplePoints(root, meshes, limit) {
+        const total = meshes.reduce(
+            (sum, mesh) => sum + mesh.geometry.attributes.position.count,
+            0,
+        );
+        const stride = Math.max(1, Math.floor(total / limit));
+        const points = [];
+        meshes.forEach((mesh) => {
+            const matrix = StockBlock.getPartMatrix(root, mesh);
+            const position = mesh.geometry.attributes.position;
+            for (let i = 0; i < position.count; i += stride)
+                points.push(
+                    new THREE.Vector3()
+                        .fromBufferAttribute(position, i)
+                        .applyMatrix4(matrix),
+                );
+        });
+        return points;
+    }
+
+    // Table normal in the root frame, from the facet analysis
+    static getTableAxis(root, meshes) {
+        const mesh = ScanCompare.getLargestMesh(meshes);
+        const analysis = FacetAnalysis.analyze(mesh);
+        if (!analysis) return null;
+        root.updateWorldMatrix(true, false);
+        return analysis.table.normal
+            .clone()
+            .transformDirection(root.matrixWorld.clone().invert());
+    }
+
+    // Closest-point queries against the reference surface in its root
+    // frame, through each mesh's BVH. Returns the point, the unit normal of
+    // the face it lies on and the distance.
+    static createSurface(root, meshes) {
+        const parts = meshes.map((mesh) => {
+            ClipPlane.ensureBoundsTree(mesh);
+            const matrix = StockBlock.getPartMatrix(root, mesh);
+            return {
+                mesh,
+                matrix,
+                inverse: matrix.clone().invert(),
+                normalMatrix: new THREE.Matrix3().getNormalMatrix(matrix),
+            };
+        });
+        const local = new THREE.Vector3();
+        const hit = {};
+        const triangle = new THREE.Triangle();
+        return (point) => {
+            let best = null;
+            parts.forEach((part) => {
+                local.copy(point).applyMatrix4(part.inverse);
+                part.mesh.geometry.boundsTree.closestPointToPoint(local, hit);
+                const closest = hit.point.clone().applyMatrix4(part.matrix);
+                const distance = closest.distanceTo(point);
+                if (best && distance >= best.distance) return;
+                MeshMetrics.getTriangle(
+                    part.mesh.geometry,
+                    hit.faceIndex,
+                    triangle,
+                );
+                best = {
+                    point: closest,
+                    distance,
+                    normal: triangle
+                        .getNormal(new THREE.Vector3())
+                        .applyMatrix3(part.normalMatrix)
+                        .normalize(),
+                };
+            });
+            return best;
+        };
+    }
+
+    // Solves the square system in place by Gaussian elimination with
+    // partial pivoting; null when singular
+    static solveLinear(matrix, vector) {
+        const n = vector.length;
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++)
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col]))
+                    pivot = row;
+            if (Math.abs(matrix[pivot][col]) < 1e-15) return null;
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+            for (let row = col + 1; row < n; row++) {
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k < n; k++)
+                    matrix[row][k] -= factor * matrix[col][k];
+                vector[row] -= factor * vector[col];
+            }
+        }
+        const result = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = vector[row];
+            for (let k = row + 1; k < n; k++) sum -= matrix[row][k] * result[k];
+            result[row] = sum / matrix[row][row];
+        }
+        return result;
+    }
+
+    // Small rigid motion E minimising Σ((E·point − target)·normal)², the
+    // linearised point-to-plane step; converges far faster than matching
+    // points to points on faceted surfaces
+    static fitPointToPlane(pairs) {
+        const ata = Array.from({ length: 6 }, () => new Array(6).fill(0));
+        const atb = new Array(6).fill(0);
+        const cross = new THREE.Vector3();
+        const offset = new THREE.Vector3();
+        pairs.forEach(({ point, target, normal }) => {
+            cross.crossVectors(point, normal);
+            const row = [...cross.toArray(), ...normal.toArray()];
+            const residual = -offset.subVectors(point, target).dot(normal);
+            for (let r = 0; r < 6; r++) {
+                atb[r] += row[r] * residual;
+                for (let c = 0; c < 6; c++) ata[r][c] += row[r] * row[c];
+            }
+        });
+        // A turn about a symmetry axis is unconstrained; damp it to zero
+        const damping =
+            (ata.reduce((sum, row, index) => sum + row[index], 0) / 6) * 1e-9;
+        ata.forEach((row, index) => (row[index] += damping));
+        const x = ScanCompare.solveLinear(ata, atb);
+        if (!x) return null;
+        const rotation = new THREE.Vector3(x[0], x[1], x[2]);
+        const angle = rotation.length();
+        const matrix = angle
+            ? new THREE.Matrix4().makeRotationAxis(
+                  rotation.divideScalar(angle),
+                  angle,
+              )
+            : new THREE.Matrix4();
+        return matrix.setPosition(x[3], x[4], x[5]);
+    }
+
+    // Mean distance from scan points to the reference placed by `matrix`
+    static score(surface, points, matrix) {
+        const inverse = matrix.clone().invert();
+        const local = new THREE.Vector3();
+        return (
+            points.reduce(
+                (sum, point) =>
+                    sum +
+                    surface(local.copy(point).applyMatrix4(inverse)).distance,
+                0,
+            ) / points.length
+        );
+    }
+
+    // Table normals and surface centroids line up; the turn about the
+    // table axis is then searched in even steps
+    static coarseAlign(scan, reference, surface, points) {
+        const scanAxis = ScanCompare.getTableAxis(scan.root, scan.meshes);
+        const referenceAxis = ScanCompare.getTableAxis(
+            reference.root,
+            reference.meshes,
+        );
+        const scanCentre = ScanCompare.getSurfaceCentroid(
+            scan.root,
+            scan.meshes,
+        );
+        const referenceCentre = ScanCompare.getSurfaceCentroid(
+            reference.root,
+            reference.meshes,
+        );
+        const tilt =
+            scanAxis && referenceAxis
+                ? new THREE.Quaternion().setFromUnitVectors(
+                      referenceAxis,
+                      scanAxis,
+                  )
+                : new THREE.Quaternion();
+        const axis = scanAxis || new THREE.Vector3(0, 0, 1);
+
+        const toOrigin = new THREE.Matrix4().makeTranslation(
+            referenceCentre.clone().negate(),
+        );
+        const toScan = new THREE.Matrix4().makeTranslation(scanCentre);
+        let best = null;
+        for (let step = 0; step < COARSE_STEPS; step++) {
+            const rotation = new THREE.Quaternion()
+                .setFromAxisAngle(axis, (step / COARSE_STEPS) * Math.PI * 2)
+                .multiply(tilt);
+            const matrix = toScan
+                .clone()
+                .multiply(
+                    new THREE.Matrix4().makeRotationFromQuaternion(rotation),
+                )
+                .multiply(toOrigin);
+            const score = ScanCompare.score(surface, points, matrix);
+            if (!best || score < best.score) best = { matrix, score };
+        }
+        return best.matrix;
+    }
+
+    // ICP from the coarse pose. Each round pairs the scan samples with
+    // their closest reference points, drops outliers and moves the scan
+    // samples onto the reference tangent planes; the reference takes the
+    // inverse motion. The best pose seen is returned.
+    static refine(surface, points, matrix) {
+        let current = matrix.clone();
+        let best = { matrix: current, rms: Infinity };
+        let stalls = 0;
+        let iterations = 0;
+        const local = new THREE.Vector3();
+        const normalMatrix = new THREE.Matrix3();
+        while (iterations < ICP_ITERATIONS) {
+            const inverse = current.clone().invert();
+            normalMatrix.getNormalMatrix(current);
+            const pairs = points.map((point) => {
+                const hit = surface(local.copy(point).applyMatrix4(inverse));
+                return {
+                    point,
+                    target: hit.point.applyMatrix4(current),
+                    normal: hit.normal.applyMatrix3(normalMatrix).normalize(),
+                    distance: hit.distance,
+                };
+            });
+            const distances = pairs
+                .map((pair) => pair.distance)
+                .sort((a, b) => a - b);
+            const limit =
+                distances[Math.floor(distances.length / 2)] * OUTLIER_FACTOR;
+            const inliers = pairs.filter(
+                (pair) => pair.distance <= limit || limit === 0,
+            );
+            const rms = Math.sqrt(
+                inliers.reduce((sum, pair) => sum + pair.distance ** 2, 0) /
+                    inliers.length,
+            );
+            stalls = rms < best.rms * (1 - 1e-4) ? 0 : stalls + 1;
+            if (rms < best.rms) best = { matrix: current, rms };
+            if (rms === 0 || stalls >= ICP_PATIENCE) break;
+            const step = ScanCompare.fitPointToPlane(inliers);
+            if (!step) break;
+            current = step.invert().multiply(current);
+            iterations++;
+        }
+        return { matrix: best.matrix, rms: best.rms, iterations };
+    }
+
+    // `scan` and `reference` are `{ root, meshes }`
+    static register(scan, reference) {
+        const surface = ScanCompare.createSurface(
+            reference.root,
+            reference.meshes,
+        );
+        const points = ScanCompare.samplePoints(
+            scan.root,
+            scan.meshes,
+            ICP_SAMPLES,
+        );
+        const coarse = ScanCompare.coarseAlign(
+            scan,
+            reference,
+            surface,
+            points.filter(
+                (_, index) =>
+                    index %
+                        Math.max(
+                            1,
+                            Math.floor(points.length / COARSE_SAMPLES),
+                        ) ===
+                    0,
+            ),
+        );
+        return ScanCompare.refine(surface, points, coarse);
+    }
+
+    // Signed distance of every scan vertex to the reference, positive where
+    // the scan stands proud of the plan. One array per scan mesh.
+    static measure(scan, reference, matrix) {
+        const surface = ScanCompare.createSurface(
+            reference.root,
+            reference.meshes,
+        );
+        const inverse = matrix.clone().invert();
+        const point = new THREE.Vector3();
+        return scan.meshes.map((mesh) => {
+            const toReference = inverse
+                .clone()
+                .multiply(StockBlock.getPartMatrix(scan.root, mesh));
+            const position = mesh.geometry.attributes.position;
+            const values = new Float32Array(position.count);
+            for (let i = 0; i < position.count; i++) {
+                point
+                    .fromBufferAttribute(position, i)
+                    .applyMatrix4(toReference);
+                const hit = surface(point);
+                values[i] =
+                    hit.distance *
+                    Math.sign(point.sub(hit.point).dot(hit.normal) || 1);
+            }
+            return { mesh, values };
+        });
+    }
+
+    static getStats(deviations) {
+        let count = 0;
+        let sum = 0;
+        let squares = 0;
+        let min = Infinity;
+        let max = -Infinity;
+        deviations.forEach(({ values }) => {
+            values.forEach((value) => {
+                count++;
+                sum += Math.abs(value);
+                squares += value * value;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            });
+        });
+        return count
+            ? {
+                  count,
+                  min,
+                  max,
+                  maxAbs: Math.max(-min, max),
+                  mean: sum / count,
+                  rms: Math.sqrt(squares / count),
+              }
+            : null;
+    }
+
+    // Counts of signed deviations in even bins across ±range; values
+    // beyond the range land in the end bins
+    static getHistogram(deviations, range, bins = HISTOGRAM_BINS) {
+        const counts = new Array(bins).fill(0);
+        deviations.forEach(({ values }) => {
+            values.forEach((value) => {
+                const bin = Math.floor(((value / range + 1) / 2) * bins);
+                counts[THREE.MathUtils.clamp(bin, 0, bins - 1)]++;
+            });
+        });
+        return counts.map((count, index) => ({
+            count,
+            from: range * ((2 * index) / bins - 1),
+            to: range * ((2 * (index + 1)) / bins - 1),
+        }));
+    }
+
+    // Blue below the plan, green on it, red above
+    static getDeviationColor(value, range, target = new THREE.Color()) {
+        const t = THREE.MathUtils.clamp(value / range, -1, 1);
+        return target.setHSL(((1 - t) * 120) / 360, 0.85, 0.5);
+    }
+}
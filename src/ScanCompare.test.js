@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { ScanCompare } from './ScanCompare';
+import { createBrilliant } from './testShapes';
+
+// A brilliant under its own root, moved inside it by `pose`
+function createModel(pose = new THREE.Matrix4()) {
+    const root = new THREE.Group();
+    const mesh = createBrilliant();
+    mesh.applyMatrix4(pose);
+    root.add(mesh);
+    root.updateMatrixWorld(true);
+    return { root, meshes: [mesh] };
+}
+
+// Tilted, turned off the 16-fold symmetry and moved
+const POSE = new THREE.Matrix4().compose(
+    new THREE.Vector3(40, -25, 10),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(0.3, 0.5, -0.2)),
+    new THREE.Vector3(1, 1, 1),
+);
+
+describe('ScanCompare.register', () => {
+    it('recovers a rigidly moved copy', () => {
+        const scan = createModel(POSE);
+        const reference = createModel();
+        const result = ScanCompare.register(scan, reference);
+        expect(result.rms).toBeLessThan(1e-3);
+
+        const stats = ScanCompare.getStats(
+            ScanCompare.measure(scan, reference, result.matrix),
+        );
+        expect(stats.maxAbs).toBeLessThan(1e-3);
+    });
+
+    it('finds a uniformly enlarged scan proud of the plan everywhere', () => {
+        const scan = createModel(
+            POSE.clone().multiply(
+                new THREE.Matrix4().makeScale(1.01, 1.01, 1.01),
+            ),
+        );
+        const reference = createModel();
+        const { matrix } = ScanCompare.register(scan, reference);
+        const stats = ScanCompare.getStats(
+            ScanCompare.measure(scan, reference, matrix),
+        );
+        expect(stats.min).toBeGreaterThan(-0.05);
+        expect(stats.mean).toBeGreaterThan(0.2);
+        // Nothing lies further out than 1 % of the girdle diameter
+        expect(stats.max).toBeLessThan(2);
+    });
+});
+
+describe('ScanCompare.getHistogram', () => {
+    it('bins signed deviations across the range and clamps the rest', () => {
+        const deviations = [{ values: [-5, -0.5, 0, 0.5, 0.9, 5] }];
+        const histogram = ScanCompare.getHistogram(deviations, 1, 4);
+        expect(histogram.map((bin) => bin.count)).toEqual([1, 1, 1, 3]);
+        expect(histogram[0].from).toBe(-1);
+        expect(histogram[3].to).toBe(1);
+    });
+});
+
+describe('ScanCompare.getStats', () => {
+    it('summarises the deviations of every mesh', () => {
+        const stats = ScanCompare.getStats([
+            { values: [-2, 1] },
+            { values: [1, 0] },
+        ]);
+        expect(stats).toMatchObject({ count: 4, min: -2, max: 1, maxAbs: 2 });
+        expect(stats.mean).toBeCloseTo(1, 12);
+        expect(stats.rms).toBeCloseTo(Math.sqrt(6 / 4), 12);
+        expect(ScanCompare.getStats([])).toBeNull();
+    });
+});
@@ -0,0 +1,255 @@
+const format = (value) => Number(value.toFixed(6)).toString();
+
+export class SectionExport {
+    static FORMATS = {
+        svg: { extension: 'svg', type: 'image/svg+xml' },
+        dxf: { extension: 'dxf', type: 'application/dxf' },
+        csv: { extension: 'csv', type: 'text/csv' },
+    };
+
+    // Loops in millimetres, in the 2D frame of the cutting plane. A closed
+    // loop drops its duplicated end point, the closing edge is implicit.
+    static getLoops(profile, unitScale) {
+        return profile.loops.map((loop) => {
+            let points = loop.points.map(([x, y]) => [
+                x * unitScale,
+                y * unitScale,
+            ]);
+            if (loop.closed && points.length > 1) {
+                const [fx, fy] = points[0];
+                const [lx, ly] = points[points.length - 1];
+                if (Math.hypot(fx - lx, fy - ly) < 1e-9)
+                    points = points.slice(0, -1);
+            }
+            return { ...loop, points };
+        });
+    }
+
+    static describeFrame(profile) {
+        const { origin, u, v, normal } = profile.frame;
+        const vector = (value) => value.toArray().map(format).join(' ');
+        return [
+            `origin (world) ${vector(origin)}`,
+            `u axis (world) ${vector(u)}`,
+            `v axis (world) ${vector(v)}`,
+            `plane normal (world) ${vector(normal)}`,
+        ];
+    }
+
+    static toSVG(profile, { unitScale = 1, sourceUnit = '' } = {}) {
+        const loops = SectionExport.getLoops(profile, unitScale);
+        const { minX, minY, maxX, maxY } = profile.bounds;
+        const x0 = minX * unitScale;
+        const y0 = minY * unitScale;
+        const width = (maxX - minX) * unitScale || 1;
+        const height = (maxY - minY) * unitScale || 1;
+
+        // Flip v so the drawing reads with +v up, sized 1:1 in millimetres
+        const paths = loops.map((loop) => {
+            const d = loop.points
+                .map(
+                    ([x, y], i) =>
+                        `${i === 0 ? 'M' : 'L'}${format(x)} ${format(y)}`,
+                )
+                .join(' ');
+            const layer = loop.closed ? (loop.hole ? 'hole' : 'outer') : 'open';
+            return `    <path class="${layer}" d="${d}${loop.closed ? ' Z' : ''}" />`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${format(width)}mm" height="${format(height)}mm" viewBox="${format(x0)} ${format(-y0 - height)} ${format(width)} ${format(height)}">`,
+            `  <desc>Section contour. Units: mm (1 user unit = 1 mm, source unit ${sourceUnit}). ${SectionExport.describeFrame(profile).join('; ')}</desc>`,
+            '  <style>path { fill: none; stroke: black; stroke-width: 0.01; } .hole { stroke: red; } .open { stroke: orange; }</style>',
+            '  <g transform="scale(1,-1)">',
+            ...paths,
+            '  </g>',
+            '</svg>',
+        ].join('\n');
+    }
+
+    // DXF layers by loop kind, coloured like the SVG strokes (ACI numbers)
+    static DXF_LAYERS = [
+        { name: 'SECTION_OUTER', color: 7 },
+        { name: 'SECTION_HOLE', color: 1 },
+        { name: 'SECTION_OPEN', color: 30 },
+    ];
+
+    // AutoCAD 2000 (AC1015) DXF: the frame as leading 999 comments, a header
+    // with the extents and $INSUNITS = 4 (mm), the standard tables, the two
+    // layout blocks and one closed or open LWPOLYLINE per loop. Every object
+    // carries a handle, its owner (330) and AcDb subclass markers, and the
+    // OBJECTS section holds the root dictionary readers expect.
+    static toDXF(profile, { unitScale = 1 } = {}) {
+        const loops = SectionExport.getLoops(profile, unitScale);
+        const { minX, minY, maxX, maxY } = profile.bounds;
+        const lines = [];
+        const add = (...pairs) => {
+            for (let i = 0; i < pairs.length; i += 2)
+                lines.push(String(pairs[i]), String(pairs[i + 1]));
+        };
+        const point = (x, y, code = 10) =>
+            add(code, format(x), code + 10, format(y), code + 20, '0');
+        let nextHandle = 1;
+        const handle = () => (nextHandle++).toString(16).toUpperCase();
+
+        // Symbol table with its records; `record` writes one entry's body
+        // after the common record markers
+        const table = (name, subclass, records, record = () => {}) => {
+            const owner = handle();
+            add(0, 'TABLE', 2, name, 5, owner, 330, 0);
+            add(100, 'AcDbSymbolTable', 70, records.length);
+            if (name === 'DIMSTYLE') add(100, 'AcDbDimStyleTable', 71, 0);
+            const handles = records.map((entry) => {
+                const own = handle();
+                add(0, name, name === 'DIMSTYLE' ? 105 : 5, own, 330, owner);
+                add(100, 'AcDbSymbolTableRecord', 100, subclass);
+                add(2, entry.name, 70, 0);
+                record(entry);
+                return own;
+            });
+            add(0, 'ENDTAB');
+            return handles;
+        };
+
+        SectionExport.describeFrame(profile).forEach((comment) =>
+            add(999, comment),
+        );
+
+        // $HANDSEED is filled in once every handle has been given out
+        add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1015');
+        add(9, '$HANDSEED', 5, '');
+        const handseed = lines.length - 1;
+        add(9, '$INSUNITS', 70, 4, 9, '$EXTMIN');
+        point(minX * unitScale, minY * unitScale);
+        add(9, '$EXTMAX');
+        point(maxX * unitScale, maxY * unitScale);
+        add(0, 'ENDSEC');
+
+        add(0, 'SECTION', 2, 'TABLES');
+        table('VPORT', 'AcDbViewportTableRecord', [{ name: '*ACTIVE' }], () => {
+            const width = (maxX - minX) * unitScale || 1;
+            const height = (maxY - minY) * unitScale || 1;
+            point(0, 0);
+            point(1, 1, 11);
+            point(
+                ((minX + maxX) / 2) * unitScale,
+                ((minY + maxY) / 2) * unitScale,
+                12,
+            );
+            add(16, 0, 26, 0, 36, 1);
+            add(40, format(height * 1.1), 41, format(width / height));
+        });
+        table(
+            'LTYPE',
+            'AcDbLinetypeTableRecord',
+            ['ByBlock', 'ByLayer', 'Continuous'].map((name) => ({ name })),
+            ({ name }) =>
+                add(
+                    3,
+                    name === 'Continuous' ? 'Solid line' : '',
+                    72,
+                    65,
+                    73,
+                    0,
+                    40,
+                    0,
+                ),
+        );
+        table(
+            'LAYER',
+            'AcDbLayerTableRecord',
+            [{ name: '0', color: 7 }, ...SectionExport.DXF_LAYERS],
+            ({ color }) => add(62, color, 6, 'Continuous'),
+        );
+        table('STYLE', 'AcDbTextStyleTableRecord', [{ name: 'Standard' }], () =>
+            add(40, 0, 41, 1, 42, '2.5', 3, 'txt'),
+        );
+        table('VIEW', 'AcDbViewTableRecord', []);
+        table('UCS', 'AcDbUCSTableRecord', []);
+        table('APPID', 'AcDbRegAppTableRecord', [{ name: 'ACAD' }]);
+        table('DIMSTYLE', 'AcDbDimStyleTableRecord', [{ name: 'Standard' }]);
+        const [modelSpace, paperSpace] = table(
+            'BLOCK_RECORD',
+            'AcDbBlockTableRecord',
+            [{ name: '*Model_Space' }, { name: '*Paper_Space' }],
+        );
+        add(0, 'ENDSEC');
+
+        add(0, 'SECTION', 2, 'BLOCKS');
+        [
+            ['*Model_Space', modelSpace],
+            ['*Paper_Space', paperSpace],
+        ].forEach(([name, owner]) => {
+            const paper = owner === paperSpace ? [67, 1] : [];
+            add(0, 'BLOCK', 5, handle(), 330, owner, 100, 'AcDbEntity');
+            add(...paper, 8, '0', 100, 'AcDbBlockBegin', 2, name, 70, 0);
+            point(0, 0);
+            add(3, name, 1, '');
+            add(0, 'ENDBLK', 5, handle(), 330, owner, 100, 'AcDbEntity');
+            add(...paper, 8, '0', 100, 'AcDbBlockEnd');
+        });
+        add(0, 'ENDSEC');
+
+        const [outer, hole, open] = SectionExport.DXF_LAYERS.map(
+            (layer) => layer.name,
+        );
+        add(0, 'SECTION', 2, 'ENTITIES');
+        loops.forEach((loop) => {
+            const layer = loop.closed ? (loop.hole ? hole : outer) : open;
+            add(0, 'LWPOLYLINE', 5, handle(), 330, modelSpace);
+            add(100, 'AcDbEntity', 8, layer, 100, 'AcDbPolyline');
+            add(90, loop.points.length, 70, loop.closed ? 1 : 0);
+            loop.points.forEach(([x, y]) => add(10, format(x), 20, format(y)));
+        });
+        add(0, 'ENDSEC');
+
+        const root = handle();
+        const groups = handle();
+        add(0, 'SECTION', 2, 'OBJECTS');
+        add(0, 'DICTIONARY', 5, root, 330, 0, 100, 'AcDbDictionary');
+        add(281, 1, 3, 'ACAD_GROUP', 350, groups);
+        add(0, 'DICTIONARY', 5, groups, 330, root, 100, 'AcDbDictionary');
+        add(281, 1, 0, 'ENDSEC', 0, 'EOF');
+
+        lines[handseed] = handle();
+        return lines.join('\n');
+    }
+
+    static toCSV(profile, { unitScale = 1, sourceUnit = '' } = {}) {
+        const loops = SectionExport.getLoops(profile, unitScale);
+        const lines = [
+            `# units: mm (source unit ${sourceUnit})`,
+            ...SectionExport.describeFrame(profile).map((line) => `# ${line}`),
+            'loop,point,x,y,closed,hole',
+        ];
+        loops.forEach((loop, index) => {
+            loop.points.forEach(([x, y], point) => {
+                lines.push(
+                    [
+                        index,
+                        point,
+                        format(x),
+                        format(y),
+                        loop.closed ? 1 : 0,
+                        loop.hole ? 1 : 0,
+                    ].join(','),
+                );
+            });
+        });
+        return lines.join('\n');
+    }
+
+    static export(profile, formatName, options) {
+        switch (formatName) {
+            case 'svg':
+                return SectionExport.toSVG(profile, options);
+            case 'dxf':
+                return SectionExport.toDXF(profile, options);
+            case 'csv':
+                return SectionExport.toCSV(profile, options);
+            default:
+                throw new Error(`Unknown export format "${formatName}"`);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { SectionExport } from './SectionExport';
+import { SectionProfile } from './SectionProfile';
+
+function square(size, hole) {
+    const half = size / 2;
+    const loop = [
+        [-half, -half],
+        [half, -half],
+        [half, half],
+        [-half, half],
+    ].map(([x, y]) => new THREE.Vector3(x, y, 0));
+    loop.closed = true;
+    loop.hole = hole;
+    return loop;
+}
+
+// Outer square with a square hole and a stray open polyline
+function createProfile() {
+    const open = [new THREE.Vector3(5, 5, 0), new THREE.Vector3(6, 7, 0)];
+    open.closed = false;
+    return SectionProfile.compute(
+        [square(4, false), square(2, true), open],
+        new THREE.Plane(new THREE.Vector3(0, 0, 1), 0),
+    );
+}
+
+// Group code / value pairs
+function readPairs(text) {
+    const lines = text.split('\n');
+    const pairs = [];
+    for (let i = 0; i < lines.length; i += 2)
+        pairs.push([Number(lines[i]), lines[i + 1]]);
+    return pairs;
+}
+
+describe('SectionExport.toDXF', () => {
+    const pairs = readPairs(
+        SectionExport.toDXF(createProfile(), { unitScale: 1000 }),
+    );
+    const records = pairs.filter(([code]) => code === 0).map(([, v]) => v);
+
+    it('writes well-formed group code pairs ending in EOF', () => {
+        pairs.forEach(([code, value]) => {
+            expect(Number.isInteger(code)).toBe(true);
+            expect(value).toBeDefined();
+        });
+        expect(pairs[pairs.length - 1]).toEqual([0, 'EOF']);
+    });
+
+    it('is an AutoCAD 2000 file with every required section', () => {
+        const sections = pairs
+            .filter(([code], i) => code === 2 && pairs[i - 1][1] === 'SECTION')
+            .map(([, name]) => name);
+        expect(sections).toEqual([
+            'HEADER',
+            'TABLES',
+            'BLOCKS',
+            'ENTITIES',
+            'OBJECTS',
+        ]);
+        const version = pairs.findIndex(([, v]) => v === '$ACADVER');
+        expect(pairs[version + 1]).toEqual([1, 'AC1015']);
+        const units = pairs.findIndex(([, v]) => v === '$INSUNITS');
+        expect(pairs[units + 1]).toEqual([70, '4']);
+        const tables = pairs
+            .filter(([code], i) => code === 2 && pairs[i - 1][1] === 'TABLE')
+            .map(([, name]) => name);
+        expect(tables).toEqual([
+            'VPORT',
+            'LTYPE',
+            'LAYER',
+            'STYLE',
+            'VIEW',
+            'UCS',
+            'APPID',
+            'DIMSTYLE',
+            'BLOCK_RECORD',
+        ]);
+        expect(records.filter((r) => r === 'LAYER')).toHaveLength(4);
+    });
+
+    it('gives every object a unique handle below $HANDSEED', () => {
+        const handles = pairs
+            .filter(([code], i) => (code === 5 || code === 105) && i > 0)
+            .map(([, value]) => parseInt(value, 16));
+        const seed = handles.shift();
+        expect(new Set(handles).size).toBe(handles.length);
+        expect(Math.max(...handles)).toBeLessThan(seed);
+    });
+
+    it('keeps comments ahead of the first section', () => {
+        const first = pairs.findIndex(([, value]) => value === 'SECTION');
+        pairs.forEach(([code], i) => {
+            if (code === 999) expect(i).toBeLessThan(first);
+        });
+    });
+
+    it('writes each loop as a polyline in millimetres', () => {
+        const start = pairs.findIndex(([, value]) => value === 'ENTITIES');
+        const entities = [];
+        pairs.slice(start + 1).forEach(([code, value]) => {
+            if (code === 0) entities.push({ type: value, xs: [] });
+            else if (code === 8) entities.at(-1).layer = value;
+            else if (code === 70) entities.at(-1).flag = value;
+            else if (code === 90) entities.at(-1).count = Number(value);
+            else if (code === 10) entities.at(-1).xs.push(Number(value));
+        });
+        const polylines = entities.filter((e) => e.type === 'LWPOLYLINE');
+        expect(polylines.map((e) => [e.layer, e.flag, e.count])).toEqual([
+            ['SECTION_OUTER', '1', 4],
+            ['SECTION_HOLE', '1', 4],
+            ['SECTION_OPEN', '0', 2],
+        ]);
+        polylines.forEach((e) => expect(e.xs).toHaveLength(e.count));
+        const xs = polylines.flatMap((e) => e.xs.map(Math.abs));
+        expect(xs).toContain(2000);
+        expect(xs).toContain(1000);
+    });
+});
+
+describe('SectionExport.toCSV', () => {
+    it('lists closed loops without a repeated end point', () => {
+        const rows = SectionExport.toCSV(createProfile())
+            .split('\n')
+            .filter((line) => !line.startsWith('#'));
+        expect(rows[0]).toBe('loop,point,x,y,closed,hole');
+        expect(rows.slice(1)).toHaveLength(10);
+        expect(rows.filter((row) => row.endsWith(',1,1'))).toHaveLength(4);
+    });
+});
@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { Proportions } from './Proportions';
+import { SectionExport } from './SectionExport';
+
+const VIEW_WIDTH = 280;
+const VIEW_HEIGHT = 200;
+const MARGIN = 10;
+
+function ProfileView({ profile }) {
+    const { bounds } = profile;
+    const scale = Math.min(
+        (VIEW_WIDTH - MARGIN * 2) / (bounds.maxX - bounds.minX || 1),
+        (VIEW_HEIGHT - MARGIN * 2) / (bounds.maxY - bounds.minY || 1),
+    );
+    // SVG y grows downwards, so flip v
+    const toSvg = ([x, y]) =>
+        `${(MARGIN + (x - bounds.minX) * scale).toFixed(2)},${(
+            VIEW_HEIGHT -
+            MARGIN -
+            (y - bounds.minY) * scale
+        ).toFixed(2)}`;
+
+    return (
+        <svg
+            width={VIEW_WIDTH}
+            height={VIEW_HEIGHT}
+            style={{ background: '#1b1b1b', display: 'block' }}>
+            <rect
+                x={MARGIN}
+                y={VIEW_HEIGHT - MARGIN - (bounds.maxY - bounds.minY) * scale}
+                width={(bounds.maxX - bounds.minX) * scale}
+                height={(bounds.maxY - bounds.minY) * scale}
+                fill="none"
+                stroke="#555"
+                strokeDasharray="4 3"
+            />
+            {profile.loops.map((loop, index) =>
+                loop.closed ? (
+                    <polygon
+                        key={index}
+                        points={loop.points.map(toSvg).join(' ')}
+                        fill={loop.hole ? '#1b1b1b' : 'rgba(255, 82, 82, 0.35)'}
+                        stroke="#ffee58"
+                    />
+                ) : (
+                    <polyline
+                        key={index}
+                        points={loop.points.map(toSvg).join(' ')}
+                        fill="none"
+                        stroke="#ff9800"
+                    />
+                ),
+            )}
+        </svg>
+    );
+}
+
+export default function SectionPanel({
+    section,
+    planes,
+    profile,
+    onChange,
+    onExport,
+}) {
+    const [unit, setUnit] = useState(Proportions.DEFAULT_UNIT);
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Section</strong>
+            <label style={{ marginLeft: 10 }}>
+                <input
+                    type="checkbox"
+                    checked={section.enabled}
+                    onChange={(e) =>
+                        onChange({ ...section, enabled: e.target.checked })
+                    }
+                />
+                Clip
+            </label>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={section.axis}
+                    onChange={(e) =>
+                        onChange({ ...section, axis: e.target.value })
+                    }>
+                    <option value="x">X axis</option>
+                    <option value="y">Y axis</option>
+                    <option value="z">Z axis</option>
+                    {planes.map((plane) => (
+                        <option key={plane.id} value={plane.id}>
+                            ⟂ {plane.name}
+                        </option>
+                    ))}
+                </select>
+                <label style={{ marginLeft: 6 }}>
+                    <input
+                        type="checkbox"
+                        checked={section.flip}
+                        onChange={(e) =>
+                            onChange({ ...section, flip: e.target.checked })
+                        }
+                    />
+                    Flip
+                </label>
+            </div>
+            <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.001}
+                value={section.offset}
+                onChange={(e) =>
+                    onChange({ ...section, offset: Number(e.target.value) })
+                }
+                style={{ width: '100%' }}
+            />
+            {section.enabled && profile && (
+                <>
+                    <ProfileView profile={profile} />
+                    <div>
+                        {profile.loops.length} loop
+                        {profile.loops.length === 1 ? '' : 's'} · W{' '}
+                        {profile.width.toFixed(3)} · H{' '}
+                        {profile.height.toFixed(3)}
+                    </div>
+                    <div>
+                        Area {profile.area.toFixed(3)} · Perimeter{' '}
+                        {profile.perimeter.toFixed(3)}
+                    </div>
+                    <div style={{ marginTop: 6 }}>
+                        Export
+                        <select
+                            value={unit}
+                            title="Model file units (exports are in mm)"
+                            onChange={(e) => setUnit(e.target.value)}
+                            style={{ marginLeft: 4 }}>
+                            {Object.keys(Proportions.UNITS).map((name) => (
+                                <option key={name}>{name}</option>
+                            ))}
+                        </select>
+                        {Object.keys(SectionExport.FORMATS).map((name) => (
+                            <button
+                                key={name}
+                                onClick={() => onExport(name, unit)}
+                                style={{ marginLeft: 4 }}>
+                                {name.toUpperCase()}
+                            </button>
+                        ))}
+                    </div>
+                </>
+            )}
+            {section.enabled && !profile && (
+                <div style={{ opacity: 0.7 }}>No material at this offset</div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { FacetAnalysis } from './FacetAnalysis';
+
+export class SectionProfile {
+    static AXES = {
+        x: new THREE.Vector3(1, 0, 0),
+        y: new THREE.Vector3(0, 1, 0),
+        z: new THREE.Vector3(0, 0, 1),
+    };
+
+    // 2D frame lying in the section plane: origin is the projection of the
+    // world origin, u/v are the in-plane axes, `normal` points out of it.
+    static getFrame(plane) {
+        const normal = plane.normal.clone().normalize();
+        const u = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        FacetAnalysis.getPlaneBasis(normal, u, v);
+        const origin = plane.coplanarPoint(new THREE.Vector3());
+        return { origin, u, v, normal };
+    }
+
+    // Range of `normal · p` over the corners of the box, i.e. the plane
+    // constants for which a section through the box is non-empty.
+    static getOffsetRange(box, normal) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < 8; i++) {
+            const corner = new THREE.Vector3(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z,
+            );
+            const d = corner.dot(normal);
+            min = Math.min(min, d);
+            max = Math.max(max, d);
+        }
+        return { min, max };
+    }
+
+    // Endpoints that meet within a small fraction of the loop's own size
+    static isClosed(points) {
+        if (points.length < 3) return false;
+        const size = new THREE.Box3()
+            .setFromPoints(points)
+            .getSize(new THREE.Vector3())
+            .length();
+        return points[0].distanceTo(points[points.length - 1]) <= size * 1e-4;
+    }
+
+    static toLocal2D(points, frame, scale = 1) {
+        const d = new THREE.Vector3();
+        return points.map((point) => {
+            d.subVectors(point, frame.origin);
+            return [d.dot(frame.u) / scale, d.dot(frame.v) / scale];
+        });
+    }
+
+    static signedArea(points2D) {
+        let area = 0;
+        for (let i = 0; i < points2D.length; i++) {
+            const [x1, y1] = points2D[i];
+            const [x2, y2] = points2D[(i + 1) % points2D.length];
+            area += x1 * y2 - x2 * y1;
+        }
+        return area / 2;
+    }
+
+    static length(points2D, closed) {
+        let total = 0;
+        const count = closed ? points2D.length : points2D.length - 1;
+        for (let i = 0; i < count; i++) {
+            const [x1, y1] = points2D[i];
+            const [x2, y2] = points2D[(i + 1) % points2D.length];
+            total += Math.hypot(x2 - x1, y2 - y1);
+        }
+        return total;
+    }
+
+    // Projects world-space contours into the plane frame and measures them.
+    // `scale` converts world units back to model units.
+    static compute(contours, plane, scale = 1) {
+        const frame = SectionProfile.getFrame(plane);
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+        let area = 0;
+        let perimeter = 0;
+
+        const loops = contours
+            .filter((contour) => contour && contour.length > 1)
+            .map((contour) => {
+                const closed =
+                    contour.closed ?? SectionProfile.isClosed(contour);
+                const points = SectionProfile.toLocal2D(contour, frame, scale);
+                points.forEach(([x, y]) => {
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                });
+                const loopArea = closed ? SectionProfile.signedArea(points) : 0;
+                // Holes cut into the material of the loop around them
+                area += contour.hole ? -Math.abs(loopArea) : Math.abs(loopArea);
+                perimeter += SectionProfile.length(points, closed);
+                return {
+                    points,
+                    closed,
+                    area: loopArea,
+                    hole: Boolean(contour.hole),
+                };
+            });
+
+        if (!loops.length) return null;
+        return {
+            frame,
+            loops,
+            bounds: { minX, minY, maxX, maxY },
+            width: maxX - minX,
+            height: maxY - minY,
+            area,
+            perimeter,
+        };
+    }
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
+import { SectionProfile } from './SectionProfile';
+import { createMesh } from './testShapes';
+
+const SIDES = 16;
+
+// Regular polygon with `sides` corners on a circle of radius `radius`
+function polygonArea(sides, radius) {
+    return (sides / 2) * radius * radius * Math.sin((2 * Math.PI) / sides);
+}
+
+// Square-section ring around +Y, 50 to 100 from the axis and 10 high
+function createRing() {
+    const profile = [
+        [50, -5],
+        [100, -5],
+        [100, 5],
+        [50, 5],
+        [50, -5],
+    ];
+    return createMesh(
+        new THREE.LatheGeometry(
+            profile.map(([x, y]) => new THREE.Vector2(x, y)),
+            SIDES,
+        ),
+    );
+}
+
+function square(size, z = 0) {
+    const half = size / 2;
+    return [
+        [-half, -half],
+        [half, -half],
+        [half, half],
+        [-half, half],
+    ].map(([x, y]) => new THREE.Vector3(x, y, z));
+}
+
+describe('SectionProfile.compute', () => {
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+    it('measures a closed loop and its bounds', () => {
+        const loop = square(4);
+        loop.closed = true;
+        const profile = SectionProfile.compute([loop], plane);
+        expect(profile.area).toBeCloseTo(16, 9);
+        expect(profile.perimeter).toBeCloseTo(16, 9);
+        expect(profile.width).toBeCloseTo(4, 9);
+        expect(profile.height).toBeCloseTo(4, 9);
+    });
+
+    it('subtracts holes whatever their winding', () => {
+        const outer = square(4);
+        outer.closed = true;
+        const hole = square(2);
+        hole.closed = true;
+        hole.hole = true;
+        const profile = SectionProfile.compute([outer, hole], plane);
+        expect(profile.area).toBeCloseTo(12, 9);
+        expect(profile.perimeter).toBeCloseTo(24, 9);
+        expect(profile.loops.map((loop) => loop.hole)).toEqual([false, true]);
+    });
+
+    it('scales back to model units', () => {
+        const loop = square(4);
+        loop.closed = true;
+        const profile = SectionProfile.compute([loop], plane, 2);
+        expect(profile.area).toBeCloseTo(4, 9);
+        expect(profile.width).toBeCloseTo(2, 9);
+    });
+
+    it('measures a ring section as the band between its loops', () => {
+        const horizontal = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const contours = ClipPlane.getIntersectionContours(
+            createRing(),
+            horizontal,
+        );
+        expect(contours.map((contour) => contour.hole)).toEqual([false, true]);
+        const profile = SectionProfile.compute(contours, horizontal);
+        expect(
+            profile.area / (polygonArea(SIDES, 100) - polygonArea(SIDES, 50)),
+        ).toBeCloseTo(1, 6);
+    });
+
+    it('ignores open polylines in the area', () => {
+        const polyline = square(4).slice(0, 3);
+        polyline.closed = false;
+        const profile = SectionProfile.compute([polyline], plane);
+        expect(profile.area).toBe(0);
+        expect(profile.perimeter).toBeCloseTo(8, 9);
+    });
+});
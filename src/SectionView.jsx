@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo } from 'react';
+import { Line } from '@react-three/drei';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const CAP_COLOR = '#ff5252';
+const CONTOUR_COLOR = '#ffee58';
+
+// Two invisible passes per mesh count front/back faces behind the clipping
+// plane into the stencil buffer; the cap plane is then drawn only where the
+// count is odd, i.e. where the plane cuts through solid material.
+function createStencilPass(geometry, plane, side, op) {
+    const material = new THREE.MeshBasicMaterial({
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        side,
+        clippingPlanes: [plane],
+        stencilFail: op,
+        stencilZFail: op,
+        stencilZPass: op,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.renderOrder = 1;
+    mesh.raycast = () => {};
+    mesh.userData.isHelper = true;
+    return mesh;
+}
+
+// `materialMode` only re-runs the clipping setup when the display
+// materials are swapped.
+export default function SectionView({
+    meshes,
+    plane,
+    contours,
+    size,
+    materialMode,
+}) {
+    const { gl } = useThree();
+
+    useEffect(() => {
+        gl.localClippingEnabled = true;
+        // Materials can be shared between meshes, so each is recorded once
+        const restore = new Map();
+        const passes = [];
+        meshes.forEach((mesh) => {
+            const materials = Array.isArray(mesh.material)
+                ? mesh.material
+                : [mesh.material];
+            materials.forEach((material) => {
+                if (!restore.has(material))
+                    restore.set(material, material.clippingPlanes);
+                material.clippingPlanes = [plane];
+                material.needsUpdate = true;
+            });
+            const back = createStencilPass(
+                mesh.geometry,
+                plane,
+                THREE.BackSide,
+                THREE.IncrementWrapStencilOp,
+            );
+            const front = createStencilPass(
+                mesh.geometry,
+                plane,
+                THREE.FrontSide,
+                THREE.DecrementWrapStencilOp,
+            );
+            mesh.add(back, front);
+            passes.push(back, front);
+        });
+        return () => {
+            restore.forEach((planes, material) => {
+                material.clippingPlanes = planes;
+                material.needsUpdate = true;
+            });
+            passes.forEach((pass) => {
+                pass.removeFromParent();
+                pass.material.dispose();
+            });
+        };
+    }, [gl, meshes, plane, materialMode]);
+
+    const cap = useMemo(() => {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({
+                color: CAP_COLOR,
+                side: THREE.DoubleSide,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp,
+            }),
+        );
+        mesh.renderOrder = 2;
+        mesh.raycast = () => {};
+        mesh.onAfterRender = (renderer) => renderer.clearStencil();
+        return mesh;
+    }, []);
+
+    useEffect(() => {
+        plane.coplanarPoint(cap.position);
+        cap.quaternion.setFromUnitVectors(
+            new THREE.Vector3(0, 0, 1),
+            plane.normal,
+        );
+        cap.scale.setScalar(size);
+    }, [cap, plane, size]);
+
+    useEffect(
+        () => () => {
+            cap.geometry.dispose();
+            cap.material.dispose();
+        },
+        [cap],
+    );
+
+    return (
+        <>
+            <primitive object={cap} />
+            {contours.map((contour, index) => (
+                <Line
+                    key={index}
+                    points={contour.closed ? [...contour, contour[0]] : contour}
+                    color={CONTOUR_COLOR}
+                    lineWidth={2}
+                    depthTest={false}
+                    renderOrder={3}
+                />
+            ))}
+        </>
+    );
+}
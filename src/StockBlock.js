@@ -0,0 +1,353 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+import { ClipPlane } from './ClipPlane';
+import { MeshMetrics } from './MeshMetrics';
+
+const STEPS = [10, 3, 1, 0.3, 0.1].map(THREE.MathUtils.degToRad);
+const MAX_PASSES = 50;
+const REFINED_CANDIDATES = 3;
+const SAMPLED_ROTATIONS = 200;
+const AXES = [
+    new THREE.Vector3(1, 0, 0),
+    new THREE.Vector3(0, 1, 0),
+    new THREE.Vector3(0, 0, 1),
+];
+
+// Rough/stock block planning. Sizes, clearances and plans are in model
+// units: the block is drawn with the same display scale as the model.
+// A plan maps model-local points into the block's frame as
+// `position + quaternion * (scale * p)`.
+export class StockBlock {
+    static DEFAULT_SIZE = 3000;
+
+    static ORIENTATIONS = {
+        current: 'Keep current orientation',
+        free: 'Optimise orientation',
+    };
+
+    static FACES = [
+        { key: '+X', axis: 0, sign: 1 },
+        { key: '-X', axis: 0, sign: -1 },
+        { key: '+Y', axis: 1, sign: 1 },
+        { key: '-Y', axis: 1, sign: -1 },
+        { key: '+Z', axis: 2, sign: 1 },
+        { key: '-Z', axis: 2, sign: -1 },
+    ];
+
+    static createConfig() {
+        return {
+            size: [
+                StockBlock.DEFAULT_SIZE,
+                StockBlock.DEFAULT_SIZE,
+                StockBlock.DEFAULT_SIZE,
+            ],
+            clearance: 0,
+            orientation: 'current',
+        };
+    }
+
+    // Mesh transform relative to the model root, i.e. into model units
+    static getPartMatrix(root, mesh) {
+        root.updateWorldMatrix(true, true);
+        return root.matrixWorld.clone().invert().multiply(mesh.matrixWorld);
+    }
+
+    static getModelPoints(root, meshes) {
+        const points = [];
+        meshes.forEach((mesh) => {
+            const matrix = StockBlock.getPartMatrix(root, mesh);
+            const position = mesh.geometry.attributes.position;
+            for (let i = 0; i < position.count; i++) {
+                points.push(
+                    new THREE.Vector3()
+                        .fromBufferAttribute(position, i)
+                        .applyMatrix4(matrix),
+                );
+            }
+        });
+        return points;
+    }
+
+    // Only hull vertices can touch the block, so the solver works on those
+    static getHullPoints(points) {
+        if (points.length < 4) return points;
+        let hull;
+        try {
+            hull = new ConvexHull().setFromPoints(points);
+        } catch {
+            return points;
+        }
+        const unique = new Set();
+        hull.faces.forEach((face) => {
+            let edge = face.edge;
+            do {
+                unique.add(edge.head().point);
+                edge = edge.next;
+            } while (edge !== face.edge);
+        });
+        return unique.size >= 4 ? [...unique] : points;
+    }
+
+    static getInnerSize(config) {
+        const inner = config.size.map((size) => size - 2 * config.clearance);
+        if (inner.some((size) => !(size > 0)))
+            throw new Error('Clearance leaves no room inside the block');
+        return inner;
+    }
+
+    static getExtents(points, quaternion) {
+        const box = new THREE.Box3();
+        const point = new THREE.Vector3();
+        points.forEach((p) =>
+            box.expandByPoint(point.copy(p).applyQuaternion(quaternion)),
+        );
+        return box;
+    }
+
+    // Largest uniform scale at which the rotated extents fit `inner`
+    static getFitScale(box, inner) {
+        const size = box.getSize(new THREE.Vector3()).toArray();
+        return Math.min(
+            ...size.map((extent, axis) =>
+                extent > 0 ? inner[axis] / extent : Infinity,
+            ),
+        );
+    }
+
+    // The 24 rotations that map the block axes onto each other
+    static getAxisRotations() {
+        const rotations = [];
+        const matrix = new THREE.Matrix4();
+        const signs = [1, -1];
+        [
+            [0, 1, 2],
+            [0, 2, 1],
+            [1, 0, 2],
+            [1, 2, 0],
+            [2, 0, 1],
+            [2, 1, 0],
+        ].forEach(([i, j, k]) =>
+            signs.forEach((si) =>
+                signs.forEach((sj) =>
+                    signs.forEach((sk) => {
+                        matrix.makeBasis(
+                            AXES[i].clone().multiplyScalar(si),
+                            AXES[j].clone().multiplyScalar(sj),
+                            AXES[k].clone().multiplyScalar(sk),
+                        );
+                        if (matrix.determinant() > 0)
+                            rotations.push(
+                                new THREE.Quaternion().setFromRotationMatrix(
+                                    matrix,
+                                ),
+                            );
+                    }),
+                ),
+            ),
+        );
+        return rotations;
+    }
+
+    static halton(index, base) {
+        let result = 0;
+        let fraction = 1 / base;
+        for (let i = index; i > 0; i = Math.floor(i / base)) {
+            result += fraction * (i % base);
+            fraction /= base;
+        }
+        return result;
+    }
+
+    // Evenly spread orientations (Shoemake's mapping of a Halton sequence)
+    // so long, thin stones can find the block diagonals, which the local
+    // search cannot reach from an axis-aligned start
+    static getSampledRotations(count) {
+        return Array.from({ length: count }, (_, i) => {
+            const u1 = StockBlock.halton(i + 1, 2);
+            const u2 = StockBlock.halton(i + 1, 3) * 2 * Math.PI;
+            const u3 = StockBlock.halton(i + 1, 5) * 2 * Math.PI;
+            const a = Math.sqrt(1 - u1);
+            const b = Math.sqrt(u1);
+            return new THREE.Quaternion(
+                a * Math.sin(u2),
+                a * Math.cos(u2),
+                b * Math.sin(u3),
+                b * Math.cos(u3),
+            );
+        });
+    }
+
+    // Pattern search over small rotations about the block axes
+    static refine(points, quaternion, inner) {
+        let best = quaternion.clone();
+        let bestScale = StockBlock.getFitScale(
+            StockBlock.getExtents(points, best),
+            inner,
+        );
+        const step = new THREE.Quaternion();
+        STEPS.forEach((angle) => {
+            for (let pass = 0; pass < MAX_PASSES; pass++) {
+                let improved = false;
+                AXES.forEach((axis) =>
+                    [angle, -angle].forEach((signed) => {
+                        const candidate = step
+                            .setFromAxisAngle(axis, signed)
+                            .clone()
+                            .multiply(best);
+                        const scale = StockBlock.getFitScale(
+                            StockBlock.getExtents(points, candidate),
+                            inner,
+                        );
+                        if (scale > bestScale * (1 + 1e-9)) {
+                            best = candidate;
+                            bestScale = scale;
+                            improved = true;
+                        }
+                    }),
+                );
+                if (!improved) break;
+            }
+        });
+        return best;
+    }
+
+    // `current` is the model's orientation relative to the block. With
+    // `orientation: 'free'` the 24 axis swaps of it and a spread of sampled
+    // orientations are tried and the best few refined.
+    static solve(points, config, current = new THREE.Quaternion()) {
+        if (!points.length) throw new Error('No visible meshes to fit');
+        const inner = StockBlock.getInnerSize(config);
+        const hull = StockBlock.getHullPoints(points);
+        const score = (quaternion) =>
+            StockBlock.getFitScale(
+                StockBlock.getExtents(hull, quaternion),
+                inner,
+            );
+
+        let quaternion = current.clone().normalize();
+        if (config.orientation === 'free') {
+            const candidates = [
+                ...StockBlock.getAxisRotations().map((rotation) =>
+                    rotation.multiply(quaternion),
+                ),
+                ...StockBlock.getSampledRotations(SAMPLED_ROTATIONS),
+            ]
+                .map((candidate) => ({ candidate, scale: score(candidate) }))
+                .sort((a, b) => b.scale - a.scale)
+                .slice(0, REFINED_CANDIDATES)
+                .map(({ candidate }) =>
+                    StockBlock.refine(hull, candidate, inner),
+                );
+            quaternion = candidates.reduce((best, candidate) =>
+                score(candidate) > score(best) ? candidate : best,
+            );
+        }
+
+        const box = StockBlock.getExtents(hull, quaternion);
+        const scale = StockBlock.getFitScale(box, inner);
+        if (!Number.isFinite(scale))
+            throw new Error('The model has no extent to fit');
+        return {
+            quaternion,
+            scale,
+            position: box.getCenter(new THREE.Vector3()).multiplyScalar(-scale),
+        };
+    }
+
+    static getPlanMatrix(plan) {
+        return new THREE.Matrix4().compose(
+            plan.position,
+            plan.quaternion,
+            new THREE.Vector3().setScalar(plan.scale),
+        );
+    }
+
+    // Distance from the planned stone to each block face, found with the
+    // mesh BVHs; negative values mean the stone pokes through that face.
+    static getClearances(root, meshes, plan, config) {
+        const half = config.size.map((size) => size / 2);
+        const clearances = StockBlock.FACES.map(() => Infinity);
+        const planMatrix = StockBlock.getPlanMatrix(plan);
+        const point = new THREE.Vector3();
+        const corner = new THREE.Vector3();
+
+        const faceClearance = (face, value) =>
+            half[face.axis] - face.sign * value;
+
+        meshes.forEach((mesh) => {
+            const matrix = planMatrix
+                .clone()
+                .multiply(StockBlock.getPartMatrix(root, mesh));
+            const update = (vertex) => {
+                point.copy(vertex).applyMatrix4(matrix);
+                StockBlock.FACES.forEach((face, index) => {
+                    clearances[index] = Math.min(
+                        clearances[index],
+                        faceClearance(face, point.getComponent(face.axis)),
+                    );
+                });
+            };
+
+            ClipPlane.ensureBoundsTree(mesh).shapecast({
+                // Linear functions peak at a corner, so the corners bound
+                // how close anything inside the node can get to each face
+                intersectsBounds: (box) => {
+                    const min = [Infinity, Infinity, Infinity];
+                    const max = [-Infinity, -Infinity, -Infinity];
+                    for (let i = 0; i < 8; i++) {
+                        corner
+                            .set(
+                                i & 1 ? box.max.x : box.min.x,
+                                i & 2 ? box.max.y : box.min.y,
+                                i & 4 ? box.max.z : box.min.z,
+                            )
+                            .applyMatrix4(matrix);
+                        for (let axis = 0; axis < 3; axis++) {
+                            const value = corner.getComponent(axis);
+                            min[axis] = Math.min(min[axis], value);
+                            max[axis] = Math.max(max[axis], value);
+                        }
+                    }
+                    return StockBlock.FACES.some(
+                        (face, index) =>
+                            faceClearance(
+                                face,
+                                face.sign > 0 ? max[face.axis] : min[face.axis],
+                            ) < clearances[index],
+                    );
+                },
+                intersectsTriangle: (tri) => {
+                    update(tri.a);
+                    update(tri.b);
+                    update(tri.c);
+                },
+            });
+        });
+
+        return StockBlock.FACES.map((face, index) => ({
+            ...face,
+            clearance: clearances[index],
+        }));
+    }
+
+    static report(root, meshes, plan, config) {
+        const clearances = StockBlock.getClearances(root, meshes, plan, config);
+        const stoneVolume =
+            MeshMetrics.measure(meshes, (mesh) =>
+                StockBlock.getPartMatrix(root, mesh),
+            ).volume *
+            plan.scale ** 3;
+        const blockVolume = config.size.reduce((a, b) => a * b, 1);
+        return {
+            scale: plan.scale,
+            clearances,
+            contained: clearances.every(
+                ({ clearance }) =>
+                    clearance >= -1e-6 * Math.max(...config.size),
+            ),
+            stoneVolume,
+            blockVolume,
+            yield: blockVolume > 0 ? stoneVolume / blockVolume : 0,
+        };
+    }
+}
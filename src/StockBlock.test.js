@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import * as THREE from 'three';
+import { StockBlock } from './StockBlock';
+
+// A 1 × 2 × 4 box placed off-centre inside a model root
+function createModel() {
+    const root = new THREE.Group();
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(1, 2, 4),
+        new THREE.MeshBasicMaterial(),
+    );
+    mesh.position.set(5, -3, 2);
+    root.add(mesh);
+    root.updateMatrixWorld(true);
+    return { root, meshes: [mesh] };
+}
+
+function plan(config, current) {
+    const { root, meshes } = createModel();
+    const points = StockBlock.getModelPoints(root, meshes);
+    const solution = StockBlock.solve(points, config, current);
+    return {
+        solution,
+        report: StockBlock.report(root, meshes, solution, config),
+    };
+}
+
+const clearanceOf = (report, key) =>
+    report.clearances.find((face) => face.key === key).clearance;
+
+describe('StockBlock.solve', () => {
+    it('scales the stone up to touch the block along its longest side', () => {
+        const config = { ...StockBlock.createConfig(), size: [10, 10, 10] };
+        const { solution, report } = plan(config);
+        expect(solution.scale).toBeCloseTo(2.5, 9);
+        expect(clearanceOf(report, '+Z')).toBeCloseTo(0, 9);
+        expect(clearanceOf(report, '-Z')).toBeCloseTo(0, 9);
+        expect(clearanceOf(report, '+X')).toBeCloseTo(3.75, 9);
+        expect(clearanceOf(report, '-Y')).toBeCloseTo(2.5, 9);
+        expect(report.contained).toBe(true);
+        expect(report.yield).toBeCloseTo((8 * 2.5 ** 3) / 1000, 9);
+    });
+
+    it('keeps the clearance free on every face', () => {
+        const config = {
+            ...StockBlock.createConfig(),
+            size: [10, 10, 10],
+            clearance: 1,
+        };
+        const { solution, report } = plan(config);
+        expect(solution.scale).toBeCloseTo(2, 9);
+        report.clearances.forEach(({ clearance }) =>
+            expect(clearance).toBeGreaterThanOrEqual(1 - 1e-9),
+        );
+    });
+
+    it('turns the stone to fit a long, flat block when free', () => {
+        const size = [10, 2, 1];
+        const kept = plan({ ...StockBlock.createConfig(), size });
+        expect(kept.solution.scale).toBeCloseTo(0.25, 9);
+
+        const free = plan({
+            ...StockBlock.createConfig(),
+            size,
+            orientation: 'free',
+        });
+        expect(free.solution.scale).toBeCloseTo(1, 3);
+        expect(free.report.contained).toBe(true);
+    });
+
+    it('refuses a clearance that leaves no room', () => {
+        const config = {
+            ...StockBlock.createConfig(),
+            size: [10, 10, 10],
+            clearance: 5,
+        };
+        expect(() => plan(config)).toThrow(/no room/);
+        expect(() => StockBlock.solve([], StockBlock.createConfig())).toThrow(
+            /No visible meshes/,
+        );
+    });
+});
+
+describe('StockBlock.getAxisRotations', () => {
+    it('lists the 24 distinct rotations of the cube', () => {
+        const rotations = StockBlock.getAxisRotations();
+        expect(rotations).toHaveLength(24);
+        rotations.forEach((a, i) =>
+            rotations
+                .slice(i + 1)
+                .forEach((b) => expect(a.angleTo(b)).toBeGreaterThan(0.1)),
+        );
+    });
+});
@@ -0,0 +1,105 @@
+import React, { useMemo } from 'react';
+import { Edges, Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { StockBlock } from './StockBlock';
+
+// The stock block, an optional rough scan centred in it and, once planned,
+// a translucent copy of the stone at its fitted pose with the clearance to
+// each face. Rendered with the model's display scale (`scale`), so
+// everything inside is in model units.
+export default function StockBlockView({
+    position,
+    scale,
+    config,
+    plan,
+    report,
+    rough,
+    blockRef,
+}) {
+    const parts = useMemo(
+        () =>
+            plan
+                ? plan.meshes.map((mesh) => ({
+                      id: mesh.uuid,
+                      geometry: mesh.geometry,
+                      matrix: StockBlock.getPartMatrix(plan.root, mesh),
+                  }))
+                : [],
+        [plan],
+    );
+    const roughOffset = useMemo(
+        () =>
+            rough
+                ? new THREE.Box3()
+                      .setFromObject(rough)
+                      .getCenter(new THREE.Vector3())
+                      .negate()
+                : null,
+        [rough],
+    );
+
+    const seeThrough = Boolean(plan || rough);
+
+    return (
+        <group scale={scale} position={position}>
+            <mesh ref={blockRef}>
+                <boxGeometry attach="geometry" args={config.size} />
+                <meshPhysicalMaterial
+                    attach="material"
+                    color="white"
+                    transparent={seeThrough}
+                    opacity={seeThrough ? 0.2 : 1}
+                    depthWrite={!seeThrough}
+                />
+                <Edges color="#888" />
+            </mesh>
+            {rough && (
+                <group position={roughOffset}>
+                    <primitive object={rough} />
+                </group>
+            )}
+            {plan && (
+                <group
+                    position={plan.position}
+                    quaternion={plan.quaternion}
+                    scale={plan.scale}>
+                    {parts.map((part) => (
+                        <mesh
+                            key={part.id}
+                            geometry={part.geometry}
+                            matrix={part.matrix}
+                            matrixAutoUpdate={false}>
+                            <meshStandardMaterial
+                                color={
+                                    report?.contained ? '#4fc3f7' : '#ff5252'
+                                }
+                                transparent
+                                opacity={0.6}
+                                side={THREE.DoubleSide}
+                            />
+                        </mesh>
+                    ))}
+                </group>
+            )}
+            {report?.clearances.map((face) => {
+                const point = [0, 0, 0];
+                point[face.axis] = (face.sign * config.size[face.axis]) / 2;
+                return (
+                    <Html key={face.key} position={point} center>
+                        <div
+                            style={{
+                                background: 'rgba(0, 0, 0, 0.7)',
+                                color: face.clearance < 0 ? '#ff6b6b' : 'white',
+                                padding: '1px 4px',
+                                fontSize: 12,
+                                whiteSpace: 'nowrap',
+                                pointerEvents: 'none',
+                            }}>
+                            {face.key} {face.clearance.toFixed(2)}
+                        </div>
+                    </Html>
+                );
+            })}
+        </group>
+    );
+}
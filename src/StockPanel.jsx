@@ -0,0 +1,140 @@
+import React from 'react';
+import { StockBlock } from './StockBlock';
+
+const AXIS_LABELS = ['X', 'Y', 'Z'];
+
+export default function StockPanel({
+    config,
+    report,
+    error,
+    onChange,
+    onSolve,
+    onClear,
+}) {
+    const setSize = (axis, value) => {
+        const size = [...config.size];
+        size[axis] = value;
+        onChange({ ...config, size });
+    };
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Stock block</strong>
+            <div style={{ marginTop: 6 }}>
+                {AXIS_LABELS.map((label, axis) => (
+                    <label key={label} style={{ marginRight: 6 }}>
+                        {label}{' '}
+                        <input
+                            type="number"
+                            min={1}
+                            value={config.size[axis]}
+                            onChange={(e) =>
+                                setSize(axis, Number(e.target.value))
+                            }
+                            style={{ width: 60 }}
+                        />
+                    </label>
+                ))}
+            </div>
+            <div style={{ marginTop: 4 }}>
+                <label>
+                    Clearance{' '}
+                    <input
+                        type="number"
+                        min={0}
+                        value={config.clearance}
+                        onChange={(e) =>
+                            onChange({
+                                ...config,
+                                clearance: Number(e.target.value),
+                            })
+                        }
+                        style={{ width: 60 }}
+                    />
+                </label>
+                <select
+                    value={config.orientation}
+                    onChange={(e) =>
+                        onChange({ ...config, orientation: e.target.value })
+                    }
+                    style={{ marginLeft: 4 }}>
+                    {Object.entries(StockBlock.ORIENTATIONS).map(
+                        ([key, label]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+            </div>
+            <div style={{ marginTop: 4 }}>
+                <button onClick={onSolve}>Fit stone</button>
+                <button
+                    onClick={onClear}
+                    disabled={!report}
+                    style={{ marginLeft: 4 }}>
+                    Clear
+                </button>
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {report && (
+                <table style={{ marginTop: 6, width: '100%' }}>
+                    <tbody>
+                        <tr>
+                            <td>Scale</td>
+                            <td style={{ textAlign: 'right' }}>
+                                {report.scale.toFixed(4)}
+                            </td>
+                        </tr>
+                        <tr>
+                            <td>Stone / block volume</td>
+                            <td style={{ textAlign: 'right' }}>
+                                {report.stoneVolume.toExponential(3)} /{' '}
+                                {report.blockVolume.toExponential(3)}
+                            </td>
+                        </tr>
+                        <tr>
+                            <td>Yield</td>
+                            <td style={{ textAlign: 'right' }}>
+                                {(report.yield * 100).toFixed(2)}%
+                            </td>
+                        </tr>
+                        <tr>
+                            <td>Contained</td>
+                            <td
+                                style={{
+                                    textAlign: 'right',
+                                    color: report.contained
+                                        ? 'inherit'
+                                        : '#ff6b6b',
+                                }}>
+                                {report.contained ? 'yes' : 'no'}
+                            </td>
+                        </tr>
+                        {report.clearances.map((face) => (
+                            <tr key={face.key}>
+                                <td>Clearance {face.key}</td>
+                                <td
+                                    style={{
+                                        textAlign: 'right',
+                                        color:
+                                            face.clearance < 0
+                                                ? '#ff6b6b'
+                                                : 'inherit',
+                                    }}>
+                                    {face.clearance.toFixed(3)}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
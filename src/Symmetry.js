@@ -0,0 +1,270 @@
+import * as THREE from 'three';
+import { FacetAnalysis } from './FacetAnalysis';
+import { Proportions } from './Proportions';
+
+const STORAGE_KEY = 'diamond_poc.symmetryTolerances';
+// Crown or pavilion facets within this many degrees of their neighbour in
+// slope are the same kind (stars, bezels, upper girdles, …)
+const CLUSTER_GAP = 3;
+
+// Symmetry of a faceted stone, measured in the pose it was analysed in:
+// the girdle outline gives the stone's centre line and diameter, and each
+// deviation is graded against a tolerance table.
+export class Symmetry {
+    static GRADES = ['Excellent', 'Very good', 'Good'];
+
+    static FALLBACK_GRADE = 'Fair';
+
+    static GRADE_COLORS = ['#4dd97a', '#b6e04d', '#ffb84d', '#ff4d4d'];
+
+    static METRICS = {
+        tableOffCentre: { label: 'Table off-centre', unit: '%' },
+        culetOffCentre: { label: 'Culet off-centre', unit: '%' },
+        crownAngleVariation: { label: 'Crown angle variation', unit: '°' },
+        pavilionAngleVariation: {
+            label: 'Pavilion angle variation',
+            unit: '°',
+        },
+        girdleVariation: { label: 'Girdle thickness variation', unit: '%' },
+        outOfRound: { label: 'Out of round', unit: '%' },
+    };
+
+    // Upper limit of each grade; percentages are of the average diameter
+    static DEFAULT_TOLERANCES = {
+        tableOffCentre: [0.6, 1.2, 2.4],
+        culetOffCentre: [0.6, 1.2, 2.4],
+        crownAngleVariation: [0.6, 1.2, 2],
+        pavilionAngleVariation: [0.4, 0.8, 1.5],
+        girdleVariation: [0.5, 1, 2],
+        outOfRound: [1, 2, 4],
+    };
+
+    static loadTolerances() {
+        try {
+            const stored = window.localStorage.getItem(STORAGE_KEY);
+            const parsed = stored ? JSON.parse(stored) : {};
+            return { ...Symmetry.DEFAULT_TOLERANCES, ...parsed };
+        } catch (error) {
+            console.warn('Could not read symmetry tolerances', error);
+            return { ...Symmetry.DEFAULT_TOLERANCES };
+        }
+    }
+
+    static saveTolerances(tolerances) {
+        try {
+            window.localStorage.setItem(
+                STORAGE_KEY,
+                JSON.stringify(tolerances),
+            );
+        } catch (error) {
+            console.warn('Could not store symmetry tolerances', error);
+        }
+    }
+
+    // Index into GRADES, or GRADES.length when outside every limit
+    static getGrade(value, limits) {
+        const index = limits.findIndex((limit) => value <= limit);
+        return index === -1 ? limits.length : index;
+    }
+
+    static getGradeLabel(index) {
+        return Symmetry.GRADES[index] || Symmetry.FALLBACK_GRADE;
+    }
+
+    // Area centroid of a planar loop, kept on the loop's plane
+    static getOutlineCentre(outline, axis, u, v) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < outline.length; i++) {
+            const a = outline[i];
+            const b = outline[(i + 1) % outline.length];
+            const cross = a.dot(u) * b.dot(v) - b.dot(u) * a.dot(v);
+            area += cross;
+            x += (a.dot(u) + b.dot(u)) * cross;
+            y += (a.dot(v) + b.dot(v)) * cross;
+        }
+        area /= 2;
+        return new THREE.Vector3()
+            .addScaledVector(u, x / (6 * area))
+            .addScaledVector(v, y / (6 * area))
+            .addScaledVector(axis, outline[0].dot(axis));
+    }
+
+    // Distance of a point from the centre line through `centre` along `axis`
+    static getOffAxis(point, centre, axis) {
+        const offset = point.clone().sub(centre);
+        return offset.addScaledVector(axis, -offset.dot(axis)).length();
+    }
+
+    // Groups facets by slope; each group's spread is its largest minus
+    // smallest angle, and each facet deviates from its group mean
+    static clusterAngles(facets, axis, sign) {
+        const angles = facets
+            .map((facet) => ({
+                facet,
+                angle: THREE.MathUtils.radToDeg(
+                    Math.acos(
+                        THREE.MathUtils.clamp(
+                            sign * facet.normal.dot(axis),
+                            -1,
+                            1,
+                        ),
+                    ),
+                ),
+            }))
+            .sort((a, b) => a.angle - b.angle);
+        const groups = [];
+        angles.forEach((entry, index) => {
+            if (!index || entry.angle - angles[index - 1].angle > CLUSTER_GAP)
+                groups.push([]);
+            groups[groups.length - 1].push(entry);
+        });
+        return groups.map((entries) => {
+            const mean =
+                entries.reduce((sum, entry) => sum + entry.angle, 0) /
+                entries.length;
+            return {
+                mean,
+                spread: entries[entries.length - 1].angle - entries[0].angle,
+                facets: entries.map((entry) => ({
+                    ...entry,
+                    deviation: Math.abs(entry.angle - mean),
+                })),
+            };
+        });
+    }
+
+    // Per-facet girdle band height along the axis
+    static getGirdleBands(analysis, matrixWorld, axis) {
+        return analysis.girdle.map((facet) => {
+            const heights = Proportions.regionPoints(
+                facet.region,
+                matrixWorld,
+            ).map((point) => point.dot(axis));
+            return {
+                facet,
+                thickness: Math.max(...heights) - Math.min(...heights),
+            };
+        });
+    }
+
+    static compute(mesh, { analysisOptions } = {}) {
+        const { analysis, outline } = Proportions.compute(mesh, {
+            analysisOptions,
+        });
+        const { axis } = analysis;
+        const u = new THREE.Vector3();
+        const v = new THREE.Vector3();
+        FacetAnalysis.getPlaneBasis(axis, u, v);
+
+        const calipers = Proportions.calipers(outline, u, v);
+        const diameter = (calipers.min.value + calipers.max.value) / 2;
+        const percent = (value) => (value / diameter) * 100;
+        const centre = Symmetry.getOutlineCentre(outline, axis, u, v);
+
+        const crownGroups = Symmetry.clusterAngles(analysis.crown, axis, 1);
+        const pavilionGroups = Symmetry.clusterAngles(
+            analysis.pavilion,
+            axis,
+            -1,
+        );
+        const maxSpread = (groups) =>
+            groups.reduce((max, group) => Math.max(max, group.spread), 0);
+
+        mesh.updateWorldMatrix(true, false);
+        const bands = Symmetry.getGirdleBands(analysis, mesh.matrixWorld, axis);
+        const thicknesses = bands.map((band) => band.thickness);
+        const meanThickness = thicknesses.length
+            ? thicknesses.reduce((a, b) => a + b, 0) / thicknesses.length
+            : 0;
+
+        const values = {
+            tableOffCentre: percent(
+                Symmetry.getOffAxis(analysis.table.centroid, centre, axis),
+            ),
+            culetOffCentre: percent(
+                Symmetry.getOffAxis(analysis.culet.centroid, centre, axis),
+            ),
+            crownAngleVariation: maxSpread(crownGroups),
+            pavilionAngleVariation: maxSpread(pavilionGroups),
+            girdleVariation: thicknesses.length
+                ? percent(Math.max(...thicknesses) - Math.min(...thicknesses))
+                : 0,
+            outOfRound: percent(calipers.max.value - calipers.min.value),
+        };
+
+        // Each facet's share of its metric; spreads are twice the
+        // deviation from the group mean, so those count double
+        const facets = [
+            {
+                facet: analysis.table,
+                metric: 'tableOffCentre',
+                value: values.tableOffCentre,
+            },
+            {
+                facet: analysis.culet,
+                metric: 'culetOffCentre',
+                value: values.culetOffCentre,
+            },
+            ...crownGroups.flatMap((group) =>
+                group.facets.map(({ facet, deviation }) => ({
+                    facet,
+                    metric: 'crownAngleVariation',
+                    value: 2 * deviation,
+                })),
+            ),
+            ...pavilionGroups.flatMap((group) =>
+                group.facets.map(({ facet, deviation }) => ({
+                    facet,
+                    metric: 'pavilionAngleVariation',
+                    value: 2 * deviation,
+                })),
+            ),
+            ...bands.map(({ facet, thickness }) => ({
+                facet,
+                metric: 'girdleVariation',
+                value: percent(2 * Math.abs(thickness - meanThickness)),
+            })),
+        ].filter(({ facet }) => facet.region);
+
+        return { meshName: mesh.name, values, facets };
+    }
+
+    // Grades a `compute` result; cheap, so tolerance edits regrade live.
+    // Facet severity runs 0..1 up to the loosest limit of its metric.
+    static evaluate(measurement, tolerances = Symmetry.DEFAULT_TOLERANCES) {
+        const rows = Object.entries(Symmetry.METRICS).map(
+            ([key, { label, unit }]) => ({
+                key,
+                label,
+                unit,
+                value: measurement.values[key],
+                grade: Symmetry.getGrade(
+                    measurement.values[key],
+                    tolerances[key],
+                ),
+            }),
+        );
+        return {
+            ...measurement,
+            rows,
+            grade: Math.max(...rows.map((row) => row.grade)),
+            deviations: measurement.facets.map(({ facet, metric, value }) => {
+                const limits = tolerances[metric];
+                return {
+                    facet,
+                    severity: Math.min(
+                        1,
+                        value / limits[limits.length - 1] || 0,
+                    ),
+                };
+            }),
+        };
+    }
+
+    // Green through yellow to red
+    static getSeverityColor(severity, target = new THREE.Color()) {
+        return target.setHSL(((1 - severity) * 120) / 360, 0.85, 0.5);
+    }
+}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { Symmetry } from './Symmetry';
+import { createBrilliant } from './testShapes';
+
+const SIDES = 16;
+// Corner-to-corner against flat-to-flat width of the girdle polygon, as a
+// percentage of their mean
+const POLYGON_OUT_OF_ROUND =
+    (200 * (1 - Math.cos(Math.PI / SIDES)) * 100) /
+    (100 * (1 + Math.cos(Math.PI / SIDES)));
+
+// Brilliant with its culet pushed sideways by `shift` model units
+function createTiltedBrilliant(shift) {
+    const mesh = createBrilliant(SIDES);
+    const position = mesh.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+        if (position.getY(i) === -86)
+            position.setX(i, position.getX(i) + shift);
+    }
+    mesh.geometry.computeBoundingBox();
+    return mesh;
+}
+
+describe('Symmetry.compute', () => {
+    it('finds nothing off on a symmetric brilliant', () => {
+        const { values } = Symmetry.compute(createBrilliant(SIDES));
+        expect(values.tableOffCentre).toBeCloseTo(0, 4);
+        expect(values.culetOffCentre).toBeCloseTo(0, 4);
+        expect(values.crownAngleVariation).toBeCloseTo(0, 4);
+        expect(values.pavilionAngleVariation).toBeCloseTo(0, 4);
+        expect(values.girdleVariation).toBeCloseTo(0, 4);
+        // Calipers are sampled every degree, good to about 0.1 %
+        expect(Math.abs(values.outOfRound - POLYGON_OUT_OF_ROUND)).toBeLessThan(
+            0.1,
+        );
+    });
+
+    it('measures an off-centre culet against the girdle outline', () => {
+        const { values, facets } = Symmetry.compute(createTiltedBrilliant(2));
+        const diameter = 100 * (1 + Math.cos(Math.PI / SIDES));
+        expect(values.culetOffCentre).toBeCloseTo((2 / diameter) * 100, 2);
+        expect(values.tableOffCentre).toBeCloseTo(0, 4);
+        expect(values.pavilionAngleVariation).toBeGreaterThan(1);
+        expect(values.crownAngleVariation).toBeCloseTo(0, 4);
+
+        const pavilion = facets.filter(
+            (facet) => facet.metric === 'pavilionAngleVariation',
+        );
+        expect(pavilion).toHaveLength(SIDES);
+    });
+});
+
+describe('Symmetry.evaluate', () => {
+    it('grades each metric and the stone by its worst one', () => {
+        const measurement = Symmetry.compute(createTiltedBrilliant(2));
+        const report = Symmetry.evaluate(measurement);
+        const grades = Object.fromEntries(
+            report.rows.map((row) => [row.key, row.grade]),
+        );
+        expect(grades.tableOffCentre).toBe(0);
+        expect(grades.culetOffCentre).toBe(1);
+        expect(report.grade).toBe(Math.max(...Object.values(grades)));
+        report.deviations.forEach(({ severity }) => {
+            expect(severity).toBeGreaterThanOrEqual(0);
+            expect(severity).toBeLessThanOrEqual(1);
+        });
+    });
+
+    it('falls back below the last grade for values past every limit', () => {
+        expect(Symmetry.getGrade(0.5, [0.6, 1.2, 2.4])).toBe(0);
+        expect(Symmetry.getGrade(2.4, [0.6, 1.2, 2.4])).toBe(2);
+        expect(Symmetry.getGrade(3, [0.6, 1.2, 2.4])).toBe(3);
+        expect(Symmetry.getGradeLabel(3)).toBe(Symmetry.FALLBACK_GRADE);
+    });
+});
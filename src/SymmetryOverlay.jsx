@@ -0,0 +1,58 @@
+import { useEffect } from 'react';
+import * as THREE from 'three';
+import { Symmetry } from './Symmetry';
+
+// Tints every graded facet of the analysed mesh by how far it deviates,
+// green within tolerance to red at the loosest limit. Facet regions are in
+// mesh space, so the overlay is parented to the mesh like the facet-fit
+// helpers and follows it through rotations.
+export default function SymmetryOverlay({ mesh, report }) {
+    useEffect(() => {
+        if (!mesh || !report?.deviations.length) return;
+        const count = report.deviations.reduce(
+            (sum, { facet }) => sum + facet.region.length,
+            0,
+        );
+        const positions = new Float32Array(count);
+        const colors = new Float32Array(count);
+        const color = new THREE.Color();
+        let offset = 0;
+        report.deviations.forEach(({ facet, severity }) => {
+            positions.set(facet.region, offset);
+            Symmetry.getSeverityColor(severity, color);
+            for (let i = 0; i < facet.region.length; i += 3)
+                color.toArray(colors, offset + i);
+            offset += facet.region.length;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(positions, 3),
+        );
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const overlay = new THREE.Mesh(
+            geometry,
+            new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: 0.75,
+                side: THREE.DoubleSide,
+                depthWrite: false,
+                polygonOffset: true,
+                polygonOffsetFactor: -1,
+                polygonOffsetUnits: -1,
+            }),
+        );
+        overlay.raycast = () => {};
+        overlay.userData.isHelper = true;
+        mesh.add(overlay);
+        return () => {
+            overlay.removeFromParent();
+            geometry.dispose();
+            overlay.material.dispose();
+        };
+    }, [mesh, report]);
+
+    return null;
+}
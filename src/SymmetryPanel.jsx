@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { Symmetry } from './Symmetry';
+
+const gradeStyle = (grade) => ({
+    color: Symmetry.GRADE_COLORS[grade],
+    textAlign: 'right',
+});
+
+export default function SymmetryPanel({
+    meshNames,
+    report,
+    error,
+    tolerances,
+    showOverlay,
+    onAnalyze,
+    onTolerancesChange,
+    onShowOverlayChange,
+}) {
+    const [meshName, setMeshName] = useState('');
+    const [editing, setEditing] = useState(false);
+    const target = meshNames.includes(meshName) ? meshName : meshNames[0];
+
+    const setLimit = (key, index, value) => {
+        const limits = [...tolerances[key]];
+        limits[index] = value;
+        onTolerancesChange({ ...tolerances, [key]: limits });
+    };
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Symmetry</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={target || ''}
+                    onChange={(e) => setMeshName(e.target.value)}>
+                    {meshNames.map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => onAnalyze(target)}
+                    disabled={!target}
+                    style={{ marginLeft: 4 }}>
+                    Analyze
+                </button>
+                <button
+                    onClick={() => setEditing((show) => !show)}
+                    style={{ marginLeft: 4 }}>
+                    Tolerances
+                </button>
+            </div>
+            {editing && (
+                <table style={{ marginTop: 6, width: '100%' }}>
+                    <thead>
+                        <tr>
+                            <td />
+                            {Symmetry.GRADES.map((grade) => (
+                                <td key={grade}>{grade}</td>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.entries(Symmetry.METRICS).map(
+                            ([key, { label, unit }]) => (
+                                <tr key={key}>
+                                    <td>
+                                        {label} ({unit})
+                                    </td>
+                                    {tolerances[key].map((limit, index) => (
+                                        <td key={index}>
+                                            <input
+                                                type="number"
+                                                min={0}
+                                                step={0.1}
+                                                value={limit}
+                                                onChange={(e) =>
+                                                    setLimit(
+                                                        key,
+                                                        index,
+                                                        Number(e.target.value),
+                                                    )
+                                                }
+                                                style={{ width: 40 }}
+                                            />
+                                        </td>
+                                    ))}
+                                </tr>
+                            ),
+                        )}
+                    </tbody>
+                </table>
+            )}
+            {editing && (
+                <button
+                    onClick={() =>
+                        onTolerancesChange({ ...Symmetry.DEFAULT_TOLERANCES })
+                    }>
+                    Reset tolerances
+                </button>
+            )}
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {report && (
+                <>
+                    <table style={{ marginTop: 6, width: '100%' }}>
+                        <tbody>
+                            {report.rows.map((row) => (
+                                <tr key={row.key}>
+                                    <td>{row.label}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        {row.value.toFixed(2)}
+                                        {row.unit}
+                                    </td>
+                                    <td style={gradeStyle(row.grade)}>
+                                        {Symmetry.getGradeLabel(row.grade)}
+                                    </td>
+                                </tr>
+                            ))}
+                            <tr>
+                                <td>
+                                    <strong>Overall</strong>
+                                </td>
+                                <td />
+                                <td style={gradeStyle(report.grade)}>
+                                    <strong>
+                                        {Symmetry.getGradeLabel(report.grade)}
+                                    </strong>
+                                </td>
+                            </tr>
+                        </tbody>
+                    </table>
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={showOverlay}
+                            onChange={(e) =>
+                                onShowOverlayChange(e.target.checked)
+                            }
+                        />
+                        Deviation overlay
+                    </label>
+                    {showOverlay && (
+                        <div
+                            style={{
+                                marginTop: 4,
+                                height: 8,
+                                background:
+                                    'linear-gradient(to right, hsl(120, 85%, 50%), hsl(60, 85%, 50%), hsl(0, 85%, 50%))',
+                            }}
+                            title="In tolerance → at the loosest limit"
+                        />
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,160 @@
+import React from 'react';
+import { ObjectTransform } from './ObjectTransform';
+
+const ROWS = [
+    { field: 'position', label: 'Position', axes: ['X', 'Y', 'Z'], digits: 2 },
+    {
+        field: 'rotation',
+        label: 'Rotation °',
+        axes: ['X', 'Y', 'Z'],
+        digits: 3,
+    },
+    {
+        field: 'quaternion',
+        label: 'Quaternion',
+        axes: ['X', 'Y', 'Z', 'W'],
+        digits: 5,
+    },
+    { field: 'scale', label: 'Scale', axes: ['X', 'Y', 'Z'], digits: 4 },
+];
+
+const SNAP_FIELDS = [
+    { key: 'translate', label: 'Move', step: 1 },
+    { key: 'rotate', label: 'Rotate °', step: 1 },
+    { key: 'scale', label: 'Scale', step: 0.01 },
+];
+
+// Commits on Enter or blur. Keyed by the shown value, so it resets when the
+// gizmo or an undo moves the object.
+function NumberField({ value, digits, title, onCommit }) {
+    const text = value.toFixed(digits);
+    const commit = (e) => {
+        if (e.target.value !== text) onCommit(Number(e.target.value));
+    };
+    return (
+        <input
+            key={text}
+            type="number"
+            defaultValue={text}
+            title={title}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') commit(e);
+            }}
+            style={{ width: 56 }}
+        />
+    );
+}
+
+// Position, rotation and scale of the model in local or world space. Edits
+// here and with the gizmo share the object, so each shows the other's
+// changes; the parent re-renders on every gizmo change.
+export default function TransformPanel({
+    object,
+    scaleUnit,
+    mode,
+    space,
+    snap,
+    onModeChange,
+    onSpaceChange,
+    onSnapChange,
+    onEdit,
+}) {
+    const values = object
+        ? ObjectTransform.read(object, space, scaleUnit)
+        : null;
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 340,
+                fontSize: 13,
+            }}>
+            <strong>Transform</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={mode}
+                    onChange={(e) => onModeChange(e.target.value)}>
+                    {Object.entries(ObjectTransform.MODES).map(
+                        ([key, label]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+                <select
+                    value={space}
+                    onChange={(e) => onSpaceChange(e.target.value)}
+                    style={{ marginLeft: 4 }}>
+                    {Object.entries(ObjectTransform.SPACES).map(
+                        ([key, label]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+            </div>
+            {values ? (
+                <table style={{ marginTop: 6 }}>
+                    <tbody>
+                        {ROWS.map(({ field, label, axes, digits }) => (
+                            <tr key={field}>
+                                <td>{label}</td>
+                                <td>
+                                    {axes.map((axis, index) => (
+                                        <NumberField
+                                            key={axis}
+                                            value={values[field][index]}
+                                            digits={digits}
+                                            title={`${label} ${axis}`}
+                                            onCommit={(value) =>
+                                                onEdit(field, index, value)
+                                            }
+                                        />
+                                    ))}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            ) : (
+                <div style={{ marginTop: 6 }}>No model loaded</div>
+            )}
+            <div style={{ marginTop: 4 }}>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={snap.enabled}
+                        onChange={(e) =>
+                            onSnapChange({ ...snap, enabled: e.target.checked })
+                        }
+                    />
+                    Snap
+                </label>
+                {SNAP_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} style={{ marginLeft: 6 }}>
+                        {label}{' '}
+                        <input
+                            type="number"
+                            min={step}
+                            step={step}
+                            value={snap[key]}
+                            disabled={!snap.enabled}
+                            onChange={(e) =>
+                                onSnapChange({
+                                    ...snap,
+                                    [key]: Number(e.target.value),
+                                })
+                            }
+                            style={{ width: 44 }}
+                        />
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+}
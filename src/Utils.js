@@ -1,5 +1,5 @@
-import gsap from 'gsap';
 import * as THREE from 'three';
+import { ClipPlane } from './ClipPlane';
 
 export class Utils {
     static angleToEqualize(p1, p2, axis) {
@@ -27,22 +27,16 @@ export class Utils {
 
         return Math.atan2(dy, dx); // radians
     }
-    static animateRotation(object, angle, axis, callback = null) {
-        const obj = {};
-        if (axis === 'x') {
-            obj.x = angle;
-        } else if (axis === 'y') {
-            obj.y = angle;
-        } else if (axis === 'z') {
-            obj.z = angle;
-        }
-        gsap.to(object.rotation, {
-            ...obj,
-            duration: 1,
-            ease: 'power2.inOut',
-        });
-        if (!callback) return;
-        callback();
+    // Local quaternion that applies an extra world-space rotation to object
+    static getWorldRotationTarget(object, worldRotation) {
+        const parentQuaternion = new THREE.Quaternion();
+        object.parent?.getWorldQuaternion(parentQuaternion);
+        return parentQuaternion
+            .clone()
+            .invert()
+            .multiply(worldRotation)
+            .multiply(parentQuaternion)
+            .multiply(object.quaternion);
     }
     static angleToEqualizeZ(p1, p2) {
         // p1 and p2 are THREE.Vector3
@@ -79,10 +73,10 @@ export class Utils {
 
         const n1xn2 = new THREE.Vector3().crossVectors(n1, n2);
         const temp1 = new THREE.Vector3()
-            .crossVectors(n1xn2, n2)
+            .crossVectors(n2, n1xn2)
             .multiplyScalar(c1);
         const temp2 = new THREE.Vector3()
-            .crossVectors(n1, n1xn2)
+            .crossVectors(n1xn2, n1)
             .multiplyScalar(c2);
 
         const pointOnLine = new THREE.Vector3()
@@ -91,12 +85,35 @@ export class Utils {
 
         return { point: pointOnLine, direction: direction.normalize() };
     }
+    static downloadFile(fileName, content, type = 'text/plain') {
+        const blob =
+            content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    static getBaseName(fileName) {
+        return (fileName || 'model').replace(/\.[^.]+$/, '');
+    }
+    // Casts through the mesh BVH on both sides, whatever side the display
+    // material renders, so a line through the stone hits entry and exit
     static getMeshIntersectionWithLine(mesh, linePoint, lineDir) {
-        const raycaster = new THREE.Raycaster();
-        raycaster.ray.origin.copy(linePoint);
-        raycaster.ray.direction.copy(lineDir).normalize();
-        const intersections = raycaster.intersectObject(mesh, true);
-        console.log(intersections);
+        mesh.updateWorldMatrix(true, false);
+        const ray = new THREE.Ray(
+            linePoint.clone(),
+            lineDir.clone().normalize(),
+        ).applyMatrix4(mesh.matrixWorld.clone().invert());
+        const intersections = ClipPlane.ensureBoundsTree(mesh)
+            .raycast(ray, THREE.DoubleSide)
+            .map((hit) => {
+                const point = hit.point.applyMatrix4(mesh.matrixWorld);
+                const distance = point.distanceTo(linePoint);
+                return { ...hit, object: mesh, point, distance };
+            })
+            .sort((a, b) => a.distance - b.distance);
         return intersections.length > 0 ? intersections : null;
     }
 }
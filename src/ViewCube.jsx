@@ -0,0 +1,115 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { CameraViews } from './CameraViews';
+
+const SIZE = 70;
+const HALF = SIZE / 2;
+// CSS has y pointing down, view space has it pointing up
+const FLIP_Y = new THREE.Matrix4().makeScale(1, -1, 1);
+
+const FACES = [
+    { view: 'top', label: 'Top' },
+    { view: 'bottom', label: 'Bottom' },
+    { view: 'front', label: 'Front' },
+    { view: 'back', label: 'Back' },
+    { view: 'side', label: 'Right' },
+    { view: 'left', label: 'Left' },
+];
+
+// Places a face on the cube so its text reads upright when the camera
+// looks at it from the matching view
+const getFaceTransform = (view, frame) => {
+    const { up, front, side } = frame;
+    const normal = {
+        top: up,
+        bottom: up.clone().negate(),
+        front,
+        back: front.clone().negate(),
+        side,
+        left: side.clone().negate(),
+    }[view];
+    const screenUp =
+        view === 'top'
+            ? front.clone().negate()
+            : view === 'bottom'
+              ? front
+              : up;
+    const right = new THREE.Vector3().crossVectors(screenUp, normal);
+    const down = screenUp.clone().negate();
+    const matrix = new THREE.Matrix4().makeBasis(right, down, normal);
+    matrix.setPosition(normal.clone().multiplyScalar(HALF));
+    return `matrix3d(${matrix.elements.join(',')})`;
+};
+
+// A cube that turns with the camera; clicking a face moves the camera to
+// that view. Drawn with CSS transforms, so it needs no render pass of its
+// own on top of the outline effects.
+export default function ViewCube({ controlsRef, tableAxis, onView }) {
+    const cubeRef = useRef();
+    const frame = useMemo(() => CameraViews.getFrame(tableAxis), [tableAxis]);
+
+    useEffect(() => {
+        const matrix = new THREE.Matrix4();
+        let request;
+        const update = () => {
+            const camera = controlsRef.current?.camera;
+            if (camera && cubeRef.current) {
+                matrix
+                    .extractRotation(camera.matrixWorldInverse)
+                    .premultiply(FLIP_Y);
+                cubeRef.current.style.transform = `matrix3d(${matrix.elements.join(',')})`;
+            }
+            request = requestAnimationFrame(update);
+        };
+        update();
+        return () => cancelAnimationFrame(request);
+    }, [controlsRef]);
+
+    return (
+        <div
+            style={{
+                position: 'relative',
+                width: SIZE * 1.8,
+                height: SIZE * 1.8,
+            }}>
+            <div
+                ref={cubeRef}
+                style={{
+                    position: 'absolute',
+                    left: '50%',
+                    top: '50%',
+                    width: 0,
+                    height: 0,
+                    transformStyle: 'preserve-3d',
+                }}>
+                {FACES.map(({ view, label }) => (
+                    <div
+                        key={view}
+                        title={CameraViews.VIEWS[view].label}
+                        onClick={() => onView(view)}
+                        style={{
+                            position: 'absolute',
+                            left: -HALF,
+                            top: -HALF,
+                            width: SIZE,
+                            height: SIZE,
+                            boxSizing: 'border-box',
+                            display: 'flex',
+                            alignItems: 'center',
+                            justifyContent: 'center',
+                            background: 'rgba(60, 60, 60, 0.9)',
+                            border: '1px solid #aaa',
+                            color: 'white',
+                            fontSize: 12,
+                            cursor: 'pointer',
+                            userSelect: 'none',
+                            backfaceVisibility: 'hidden',
+                            transform: getFaceTransform(view, frame),
+                        }}>
+                        {label}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+import { CameraViews } from './CameraViews';
+import ViewCube from './ViewCube';
+
+const FIT_TARGETS = {
+    model: 'Model',
+    block: 'Block',
+    all: 'All',
+};
+
+// Camera presets, projection and framing in the bottom-right corner
+export default function ViewToolbar({
+    controlsRef,
+    tableAxis,
+    projection,
+    fitTarget,
+    onView,
+    onProjectionChange,
+    onFitTargetChange,
+    onFit,
+}) {
+    return (
+        <div
+            style={{
+                position: 'absolute',
+                bottom: 20,
+                right: 20,
+                zIndex: 10,
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'flex-end',
+                gap: 4,
+            }}>
+            <ViewCube
+                controlsRef={controlsRef}
+                tableAxis={tableAxis}
+                onView={onView}
+            />
+            <div>
+                {Object.entries(CameraViews.VIEWS).map(([key, { label }]) => (
+                    <button
+                        key={key}
+                        onClick={() => onView(key)}
+                        style={{ marginLeft: 4 }}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+            <div>
+                <select
+                    value={projection}
+                    onChange={(e) => onProjectionChange(e.target.value)}>
+                    {Object.entries(CameraViews.PROJECTIONS).map(
+                        ([key, label]) => (
+                            <option key={key} value={key}>
+                                {label}
+                            </option>
+                        ),
+                    )}
+                </select>
+                <select
+                    value={fitTarget}
+                    onChange={(e) => onFitTargetChange(e.target.value)}
+                    style={{ marginLeft: 4 }}>
+                    {Object.entries(FIT_TARGETS).map(([key, label]) => (
+                        <option key={key} value={key}>
+                            {label}
+                        </option>
+                    ))}
+                </select>
+                <button onClick={onFit} style={{ marginLeft: 4 }}>
+                    Fit to View
+                </button>
+            </div>
+        </div>
+    );
+}
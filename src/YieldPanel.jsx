@@ -0,0 +1,133 @@
+import React, { useRef } from 'react';
+import { MeshMetrics } from './MeshMetrics';
+import { ModelLoader } from './ModelLoader';
+import { Proportions } from './Proportions';
+
+const formatNumber = (value, digits = 3) =>
+    value === null || !Number.isFinite(value) ? '-' : value.toFixed(digits);
+
+// Stone metrics against the rough, which is either the stock block or a
+// scanned rough loaded from file. The unit says what the model file is in;
+// results are shown in millimetres.
+export default function YieldPanel({
+    settings,
+    metrics,
+    roughName,
+    loadingRough,
+    error,
+    onChange,
+    onLoadRough,
+}) {
+    const inputRef = useRef();
+    const { unit, material, rough } = settings;
+
+    const rows = metrics
+        ? [
+              ['Stone volume', formatNumber(metrics.stoneVolume), 'mm³'],
+              ['Stone area', formatNumber(metrics.stoneArea), 'mm²'],
+              ['Rough volume', formatNumber(metrics.roughVolume), 'mm³'],
+              [
+                  'Yield',
+                  formatNumber(
+                      metrics.yield === null ? null : metrics.yield * 100,
+                      2,
+                  ),
+                  '%',
+              ],
+              ['Stone weight', formatNumber(metrics.stoneCarats), 'ct'],
+              ['Rough weight', formatNumber(metrics.roughCarats), 'ct'],
+          ]
+        : [];
+
+    return (
+        <div
+            style={{
+                background: 'rgba(0, 0, 0, 0.6)',
+                padding: 10,
+                width: 300,
+                fontSize: 13,
+            }}>
+            <strong>Yield</strong>
+            <div style={{ marginTop: 6 }}>
+                <select
+                    value={unit}
+                    title="Model file units"
+                    onChange={(e) =>
+                        onChange({ ...settings, unit: e.target.value })
+                    }>
+                    {Object.keys(Proportions.UNITS).map((name) => (
+                        <option key={name}>{name}</option>
+                    ))}
+                </select>
+                <select
+                    value={material}
+                    onChange={(e) =>
+                        onChange({ ...settings, material: e.target.value })
+                    }
+                    style={{ marginLeft: 4 }}>
+                    {Object.entries(MeshMetrics.MATERIALS).map(
+                        ([key, { label, density }]) => (
+                            <option key={key} value={key}>
+                                {label} ({density} g/cm³)
+                            </option>
+                        ),
+                    )}
+                </select>
+            </div>
+            <div style={{ marginTop: 4 }}>
+                Rough:
+                <select
+                    value={rough}
+                    onChange={(e) =>
+                        onChange({ ...settings, rough: e.target.value })
+                    }
+                    style={{ marginLeft: 4 }}>
+                    <option value="block">Stock block</option>
+                    <option value="scan" disabled={!roughName}>
+                        {roughName || 'Rough scan'}
+                    </option>
+                </select>
+                <input
+                    ref={inputRef}
+                    type="file"
+                    multiple
+                    accept={ModelLoader.EXTENSIONS.map(
+                        (extension) => `.${extension}`,
+                    ).join(',')}
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                        if (e.target.files?.length) onLoadRough(e.target.files);
+                        e.target.value = '';
+                    }}
+                />
+                <button
+                    onClick={() => inputRef.current?.click()}
+                    disabled={loadingRough}
+                    style={{ marginLeft: 4 }}>
+                    {loadingRough ? 'Loading…' : 'Load scan'}
+                </button>
+            </div>
+            {error && <div style={{ color: '#ff6b6b' }}>{error}</div>}
+            {metrics && (
+                <table style={{ marginTop: 6, width: '100%' }}>
+                    <tbody>
+                        {rows.map(([label, value, rowUnit]) => (
+                            <tr key={label}>
+                                <td>{label}</td>
+                                <td style={{ textAlign: 'right' }}>{value}</td>
+                                <td>{rowUnit}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+            {metrics?.warnings.map((warning) => (
+                <div key={warning.name} style={{ color: '#ffd54f' }}>
+                    {warning.name || 'Mesh'} is not watertight (
+                    {warning.openEdges} open, {warning.nonManifoldEdges}{' '}
+                    non-manifold edges); its volume is unreliable
+                </div>
+            ))}
+        </div>
+    );
+}
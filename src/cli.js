@@ -0,0 +1,100 @@
+/* eslint-env node */
+// Batch alignment and measurement of a folder of stone scans:
+//
+//   npm run batch -- <folder> [--out <folder>] [--unit µm] [--mesh <name>]
+//
+// Writes <name>-aligned.glb and <name>-proportions.csv per stone into the
+// output folder (default: <folder>/aligned). Stones that fail are reported
+// and skipped; the exit code is 1 if any did.
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { Batch, Proportions } from './core';
+
+const USAGE =
+    'Usage: npm run batch -- <folder> [--out <folder>] [--unit ' +
+    `${Object.keys(Proportions.UNITS).join('|')}] [--mesh <name>]`;
+
+const print = (line) => process.stdout.write(`${line}\n`);
+
+const toArrayBuffer = (buffer) =>
+    buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength,
+    );
+
+const toBuffer = (content) =>
+    typeof content === 'string' ? content : Buffer.from(content);
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: 'string' },
+            unit: { type: 'string', default: Proportions.DEFAULT_UNIT },
+            mesh: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help || positionals.length !== 1) {
+        print(USAGE);
+        return values.help ? 0 : 1;
+    }
+    if (!Proportions.UNITS[values.unit]) {
+        console.error(`Unknown unit "${values.unit}"\n${USAGE}`);
+        return 1;
+    }
+
+    const input = path.resolve(positionals[0]);
+    const output = path.resolve(values.out || path.join(input, 'aligned'));
+    const names = (await readdir(input))
+        .filter((name) => Batch.isSupported(name))
+        .sort();
+    if (!names.length) {
+        console.error(
+            `No ${Batch.EXTENSIONS.map((ext) => `.${ext}`).join(
+                ', ',
+            )} files in ${input}`,
+        );
+        return 1;
+    }
+    await mkdir(output, { recursive: true });
+
+    let failed = 0;
+    for (const [index, name] of names.entries()) {
+        const prefix = `[${index + 1}/${names.length}] ${name}`;
+        try {
+            const data = await readFile(path.join(input, name));
+            const result = await Batch.process(name, toArrayBuffer(data), {
+                unit: values.unit,
+                meshName: values.mesh,
+            });
+            await Promise.all(
+                result.files.map(({ fileName, content }) =>
+                    writeFile(path.join(output, fileName), toBuffer(content)),
+                ),
+            );
+            print(
+                `${prefix}: ${result.report.meshName}, aligned within ` +
+                    `${Batch.getAlignmentError(result.alignment).toFixed(3)}°`,
+            );
+        } catch (error) {
+            failed++;
+            console.error(`${prefix}: ${error.message || error}`);
+        }
+    }
+    print(
+        `${names.length - failed} of ${names.length} stones written to ${output}`,
+    );
+    return failed ? 1 : 0;
+}
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error(error);
+        process.exitCode = 1;
+    },
+);
@@ -0,0 +1,20 @@
+// Framework-free geometry core: loading, plane fitting, contour slicing,
+// alignment solving and measurement. Nothing here touches React, the DOM
+// or animation frames at import time, so it also runs under Node (see
+// cli.js).
+export { Alignment } from './Alignment';
+export { Batch } from './Batch';
+export { ClipPlane } from './ClipPlane';
+export { FacetAnalysis } from './FacetAnalysis';
+export { FacetFit } from './FacetFit';
+export { GlbWriter } from './GlbWriter';
+export { MeasureTools } from './MeasureTools';
+export { MeshMetrics } from './MeshMetrics';
+export { ModelExport } from './ModelExport';
+export { ModelLoader } from './ModelLoader';
+export { Proportions } from './Proportions';
+export { ScanCompare } from './ScanCompare';
+export { SectionProfile } from './SectionProfile';
+export { StockBlock } from './StockBlock';
+export { Symmetry } from './Symmetry';
+export { Utils } from './Utils';
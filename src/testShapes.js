@@ -0,0 +1,37 @@
+import * as THREE from 'three';
+
+// Synthetic stones for the geometry tests
+
+const material = new THREE.MeshBasicMaterial();
+
+export function createMesh(geometry, name = 'stone') {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+// Round brilliant revolved around +Y: pointed culet at y = -86, girdle
+// band of radius 100 from y = 0 to 3, crown up to a table of radius 57 at
+// y = 16.
+export const BRILLIANT_PROFILE = [
+    [0, -86],
+    [100, 0],
+    [100, 3],
+    [57, 16],
+    [0, 16],
+];
+
+export function createBrilliantGeometry(
+    sides = 16,
+    profile = BRILLIANT_PROFILE,
+) {
+    return new THREE.LatheGeometry(
+        profile.map(([x, y]) => new THREE.Vector2(x, y)),
+        sides,
+    );
+}
+
+export function createBrilliant(sides = 16, profile = BRILLIANT_PROFILE) {
+    return createMesh(createBrilliantGeometry(sides, profile));
+}